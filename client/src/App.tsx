@@ -5,8 +5,22 @@ import { ProtectedRoute } from '@/components/ProtectedRoute';
 import MainLayout from '@/components/layout/MainLayout';
 import HomePage from '@/pages/HomePage';
 import PostsPage from '@/pages/PostsPage';
+import PostDetailPage from '@/pages/PostDetailPage';
 import CreatePostPage from '@/pages/CreatePostPage';
+import EditPostPage from '@/pages/EditPostPage';
+import MyPostsPage from '@/pages/MyPostsPage';
+import RevisionsPage from '@/pages/RevisionsPage';
+import PostStatsPage from '@/pages/PostStatsPage';
+import ReadingListPage from '@/pages/ReadingListPage';
+import AdminUsersPage from '@/pages/AdminUsersPage';
+import AuthorPage from '@/pages/AuthorPage';
 import CategoriesPage from '@/pages/CategoriesPage';
+import CategoryPage from '@/pages/CategoryPage';
+import CreateCategoryPage from '@/pages/CreateCategoryPage';
+import SearchPage from '@/pages/SearchPage';
+import SettingsPage from '@/pages/SettingsPage';
+import TagsPage from '@/pages/TagsPage';
+import TagPostsPage from '@/pages/TagPostsPage';
 import LoginPage from '@/pages/LoginPage';
 import RegisterPage from '@/pages/RegisterPage';
 
@@ -23,17 +37,54 @@ export default function App() {
           <Route element={<MainLayout />}>
             <Route index element={<HomePage />} />
             <Route path="posts" element={<PostsPage />} />
+            <Route path="posts/:id" element={<PostDetailPage />} />
+            <Route path="search" element={<SearchPage />} />
+            <Route path="authors/:id" element={<AuthorPage />} />
+            <Route path="categories" element={<CategoriesPage />} />
+            <Route path="categories/:slug" element={<CategoryPage />} />
+            <Route path="tags" element={<TagsPage />} />
+            <Route path="tags/:tag" element={<TagPostsPage />} />
             
-            {/* Protected admin routes */}
+            {/* Protected routes for signed-in users */}
             <Route element={
-              <ProtectedRoute requiredRole="admin">
+              <ProtectedRoute>
                 <Outlet />
               </ProtectedRoute>
             }>
-              <Route path="posts/create" element={<CreatePostPage />} />
-              <Route path="categories" element={<CategoriesPage />} />
+              <Route path="posts/:id/edit" element={<EditPostPage />} />
+              <Route path="posts/:id/revisions" element={<RevisionsPage />} />
+              <Route path="posts/:id/stats" element={<PostStatsPage />} />
+              <Route path="my-posts" element={<MyPostsPage />} />
+              <Route path="reading-list" element={<ReadingListPage />} />
+              <Route path="settings" element={<SettingsPage />} />
             </Route>
             
+            {/* Routes that need a permission from the user's role */}
+            <Route
+              path="posts/create"
+              element={
+                <ProtectedRoute requiredPermission="post:create">
+                  <CreatePostPage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="categories/new"
+              element={
+                <ProtectedRoute requiredPermission="category:manage">
+                  <CreateCategoryPage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="admin/users"
+              element={
+                <ProtectedRoute requiredPermission="user:manage">
+                  <AdminUsersPage />
+                </ProtectedRoute>
+              }
+            />
+            
             <Route path="*" element={<Navigate to="/" replace />} />
           </Route>
         </Routes>
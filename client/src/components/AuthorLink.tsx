@@ -0,0 +1,23 @@
+import { Link } from 'react-router-dom';
+import { cn } from '@/lib/utils';
+import type { Author } from '@/types';
+
+interface AuthorLinkProps {
+  author: Author | null | undefined;
+  // Shown when the author's account is gone
+  fallback?: string;
+  className?: string;
+}
+
+// A byline name that leads to the author's public profile
+const AuthorLink = ({ author, fallback = 'Unknown', className }: AuthorLinkProps) => {
+  if (!author) return <span className={className}>{fallback}</span>;
+
+  return (
+    <Link to={`/authors/${author._id}`} className={cn('hover:text-primary hover:underline', className)}>
+      {author.name}
+    </Link>
+  );
+};
+
+export default AuthorLink;
@@ -0,0 +1,5 @@
+// Inline validation message shown under a form field
+const FieldError = ({ message }: { message?: string }) =>
+  message ? <p className="text-sm text-destructive">{message}</p> : null;
+
+export default FieldError;
@@ -0,0 +1,63 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { UserCheck, UserPlus } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useAuth } from '@/contexts/AuthContext';
+import apiClient from '@/lib/axios';
+import { handleApiError } from '@/lib/api-error';
+import type { FollowState } from '@/types';
+
+interface FollowButtonProps {
+  // The author or category, e.g. /users/:id or /categories/:id; /follow is appended
+  url: string;
+  isFollowing: boolean;
+  onChange?: (state: FollowState) => void;
+  size?: 'sm' | 'default';
+}
+
+const FollowButton = ({ url, isFollowing, onChange, size = 'sm' }: FollowButtonProps) => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [following, setFollowing] = useState(isFollowing);
+  const [pending, setPending] = useState(false);
+
+  const toggle = async () => {
+    if (!user) {
+      navigate('/login');
+      return;
+    }
+
+    const next = !following;
+    setFollowing(next);
+
+    try {
+      setPending(true);
+      const { data } = next
+        ? await apiClient.post<FollowState>(`${url}/follow`)
+        : await apiClient.delete<FollowState>(`${url}/follow`);
+      setFollowing(data.isFollowing);
+      onChange?.(data);
+    } catch (err) {
+      setFollowing(!next);
+      handleApiError(err, 'Failed to update who you follow. Please try again.');
+    } finally {
+      setPending(false);
+    }
+  };
+
+  return (
+    <Button
+      type="button"
+      size={size}
+      variant={following ? 'secondary' : 'default'}
+      onClick={toggle}
+      disabled={pending}
+      aria-pressed={following}
+    >
+      {following ? <UserCheck className="h-4 w-4" /> : <UserPlus className="h-4 w-4" />}
+      {following ? 'Following' : 'Follow'}
+    </Button>
+  );
+};
+
+export default FollowButton;
@@ -0,0 +1,32 @@
+import { useEffect, useRef } from 'react';
+
+interface LoadMoreTriggerProps {
+  onVisible: () => void;
+  disabled?: boolean;
+  // How far below the viewport to start loading, in pixels
+  rootMargin?: number;
+}
+
+// Invisible sentinel that calls `onVisible` when scrolled near the viewport
+export const LoadMoreTrigger = ({ onVisible, disabled = false, rootMargin = 300 }: LoadMoreTriggerProps) => {
+  const ref = useRef<HTMLDivElement>(null);
+  const onVisibleRef = useRef(onVisible);
+  onVisibleRef.current = onVisible;
+
+  useEffect(() => {
+    const node = ref.current;
+    if (!node || disabled) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) onVisibleRef.current();
+      },
+      { rootMargin: `${rootMargin}px` }
+    );
+
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [disabled, rootMargin]);
+
+  return <div ref={ref} aria-hidden="true" className="h-1" />;
+};
@@ -1,13 +1,15 @@
 import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '@/contexts/AuthContext';
+import type { Permission } from '@/types';
 
 interface ProtectedRouteProps {
   children: React.ReactNode;
   requiredRole?: string;
+  requiredPermission?: Permission;
 }
 
-export const ProtectedRoute = ({ children, requiredRole }: ProtectedRouteProps) => {
-  const { user, isAuthenticated, isLoading } = useAuth();
+export const ProtectedRoute = ({ children, requiredRole, requiredPermission }: ProtectedRouteProps) => {
+  const { user, isAuthenticated, isLoading, can } = useAuth();
   const location = useLocation();
 
   if (isLoading) {
@@ -22,7 +24,7 @@ export const ProtectedRoute = ({ children, requiredRole }: ProtectedRouteProps)
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
-  if (requiredRole && user?.role !== requiredRole) {
+  if ((requiredRole && user?.role !== requiredRole) || (requiredPermission && !can(requiredPermission))) {
     return <Navigate to="/unauthorized" replace />;
   }
 
@@ -0,0 +1,57 @@
+import { useState } from 'react';
+import { cn } from '@/lib/utils';
+import type { ImageDetails } from '@/types';
+
+interface ResponsiveImageProps {
+  src: string;
+  details?: ImageDetails | null;
+  alt: string;
+  // Rendered width at each breakpoint, e.g. "(min-width: 768px) 50vw, 100vw"
+  sizes: string;
+  className?: string;
+  loading?: 'lazy' | 'eager';
+}
+
+const toSrcSet = (details: ImageDetails, format: string) =>
+  details.variants
+    .filter((variant) => variant.format === format)
+    .map((variant) => `${variant.url} ${variant.width}w`)
+    .join(', ');
+
+/**
+ * Image with WebP and original-format srcsets built from the server's variants,
+ * showing the blur placeholder until it loads. Falls back to a plain <img>
+ * for images uploaded before variants existed.
+ */
+const ResponsiveImage = ({ src, details, alt, sizes, className, loading = 'lazy' }: ResponsiveImageProps) => {
+  const [loaded, setLoaded] = useState(false);
+
+  if (!details?.variants?.length) {
+    return <img src={src} alt={alt} loading={loading} className={className} />;
+  }
+
+  const originalFormat = details.variants.find((variant) => variant.url === src)?.format || 'webp';
+
+  return (
+    <picture>
+      {originalFormat !== 'webp' && (
+        <source type="image/webp" srcSet={toSrcSet(details, 'webp')} sizes={sizes} />
+      )}
+      <img
+        src={src}
+        srcSet={toSrcSet(details, originalFormat)}
+        sizes={sizes}
+        alt={alt}
+        width={details.width}
+        height={details.height}
+        loading={loading}
+        decoding="async"
+        onLoad={() => setLoaded(true)}
+        className={cn('bg-cover bg-center', className)}
+        style={loaded ? undefined : { backgroundImage: `url(${details.placeholder})` }}
+      />
+    </picture>
+  );
+};
+
+export default ResponsiveImage;
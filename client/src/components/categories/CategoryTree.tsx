@@ -0,0 +1,66 @@
+import { useState, type ReactNode } from 'react';
+import { ChevronRight } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import type { CategoryNode } from '@/types';
+
+interface CategoryTreeProps {
+  nodes: CategoryNode[];
+  renderItem: (node: CategoryNode) => ReactNode;
+  // Start with every branch open instead of only the top level
+  defaultExpanded?: boolean;
+  className?: string;
+}
+
+interface BranchProps extends Omit<CategoryTreeProps, 'className'> {
+  depth: number;
+}
+
+const Branch = ({ nodes, renderItem, defaultExpanded, depth }: BranchProps) => {
+  const [collapsed, setCollapsed] = useState<Record<string, boolean>>({});
+
+  return (
+    <ul role={depth === 0 ? 'tree' : 'group'} className={cn(depth > 0 && 'ml-5 border-l pl-2')}>
+      {nodes.map((node) => {
+        const hasChildren = node.children.length > 0;
+        const expanded = hasChildren && !(collapsed[node._id] ?? !defaultExpanded);
+
+        return (
+          <li key={node._id} role="treeitem" aria-expanded={hasChildren ? expanded : undefined}>
+            <div className="flex items-center gap-1 py-1">
+              {hasChildren ? (
+                <button
+                  type="button"
+                  onClick={() => setCollapsed((prev) => ({ ...prev, [node._id]: expanded }))}
+                  className="rounded p-0.5 text-muted-foreground hover:bg-accent"
+                  aria-label={`${expanded ? 'Collapse' : 'Expand'} ${node.name}`}
+                >
+                  <ChevronRight className={cn('h-4 w-4 transition-transform', expanded && 'rotate-90')} />
+                </button>
+              ) : (
+                <span className="w-5 shrink-0" />
+              )}
+              {renderItem(node)}
+            </div>
+            {expanded && (
+              <Branch
+                nodes={node.children}
+                renderItem={renderItem}
+                defaultExpanded={defaultExpanded}
+                depth={depth + 1}
+              />
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+// Collapsible view of nested categories; callers decide how each row looks
+const CategoryTree = ({ nodes, renderItem, defaultExpanded = false, className }: CategoryTreeProps) => (
+  <div className={className}>
+    <Branch nodes={nodes} renderItem={renderItem} defaultExpanded={defaultExpanded} depth={0} />
+  </div>
+);
+
+export default CategoryTree;
@@ -0,0 +1,112 @@
+import { useState } from 'react';
+import { toast } from 'sonner';
+import { Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import apiClient from '@/lib/axios';
+import { handleApiError } from '@/lib/api-error';
+import { flattenCategoryTree } from '@/lib/categories';
+import type { CategoryNode } from '@/types';
+
+interface DeleteCategoryDialogProps {
+  category: CategoryNode | null;
+  // Full tree, used to offer a category to move the posts to
+  categories: CategoryNode[];
+  onOpenChange: (open: boolean) => void;
+  onDeleted: () => void;
+}
+
+const DeleteCategoryDialog = ({ category, categories, onOpenChange, onDeleted }: DeleteCategoryDialogProps) => {
+  const [reassignTo, setReassignTo] = useState('');
+  const [deleting, setDeleting] = useState(false);
+
+  // Published posts only; drafts using the category also need moving, which the server reports
+  const postCount = category?.postCount ?? 0;
+  const hasChildren = !!category?.children.length;
+  const targets = flattenCategoryTree(categories).filter(
+    ({ node }) => node._id !== category?._id && node.isActive !== false
+  );
+
+  const handleOpenChange = (open: boolean) => {
+    if (!open) setReassignTo('');
+    onOpenChange(open);
+  };
+
+  const handleDelete = async () => {
+    if (!category) return;
+
+    try {
+      setDeleting(true);
+      await apiClient.delete(`/categories/${category._id}`, {
+        data: reassignTo ? { reassignTo } : undefined,
+      });
+      toast.success(`Deleted "${category.name}"`);
+      handleOpenChange(false);
+      onDeleted();
+    } catch (err) {
+      handleApiError(err, 'Failed to delete category. Please try again.');
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <Dialog open={!!category} onOpenChange={handleOpenChange}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Delete {category?.name}?</DialogTitle>
+          <DialogDescription>
+            {hasChildren
+              ? 'Move or delete its subcategories first.'
+              : postCount > 0
+                ? `Its ${postCount} ${postCount === 1 ? 'post' : 'posts'} will be moved to the category you pick. To keep them where they are, deactivate the category instead.`
+                : 'Any drafts filed under it will be moved to the category you pick. This cannot be undone.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {!hasChildren && (
+          <div className="space-y-2">
+            <Label htmlFor="reassign-to">Move posts to</Label>
+            <Select value={reassignTo} onValueChange={setReassignTo}>
+              <SelectTrigger id="reassign-to" className="w-full">
+                <SelectValue placeholder="Select a category" />
+              </SelectTrigger>
+              <SelectContent>
+                {targets.map(({ node, depth }) => (
+                  <SelectItem key={node._id} value={node._id}>
+                    <span style={{ paddingLeft: `${depth}rem` }}>{node.name}</span>
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => handleOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button
+            variant="destructive"
+            onClick={handleDelete}
+            disabled={deleting || hasChildren || (postCount > 0 && !reassignTo)}
+          >
+            {deleting && <Loader2 className="h-4 w-4 animate-spin" />}
+            Delete
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default DeleteCategoryDialog;
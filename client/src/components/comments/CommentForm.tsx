@@ -0,0 +1,88 @@
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import apiClient from '@/lib/axios';
+import { handleApiError } from '@/lib/api-error';
+
+const MAX_LENGTH = 2000;
+
+interface CommentFormProps {
+  postId: string;
+  parentId?: string;
+  // When set, the form edits this comment instead of creating a new one
+  commentId?: string;
+  initialContent?: string;
+  placeholder?: string;
+  submitLabel?: string;
+  autoFocus?: boolean;
+  onSubmitted: () => void;
+  onCancel?: () => void;
+}
+
+const CommentForm = ({
+  postId,
+  parentId,
+  commentId,
+  initialContent = '',
+  placeholder = 'Share your thoughts...',
+  submitLabel = 'Post Comment',
+  autoFocus = false,
+  onSubmitted,
+  onCancel,
+}: CommentFormProps) => {
+  const [content, setContent] = useState(initialContent);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    const trimmed = content.trim();
+    if (!trimmed) return;
+
+    try {
+      setSubmitting(true);
+      if (commentId) {
+        await apiClient.put(`/posts/${postId}/comments/${commentId}`, { content: trimmed });
+      } else {
+        await apiClient.post(`/posts/${postId}/comments`, { content: trimmed, parent: parentId });
+        setContent('');
+      }
+      onSubmitted();
+    } catch (error) {
+      handleApiError(error, 'Failed to save comment');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <Textarea
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        placeholder={placeholder}
+        maxLength={MAX_LENGTH}
+        rows={3}
+        autoFocus={autoFocus}
+        disabled={submitting}
+      />
+      <div className="flex items-center justify-between">
+        <span className="text-xs text-muted-foreground">
+          {content.length}/{MAX_LENGTH}
+        </span>
+        <div className="flex gap-2">
+          {onCancel && (
+            <Button type="button" variant="ghost" size="sm" onClick={onCancel} disabled={submitting}>
+              Cancel
+            </Button>
+          )}
+          <Button type="submit" size="sm" disabled={submitting || !content.trim()}>
+            {submitting ? 'Saving...' : submitLabel}
+          </Button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+export default CommentForm;
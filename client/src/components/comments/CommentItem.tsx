@@ -0,0 +1,135 @@
+import { useState } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { Button } from '@/components/ui/button';
+import AuthorLink from '@/components/AuthorLink';
+import { useAuth } from '@/contexts/AuthContext';
+import apiClient from '@/lib/axios';
+import { handleApiError } from '@/lib/api-error';
+import type { Comment } from '@/types';
+import CommentForm from './CommentForm';
+
+// Deeper replies stop indenting so long threads stay readable
+const MAX_INDENT_DEPTH = 4;
+
+interface CommentItemProps {
+  comment: Comment;
+  postId: string;
+  depth?: number;
+  onChange: () => void;
+}
+
+const CommentItem = ({ comment, postId, depth = 0, onChange }: CommentItemProps) => {
+  const { user, isAuthenticated, can } = useAuth();
+  const [mode, setMode] = useState<'view' | 'reply' | 'edit'>('view');
+  const [deleting, setDeleting] = useState(false);
+
+  const canModify =
+    !comment.isDeleted &&
+    !!user &&
+    (user.id === comment.author?._id || can('comment:moderate'));
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this comment?')) return;
+
+    try {
+      setDeleting(true);
+      await apiClient.delete(`/posts/${postId}/comments/${comment._id}`);
+      onChange();
+    } catch (error) {
+      handleApiError(error, 'Failed to delete comment');
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  const handleSubmitted = () => {
+    setMode('view');
+    onChange();
+  };
+
+  return (
+    <div className={depth > 0 && depth <= MAX_INDENT_DEPTH ? 'ml-6 border-l pl-4' : ''}>
+      <div className="py-3">
+        <div className="flex items-center gap-2 text-sm">
+          <AuthorLink author={comment.author} fallback="Deleted user" className="font-medium" />
+          <time dateTime={comment.createdAt} className="text-muted-foreground">
+            {formatDistanceToNow(new Date(comment.createdAt), { addSuffix: true })}
+          </time>
+          {comment.isEdited && !comment.isDeleted && (
+            <span className="text-xs text-muted-foreground">(edited)</span>
+          )}
+        </div>
+
+        {mode === 'edit' ? (
+          <div className="mt-2">
+            <CommentForm
+              postId={postId}
+              commentId={comment._id}
+              initialContent={comment.content}
+              submitLabel="Save"
+              autoFocus
+              onSubmitted={handleSubmitted}
+              onCancel={() => setMode('view')}
+            />
+          </div>
+        ) : (
+          <p className={`mt-1 whitespace-pre-wrap ${comment.isDeleted ? 'italic text-muted-foreground' : ''}`}>
+            {comment.isDeleted ? 'This comment was deleted.' : comment.content}
+          </p>
+        )}
+
+        {mode === 'view' && !comment.isDeleted && (
+          <div className="mt-1 flex gap-1">
+            {isAuthenticated && (
+              <Button variant="ghost" size="sm" onClick={() => setMode('reply')}>
+                Reply
+              </Button>
+            )}
+            {canModify && (
+              <>
+                <Button variant="ghost" size="sm" onClick={() => setMode('edit')}>
+                  Edit
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="text-destructive"
+                  onClick={handleDelete}
+                  disabled={deleting}
+                >
+                  Delete
+                </Button>
+              </>
+            )}
+          </div>
+        )}
+
+        {mode === 'reply' && (
+          <div className="mt-2">
+            <CommentForm
+              postId={postId}
+              parentId={comment._id}
+              placeholder={`Reply to ${comment.author?.name || 'comment'}...`}
+              submitLabel="Reply"
+              autoFocus
+              onSubmitted={handleSubmitted}
+              onCancel={() => setMode('view')}
+            />
+          </div>
+        )}
+      </div>
+
+      {comment.replies.map((reply) => (
+        <CommentItem
+          key={reply._id}
+          comment={reply}
+          postId={postId}
+          depth={depth + 1}
+          onChange={onChange}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default CommentItem;
@@ -0,0 +1,72 @@
+import { Link } from 'react-router-dom';
+import { Loader2, MessageSquare } from 'lucide-react';
+import { useGet } from '@/hooks/useApi';
+import { useAuth } from '@/contexts/AuthContext';
+import type { Comment } from '@/types';
+import CommentForm from './CommentForm';
+import CommentItem from './CommentItem';
+
+interface CommentSectionProps {
+  postId: string;
+}
+
+const countComments = (comments: Comment[]): number =>
+  comments.reduce((total, comment) => total + 1 + countComments(comment.replies), 0);
+
+const CommentSection = ({ postId }: CommentSectionProps) => {
+  const { isAuthenticated } = useAuth();
+  const {
+    data,
+    isLoading,
+    isError,
+    refetch
+  } = useGet<Comment[]>(`/posts/${postId}/comments`);
+
+  const comments = Array.isArray(data) ? data : [];
+  const reload = () => {
+    refetch();
+  };
+
+  return (
+    <section className="mt-12">
+      <h2 className="text-2xl font-semibold mb-6 flex items-center gap-2">
+        <MessageSquare className="h-5 w-5" />
+        Comments ({countComments(comments)})
+      </h2>
+
+      {isAuthenticated ? (
+        <div className="mb-8">
+          <CommentForm postId={postId} onSubmitted={reload} />
+        </div>
+      ) : (
+        <p className="mb-8 text-muted-foreground">
+          <Link to="/login" className="text-primary hover:underline">Log in</Link>{' '}
+          to join the discussion.
+        </p>
+      )}
+
+      {isLoading && comments.length === 0 ? (
+        <div className="flex justify-center py-8">
+          <Loader2 className="h-6 w-6 animate-spin text-primary" />
+        </div>
+      ) : isError ? (
+        <p className="text-destructive">Failed to load comments.</p>
+      ) : comments.length === 0 ? (
+        <p className="text-muted-foreground">No comments yet. Be the first to comment!</p>
+      ) : (
+        <div className="divide-y">
+          {comments.map((comment) => (
+            <CommentItem
+              key={comment._id}
+              comment={comment}
+              postId={postId}
+              onChange={reload}
+            />
+          ))}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default CommentSection;
@@ -1,16 +1,26 @@
 import { Outlet, Link, useNavigate } from 'react-router-dom';
 import { Button } from '@/components/ui/button';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
 import { useAuth } from '@/contexts/AuthContext';
-import { LogOut, User } from 'lucide-react';
+import { Bookmark, ChevronDown, LogOut, Settings, ShieldCheck, User } from 'lucide-react';
+import SearchBar from '@/components/search/SearchBar';
 
 const MainLayout = () => {
-  const { user, isAuthenticated, logout } = useAuth();
+  const { user, isAuthenticated, logout, can } = useAuth();
   const navigate = useNavigate();
   return (
     <div className="min-h-screen flex flex-col">
       <header className="border-b">
         <div className="container mx-auto px-4 py-4 flex justify-between items-center">
           <h1 className="text-2xl font-bold">MERN Blog</h1>
+          <SearchBar />
           <nav>
             <ul className="flex space-x-4">
               <li>
@@ -28,25 +38,65 @@ const MainLayout = () => {
                   <Link to="/categories">Categories</Link>
                 </Button>
               </li>
+              <li>
+                <Button asChild variant="ghost">
+                  <Link to="/tags">Tags</Link>
+                </Button>
+              </li>
+              {isAuthenticated && (
+                <li>
+                  <Button asChild variant="ghost">
+                    <Link to="/my-posts">My Drafts</Link>
+                  </Button>
+                </li>
+              )}
               {isAuthenticated ? (
                 <li className="flex items-center ml-4">
-                  <div className="flex items-center space-x-2">
-                    <span className="flex items-center text-sm">
-                      <User className="h-4 w-4 mr-1" />
-                      {user?.name || user?.email}
-                    </span>
-                    <Button 
-                      variant="ghost" 
-                      size="sm"
-                      onClick={() => {
-                        logout();
-                        navigate('/');
-                      }}
-                    >
-                      <LogOut className="h-4 w-4 mr-1" />
-                      Logout
-                    </Button>
-                  </div>
+                  <DropdownMenu>
+                    <DropdownMenuTrigger asChild>
+                      <Button variant="ghost" size="sm">
+                        <User className="h-4 w-4" />
+                        {user?.name || user?.email}
+                        <ChevronDown className="h-4 w-4 opacity-50" />
+                      </Button>
+                    </DropdownMenuTrigger>
+                    <DropdownMenuContent align="end" className="w-48">
+                      <DropdownMenuLabel className="truncate font-normal text-muted-foreground">
+                        {user?.email}
+                      </DropdownMenuLabel>
+                      <DropdownMenuSeparator />
+                      <DropdownMenuItem asChild>
+                        <Link to="/reading-list">
+                          <Bookmark className="h-4 w-4" />
+                          Reading list
+                        </Link>
+                      </DropdownMenuItem>
+                      <DropdownMenuItem asChild>
+                        <Link to="/settings">
+                          <Settings className="h-4 w-4" />
+                          Settings
+                        </Link>
+                      </DropdownMenuItem>
+                      {can('user:manage') && (
+                        <DropdownMenuItem asChild>
+                          <Link to="/admin/users">
+                            <ShieldCheck className="h-4 w-4" />
+                            Manage users
+                          </Link>
+                        </DropdownMenuItem>
+                      )}
+                      <DropdownMenuSeparator />
+                      <DropdownMenuItem
+                        onSelect={() => {
+                          logout();
+                          navigate('/');
+                        }}
+                      >
+                        <LogOut className="h-4 w-4" />
+                        Logout
+                      </DropdownMenuItem>
+                    </DropdownMenuContent>
+                  </DropdownMenu>
                 </li>
               ) : (
                 <li>
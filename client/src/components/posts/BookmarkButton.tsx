@@ -0,0 +1,71 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'sonner';
+import { Bookmark, BookmarkCheck } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useAuth } from '@/contexts/AuthContext';
+import apiClient from '@/lib/axios';
+import { handleApiError } from '@/lib/api-error';
+import type { Post } from '@/types';
+
+interface BookmarkButtonProps {
+  post: Pick<Post, '_id' | 'isBookmarked'>;
+  // Lets the reading list drop a post as soon as it's removed
+  onChange?: (isBookmarked: boolean) => void;
+  showLabel?: boolean;
+}
+
+const BookmarkButton = ({ post, onChange, showLabel = false }: BookmarkButtonProps) => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [saved, setSaved] = useState(!!post.isBookmarked);
+  const [pending, setPending] = useState(false);
+
+  const toggle = async () => {
+    if (!user) {
+      navigate('/login');
+      return;
+    }
+
+    const next = !saved;
+    setSaved(next);
+
+    try {
+      setPending(true);
+      if (next) {
+        await apiClient.post(`/posts/${post._id}/bookmark`);
+        toast.success('Saved to your reading list');
+      } else {
+        await apiClient.delete(`/posts/${post._id}/bookmark`);
+      }
+      onChange?.(next);
+    } catch (err) {
+      setSaved(!next);
+      handleApiError(err, 'Failed to update your reading list. Please try again.');
+    } finally {
+      setPending(false);
+    }
+  };
+
+  const label = saved ? 'Remove from reading list' : 'Save to reading list';
+  const Icon = saved ? BookmarkCheck : Bookmark;
+
+  return (
+    <Button
+      type="button"
+      variant="ghost"
+      size="sm"
+      onClick={toggle}
+      disabled={pending}
+      aria-pressed={saved}
+      aria-label={showLabel ? undefined : label}
+      title={label}
+      className={saved ? 'text-primary' : undefined}
+    >
+      <Icon className="h-4 w-4" />
+      {showLabel && (saved ? 'Saved' : 'Save')}
+    </Button>
+  );
+};
+
+export default BookmarkButton;
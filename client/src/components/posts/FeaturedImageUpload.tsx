@@ -0,0 +1,118 @@
+import { useEffect, useRef, useState } from 'react';
+import { ImagePlus, X } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/button';
+import { cn } from '@/lib/utils';
+import { ACCEPTED_IMAGE_TYPES } from '@/lib/uploads';
+
+interface FeaturedImageUploadProps {
+  id?: string;
+  // URL of the image already saved on the post
+  value: string;
+  // Image picked in this session, uploaded once the post is saved
+  file: File | null;
+  onFileChange: (file: File | null) => void;
+  onRemove: () => void;
+  disabled?: boolean;
+}
+
+const FeaturedImageUpload = ({ id, value, file, onFileChange, onRemove, disabled }: FeaturedImageUploadProps) => {
+  const inputRef = useRef<HTMLInputElement>(null);
+  const [dragging, setDragging] = useState(false);
+  const [preview, setPreview] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!file) {
+      setPreview(null);
+      return;
+    }
+    const url = URL.createObjectURL(file);
+    setPreview(url);
+    return () => URL.revokeObjectURL(url);
+  }, [file]);
+
+  const pick = (files: FileList | null) => {
+    const picked = files?.[0];
+    if (!picked) return;
+
+    if (!ACCEPTED_IMAGE_TYPES.includes(picked.type)) {
+      toast.error('Please choose a JPEG, PNG, GIF or WebP image');
+      return;
+    }
+    onFileChange(picked);
+  };
+
+  const handleDrop = (e: React.DragEvent) => {
+    e.preventDefault();
+    setDragging(false);
+    if (!disabled) pick(e.dataTransfer.files);
+  };
+
+  const clear = () => {
+    if (file) {
+      onFileChange(null);
+    } else {
+      onRemove();
+    }
+    if (inputRef.current) inputRef.current.value = '';
+  };
+
+  const src = preview || value;
+
+  return (
+    <div>
+      <input
+        ref={inputRef}
+        id={id}
+        type="file"
+        accept={ACCEPTED_IMAGE_TYPES.join(',')}
+        className="sr-only"
+        onChange={(e) => pick(e.target.files)}
+        disabled={disabled}
+      />
+      {src ? (
+        <div className="relative overflow-hidden rounded-lg border">
+          <img src={src} alt="Featured image preview" className="w-full max-h-72 object-cover" />
+          <Button
+            type="button"
+            size="icon"
+            variant="secondary"
+            className="absolute top-2 right-2"
+            onClick={clear}
+            disabled={disabled}
+            aria-label={file ? 'Discard selected image' : 'Remove featured image'}
+          >
+            <X className="h-4 w-4" />
+          </Button>
+          {file && (
+            <p className="absolute bottom-0 inset-x-0 bg-background/80 px-3 py-1 text-xs">
+              {file.name} &middot; uploads when you save
+            </p>
+          )}
+        </div>
+      ) : (
+        <button
+          type="button"
+          onClick={() => inputRef.current?.click()}
+          onDragOver={(e) => {
+            e.preventDefault();
+            setDragging(true);
+          }}
+          onDragLeave={() => setDragging(false)}
+          onDrop={handleDrop}
+          disabled={disabled}
+          className={cn(
+            'flex w-full flex-col items-center justify-center gap-2 rounded-lg border-2 border-dashed p-8 text-sm text-muted-foreground transition-colors',
+            dragging ? 'border-primary bg-primary/5' : 'hover:border-primary/50'
+          )}
+        >
+          <ImagePlus className="h-8 w-8" />
+          <span>Drag an image here or click to browse</span>
+          <span className="text-xs">JPEG, PNG, GIF or WebP</span>
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default FeaturedImageUpload;
@@ -0,0 +1,72 @@
+import { useEffect } from 'react';
+import { Loader2 } from 'lucide-react';
+import { Textarea } from '@/components/ui/textarea';
+import { usePost } from '@/hooks/useApi';
+import { useDebounce } from '@/hooks/useDebounce';
+import type { ContentFormat, TocEntry } from '@/types';
+
+interface PostPreview {
+  html: string;
+  toc: TocEntry[];
+  excerpt: string;
+  wordCount: number;
+  readingTime: number;
+}
+
+interface MarkdownEditorProps {
+  id: string;
+  value: string;
+  format: ContentFormat;
+  onChange: (value: string) => void;
+  disabled?: boolean;
+  invalid?: boolean;
+}
+
+// Source on the left, the server's rendering of it on the right, so the preview matches the published post
+const MarkdownEditor = ({ id, value, format, onChange, disabled, invalid }: MarkdownEditorProps) => {
+  const source = useDebounce(value, 500);
+  const { data: preview, isLoading, execute } = usePost<PostPreview>('/posts/preview');
+
+  useEffect(() => {
+    if (!source.trim()) return;
+    // Failures are already toasted; the pane keeps showing the last good render
+    execute({ content: source, contentFormat: format }).catch(() => {});
+  }, [source, format, execute]);
+
+  return (
+    <div className="grid gap-4 lg:grid-cols-2">
+      <Textarea
+        id={id}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder={
+          format === 'markdown'
+            ? 'Write your post in Markdown: # headings, **bold**, [links](https://...), ```code```'
+            : 'Write your post content here...'
+        }
+        rows={18}
+        className="font-mono text-sm"
+        disabled={disabled}
+        aria-invalid={invalid}
+      />
+      <div className="relative min-h-[12rem] max-h-[30rem] overflow-y-auto rounded-md border bg-muted/20 p-4">
+        <span className="absolute right-3 top-2 text-xs text-muted-foreground">
+          {isLoading ? (
+            <Loader2 className="h-3 w-3 animate-spin" />
+          ) : value.trim() && preview ? (
+            `${preview.wordCount} ${preview.wordCount === 1 ? 'word' : 'words'} · ${preview.readingTime} min read`
+          ) : (
+            'Preview'
+          )}
+        </span>
+        {value.trim() && preview?.html ? (
+          <div className="post-content" dangerouslySetInnerHTML={{ __html: preview.html }} />
+        ) : (
+          <p className="text-sm text-muted-foreground">Nothing to preview yet.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MarkdownEditor;
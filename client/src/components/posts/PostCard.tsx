@@ -0,0 +1,82 @@
+import { Link } from 'react-router-dom';
+import { format } from 'date-fns';
+import { Calendar, Clock, User } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import AuthorLink from '@/components/AuthorLink';
+import ResponsiveImage from '@/components/ResponsiveImage';
+import BookmarkButton from './BookmarkButton';
+import ReactionBar from './ReactionBar';
+import type { Post } from '@/types';
+
+interface PostCardProps {
+  post: Post;
+  onBookmarkChange?: (isBookmarked: boolean) => void;
+}
+
+const PostCard = ({ post, onBookmarkChange }: PostCardProps) => {
+  const date = post.publishedAt || post.createdAt;
+
+  return (
+    <article className="border rounded-lg overflow-hidden bg-card hover:shadow-lg transition-shadow duration-300">
+      {post.featuredImage && (
+        <ResponsiveImage
+          src={post.featuredImage}
+          details={post.featuredImageDetails}
+          alt=""
+          sizes="(min-width: 1024px) 33vw, (min-width: 768px) 50vw, 100vw"
+          className="w-full aspect-video object-cover"
+        />
+      )}
+      <div className="p-6">
+        <h2 className="text-xl font-semibold mb-2 line-clamp-2">{post.title}</h2>
+
+        <div className="flex items-center text-sm text-muted-foreground mb-4 space-x-4">
+          <div className="flex items-center">
+            <User className="h-4 w-4 mr-1" />
+            <AuthorLink author={post.author} />
+          </div>
+          <div className="flex items-center">
+            <Calendar className="h-4 w-4 mr-1" />
+            <time dateTime={date}>
+              {format(new Date(date), 'MMM d, yyyy')}
+            </time>
+          </div>
+          {!!post.readingTime && (
+            <div className="flex items-center">
+              <Clock className="h-4 w-4 mr-1" />
+              <span>{post.readingTime} min read</span>
+            </div>
+          )}
+        </div>
+
+        {/* The server derives an excerpt from the rendered text when the author leaves it empty */}
+        {post.excerpt && <p className="text-foreground mb-4 line-clamp-3">{post.excerpt}</p>}
+
+        <div className="flex flex-wrap gap-2 mb-4">
+          {post.categories?.map((cat) => (
+            <span
+              key={cat._id}
+              className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-primary/10 text-primary"
+            >
+              {cat.name}
+            </span>
+          ))}
+        </div>
+
+        <div className="flex justify-between items-center gap-2 pt-3 border-t">
+          <Button variant="outline" size="sm" asChild>
+            <Link to={`/posts/${post.slug || post._id}`}>
+              Read more
+            </Link>
+          </Button>
+          <div className="flex items-center gap-1">
+            {post.status === 'published' && <ReactionBar post={post} compact className="justify-end" />}
+            <BookmarkButton post={post} onChange={onBookmarkChange} />
+          </div>
+        </div>
+      </div>
+    </article>
+  );
+};
+
+export default PostCard;
@@ -0,0 +1,17 @@
+import { cn } from '@/lib/utils';
+import type { Post } from '@/types';
+
+interface PostContentProps {
+  post: Pick<Post, 'content' | 'contentHtml'>;
+  className?: string;
+}
+
+// Server-rendered, sanitized post body; posts saved before rendering existed fall back to raw text
+const PostContent = ({ post, className }: PostContentProps) =>
+  post.contentHtml ? (
+    <div className={cn('post-content', className)} dangerouslySetInnerHTML={{ __html: post.contentHtml }} />
+  ) : (
+    <div className={cn('whitespace-pre-wrap leading-relaxed', className)}>{post.content}</div>
+  );
+
+export default PostContent;
@@ -0,0 +1,311 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import FieldError from '@/components/FieldError';
+import CategoryTree from '@/components/categories/CategoryTree';
+import { useAuth } from '@/contexts/AuthContext';
+import { useGet } from '@/hooks/useApi';
+import { getFieldErrors, type FieldErrors } from '@/lib/api-error';
+import { normalizeTag } from '@/lib/tags';
+import type { CategoryNode, ContentFormat, PostStatus } from '@/types';
+import { emptyPostFormValues, type PostFormValues } from './post-form-values';
+import FeaturedImageUpload from './FeaturedImageUpload';
+import MarkdownEditor from './MarkdownEditor';
+import TagInput from './TagInput';
+
+interface PostFormProps {
+  initialValues?: PostFormValues;
+  submitLabel: string;
+  submittingLabel: string;
+  // The picked image is uploaded separately once the post itself is saved
+  onSubmit: (values: PostFormValues, image: File | null) => Promise<unknown>;
+}
+
+const PostForm = ({ initialValues = emptyPostFormValues, submitLabel, submittingLabel, onSubmit }: PostFormProps) => {
+  const [values, setValues] = useState<PostFormValues>(initialValues);
+  const { can } = useAuth();
+  // Posts that are already live keep their status options; only going live needs the permission
+  const canPublish = can('post:publish') || ['published', 'scheduled'].includes(initialValues.status);
+  const [image, setImage] = useState<File | null>(null);
+  const [fieldErrors, setFieldErrors] = useState<FieldErrors>({});
+  const [submitting, setSubmitting] = useState(false);
+  const navigate = useNavigate();
+
+  const { data: categoryData, isLoading: categoriesLoading } = useGet<CategoryNode[]>('/categories/tree');
+  const categories = Array.isArray(categoryData) ? categoryData : [];
+
+  const setField = <K extends keyof PostFormValues>(key: K, value: PostFormValues[K]) => {
+    setValues((prev) => ({ ...prev, [key]: value }));
+    setFieldErrors((prev) => ({ ...prev, [key]: '' }));
+  };
+
+  const setMetaField = <K extends keyof PostFormValues['meta']>(key: K, value: PostFormValues['meta'][K]) => {
+    setValues((prev) => ({ ...prev, meta: { ...prev.meta, [key]: value } }));
+    setFieldErrors((prev) => ({ ...prev, [`meta.${key}`]: '' }));
+  };
+
+  const toggleCategory = (id: string) => {
+    setField(
+      'categories',
+      values.categories.includes(id)
+        ? values.categories.filter((existing) => existing !== id)
+        : [...values.categories, id]
+    );
+  };
+
+  const validate = (): FieldErrors => {
+    const errors: FieldErrors = {};
+    if (!values.title.trim()) errors.title = 'Title is required';
+    if (!values.content.trim()) errors.content = 'Content is required';
+    if (values.categories.length === 0) errors.categories = 'At least one category is required';
+    if (values.status === 'scheduled' && !(new Date(values.publishedAt) > new Date())) {
+      errors.publishedAt = 'Pick a publish date in the future';
+    }
+    return errors;
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    const errors = validate();
+    if (Object.keys(errors).length > 0) {
+      setFieldErrors(errors);
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setFieldErrors({});
+      await onSubmit(values, image);
+    } catch (error) {
+      setFieldErrors(getFieldErrors(error));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6" noValidate>
+      <div className="space-y-2">
+        <Label htmlFor="title">Title</Label>
+        <Input
+          id="title"
+          value={values.title}
+          onChange={(e) => setField('title', e.target.value)}
+          placeholder="Enter post title"
+          maxLength={200}
+          disabled={submitting}
+          aria-invalid={!!fieldErrors.title}
+        />
+        <FieldError message={fieldErrors.title} />
+      </div>
+
+      <div className="space-y-2">
+        <Label>Categories</Label>
+        <CategoryTree
+          nodes={categories}
+          defaultExpanded
+          className="max-h-72 overflow-y-auto rounded-md border p-2"
+          renderItem={(cat) => {
+            const selected = values.categories.includes(cat._id);
+            return (
+              <Button
+                type="button"
+                size="sm"
+                variant={selected ? 'default' : 'outline'}
+                onClick={() => toggleCategory(cat._id)}
+                disabled={submitting}
+                aria-pressed={selected}
+              >
+                {cat.name}
+              </Button>
+            );
+          }}
+        />
+        {!categoriesLoading && categories.length === 0 && (
+          <p className="text-sm text-muted-foreground">
+            No categories available. Please create a category first.
+          </p>
+        )}
+        <FieldError message={fieldErrors.categories} />
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex items-center justify-between gap-4">
+          <Label htmlFor="content">Content</Label>
+          <Select
+            value={values.contentFormat}
+            onValueChange={(contentFormat) => setField('contentFormat', contentFormat as ContentFormat)}
+            disabled={submitting}
+          >
+            <SelectTrigger className="w-36" size="sm" aria-label="Content format">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="markdown">Markdown</SelectItem>
+              <SelectItem value="plain">Plain text</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+        <MarkdownEditor
+          id="content"
+          value={values.content}
+          format={values.contentFormat}
+          onChange={(content) => setField('content', content)}
+          disabled={submitting}
+          invalid={!!fieldErrors.content}
+        />
+        <FieldError message={fieldErrors.content} />
+        <FieldError message={fieldErrors.contentFormat} />
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor="featured-image">Featured image</Label>
+        <FeaturedImageUpload
+          id="featured-image"
+          value={values.featuredImage}
+          file={image}
+          onFileChange={setImage}
+          onRemove={() => setField('featuredImage', '')}
+          disabled={submitting}
+        />
+        <FieldError message={fieldErrors.featuredImage} />
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor="excerpt">Excerpt</Label>
+        <Textarea
+          id="excerpt"
+          value={values.excerpt}
+          onChange={(e) => setField('excerpt', e.target.value)}
+          placeholder="Short summary shown in post listings (generated from content if left empty)"
+          rows={3}
+          maxLength={500}
+          disabled={submitting}
+          aria-invalid={!!fieldErrors.excerpt}
+        />
+        <FieldError message={fieldErrors.excerpt} />
+      </div>
+
+      <div className="grid gap-6 sm:grid-cols-2">
+        <div className="space-y-2">
+          <Label htmlFor="tags">Tags</Label>
+          <TagInput
+            id="tags"
+            value={values.tags}
+            onChange={(tags) => setField('tags', tags)}
+            disabled={submitting}
+            normalize={normalizeTag}
+            suggest
+            invalid={!!fieldErrors.tags}
+          />
+          <FieldError message={fieldErrors.tags} />
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="status">Status</Label>
+          <Select
+            value={values.status}
+            onValueChange={(status) => setField('status', status as PostStatus)}
+            disabled={submitting}
+          >
+            <SelectTrigger id="status" className="w-full" aria-invalid={!!fieldErrors.status}>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="draft">Draft</SelectItem>
+              {canPublish && <SelectItem value="scheduled">Scheduled</SelectItem>}
+              {canPublish && <SelectItem value="published">Published</SelectItem>}
+              <SelectItem value="archived">Archived</SelectItem>
+            </SelectContent>
+          </Select>
+          <FieldError message={fieldErrors.status} />
+          {!canPublish && (
+            <p className="text-xs text-muted-foreground">Publishing needs a publisher account, so posts are saved as drafts for now.</p>
+          )}
+        </div>
+      </div>
+
+      {values.status === 'scheduled' && (
+        <div className="space-y-2">
+          <Label htmlFor="publishedAt">Publish at</Label>
+          <Input
+            id="publishedAt"
+            type="datetime-local"
+            value={values.publishedAt}
+            onChange={(e) => setField('publishedAt', e.target.value)}
+            disabled={submitting}
+            aria-invalid={!!fieldErrors.publishedAt}
+          />
+          <FieldError message={fieldErrors.publishedAt} />
+        </div>
+      )}
+
+      <fieldset className="space-y-4 rounded-lg border p-4">
+        <legend className="px-1 text-sm font-medium">SEO</legend>
+
+        <div className="space-y-2">
+          <Label htmlFor="meta-title">Meta title</Label>
+          <Input
+            id="meta-title"
+            value={values.meta.title}
+            onChange={(e) => setMetaField('title', e.target.value)}
+            placeholder="Defaults to the post title"
+            maxLength={70}
+            disabled={submitting}
+            aria-invalid={!!fieldErrors['meta.title']}
+          />
+          <FieldError message={fieldErrors['meta.title']} />
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="meta-description">Meta description</Label>
+          <Textarea
+            id="meta-description"
+            value={values.meta.description}
+            onChange={(e) => setMetaField('description', e.target.value)}
+            placeholder="Summary shown by search engines"
+            rows={2}
+            maxLength={160}
+            disabled={submitting}
+            aria-invalid={!!fieldErrors['meta.description']}
+          />
+          <FieldError message={fieldErrors['meta.description']} />
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="meta-keywords">Meta keywords</Label>
+          <TagInput
+            id="meta-keywords"
+            value={values.meta.keywords}
+            onChange={(keywords) => setMetaField('keywords', keywords)}
+            placeholder="Add a keyword and press Enter"
+            disabled={submitting}
+            invalid={!!fieldErrors['meta.keywords']}
+          />
+          <FieldError message={fieldErrors['meta.keywords']} />
+        </div>
+      </fieldset>
+
+      <div className="flex justify-end space-x-4">
+        <Button
+          type="button"
+          variant="outline"
+          onClick={() => navigate(-1)}
+          disabled={submitting}
+        >
+          Cancel
+        </Button>
+        <Button type="submit" disabled={submitting}>
+          {submitting ? submittingLabel : submitLabel}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default PostForm;
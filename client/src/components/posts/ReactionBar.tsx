@@ -0,0 +1,106 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '@/contexts/AuthContext';
+import apiClient from '@/lib/axios';
+import { handleApiError } from '@/lib/api-error';
+import { cn } from '@/lib/utils';
+import type { Post, ReactionCounts, ReactionType } from '@/types';
+
+// Same set and order as the server's REACTION_TYPES
+const REACTIONS: { type: ReactionType; emoji: string; label: string }[] = [
+  { type: 'like', emoji: '👍', label: 'Like' },
+  { type: 'love', emoji: '❤️', label: 'Love' },
+  { type: 'insightful', emoji: '💡', label: 'Insightful' },
+  { type: 'celebrate', emoji: '🎉', label: 'Celebrate' },
+];
+
+const EMPTY_COUNTS: ReactionCounts = { like: 0, love: 0, insightful: 0, celebrate: 0 };
+
+interface ReactionState {
+  counts: ReactionCounts;
+  mine: ReactionType | null;
+}
+
+interface ReactionBarProps {
+  post: Pick<Post, '_id' | 'reactionCounts' | 'myReaction'>;
+  // Cards only show reactions someone has used
+  compact?: boolean;
+  className?: string;
+}
+
+// What the server will do with a toggle, applied locally so the click feels instant
+const applyToggle = ({ counts, mine }: ReactionState, type: ReactionType): ReactionState => {
+  const next = { ...counts };
+  if (mine) next[mine] = Math.max(0, next[mine] - 1);
+  if (mine === type) return { counts: next, mine: null };
+  next[type] += 1;
+  return { counts: next, mine: type };
+};
+
+const ReactionBar = ({ post, compact = false, className }: ReactionBarProps) => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [state, setState] = useState<ReactionState>({
+    counts: { ...EMPTY_COUNTS, ...post.reactionCounts },
+    mine: post.myReaction ?? null,
+  });
+  const [pending, setPending] = useState(false);
+
+  const toggle = async (type: ReactionType) => {
+    if (!user) {
+      navigate('/login');
+      return;
+    }
+
+    const previous = state;
+    setState(applyToggle(state, type));
+
+    try {
+      setPending(true);
+      const { data } = await apiClient.post<{ reactionCounts: ReactionCounts; myReaction: ReactionType | null }>(
+        `/posts/${post._id}/reactions`,
+        { type }
+      );
+      setState({ counts: { ...EMPTY_COUNTS, ...data.reactionCounts }, mine: data.myReaction });
+    } catch (err) {
+      setState(previous);
+      handleApiError(err, 'Failed to save your reaction. Please try again.');
+    } finally {
+      setPending(false);
+    }
+  };
+
+  const shown = compact
+    ? REACTIONS.filter(({ type }) => state.counts[type] > 0 || state.mine === type)
+    : REACTIONS;
+
+  if (shown.length === 0) return null;
+
+  return (
+    <div className={cn('flex flex-wrap gap-1.5', className)} role="group" aria-label="Reactions">
+      {shown.map(({ type, emoji, label }) => {
+        const active = state.mine === type;
+        return (
+          <button
+            key={type}
+            type="button"
+            onClick={() => toggle(type)}
+            disabled={pending}
+            aria-pressed={active}
+            title={label}
+            className={cn(
+              'inline-flex items-center gap-1 rounded-full border px-2.5 py-0.5 text-sm transition-colors disabled:cursor-wait',
+              active ? 'border-primary bg-primary/10 text-primary' : 'hover:bg-accent'
+            )}
+          >
+            <span aria-hidden="true">{emoji}</span>
+            <span className="sr-only">{label}</span>
+            <span className="tabular-nums">{state.counts[type]}</span>
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ReactionBar;
@@ -0,0 +1,66 @@
+import { diffLines, type DiffLine } from '@/lib/diff';
+import { cn } from '@/lib/utils';
+import type { RevisionSnapshot } from '@/types';
+
+interface RevisionDiffProps {
+  before: RevisionSnapshot;
+  after: RevisionSnapshot;
+}
+
+// Flatten each snapshot field to text so every field can be diffed line by line
+const FIELDS: { label: string; toText: (snapshot: RevisionSnapshot) => string }[] = [
+  { label: 'Title', toText: (s) => s.title || '' },
+  { label: 'Content', toText: (s) => s.content || '' },
+  { label: 'Format', toText: (s) => s.contentFormat || 'plain' },
+  { label: 'Excerpt', toText: (s) => s.excerpt || '' },
+  { label: 'Tags', toText: (s) => (s.tags || []).join('\n') },
+  { label: 'Categories', toText: (s) => (s.categories || []).join('\n') },
+  { label: 'Featured image', toText: (s) => s.featuredImage || '' },
+  { label: 'Meta title', toText: (s) => s.meta?.title || '' },
+  { label: 'Meta description', toText: (s) => s.meta?.description || '' },
+  { label: 'Meta keywords', toText: (s) => (s.meta?.keywords || []).join('\n') },
+];
+
+const LINE_STYLES: Record<DiffLine['type'], string> = {
+  equal: 'text-muted-foreground',
+  added: 'bg-green-500/10 text-green-700 dark:text-green-400',
+  removed: 'bg-red-500/10 text-red-700 dark:text-red-400 line-through decoration-red-400/50',
+};
+
+const LINE_PREFIX: Record<DiffLine['type'], string> = {
+  equal: ' ',
+  added: '+',
+  removed: '-',
+};
+
+const RevisionDiff = ({ before, after }: RevisionDiffProps) => {
+  const changes = FIELDS.map(({ label, toText }) => ({
+    label,
+    before: toText(before),
+    after: toText(after),
+  })).filter((field) => field.before !== field.after);
+
+  if (changes.length === 0) {
+    return <p className="text-muted-foreground py-6 text-center">These revisions are identical.</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      {changes.map((field) => (
+        <section key={field.label}>
+          <h3 className="text-sm font-medium mb-2">{field.label}</h3>
+          <pre className="border rounded-md overflow-x-auto text-sm font-mono">
+            {diffLines(field.before, field.after).map((line, index) => (
+              <div key={index} className={cn('px-3 whitespace-pre-wrap', LINE_STYLES[line.type])}>
+                <span className="select-none mr-2">{LINE_PREFIX[line.type]}</span>
+                {line.text || ' '}
+              </div>
+            ))}
+          </pre>
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default RevisionDiff;
@@ -0,0 +1,29 @@
+import { cn } from '@/lib/utils';
+import type { TocEntry } from '@/types';
+
+interface TableOfContentsProps {
+  entries: TocEntry[];
+  className?: string;
+}
+
+const TableOfContents = ({ entries, className }: TableOfContentsProps) => {
+  // Indent relative to the shallowest heading so posts starting at h2 aren't pushed right
+  const topLevel = Math.min(...entries.map((entry) => entry.level));
+
+  return (
+    <nav aria-label="Table of contents" className={cn('rounded-lg border p-4 text-sm', className)}>
+      <p className="font-medium mb-2">Contents</p>
+      <ol className="space-y-1">
+        {entries.map((entry) => (
+          <li key={entry.id} style={{ paddingLeft: `${(entry.level - topLevel) * 0.75}rem` }}>
+            <a href={`#${entry.id}`} className="text-muted-foreground hover:text-primary hover:underline">
+              {entry.text}
+            </a>
+          </li>
+        ))}
+      </ol>
+    </nav>
+  );
+};
+
+export default TableOfContents;
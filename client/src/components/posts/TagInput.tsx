@@ -0,0 +1,160 @@
+import { useEffect, useRef, useState } from 'react';
+import { X } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { useApi } from '@/hooks/useApi';
+import { useDebounce } from '@/hooks/useDebounce';
+import { cn } from '@/lib/utils';
+import type { Tag } from '@/types';
+
+const SUGGESTION_LIMIT = 8;
+
+interface TagInputProps {
+  id?: string;
+  value: string[];
+  onChange: (tags: string[]) => void;
+  placeholder?: string;
+  disabled?: boolean;
+  invalid?: boolean;
+  // Offer existing tags from the API while typing
+  suggest?: boolean;
+  // Clean up each entry before it is added; defaults to trimming
+  normalize?: (raw: string) => string;
+}
+
+const trim = (raw: string) => raw.trim();
+
+const TagInput = ({
+  id,
+  value,
+  onChange,
+  placeholder = 'Add a tag and press Enter',
+  disabled,
+  invalid,
+  suggest = false,
+  normalize = trim,
+}: TagInputProps) => {
+  const [draft, setDraft] = useState('');
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+  const containerRef = useRef<HTMLDivElement>(null);
+  const query = useDebounce(normalize(draft), 200);
+
+  const { data, execute, setData } = useApi<Tag[]>('/tags', 'get', { autoFetch: false });
+  const suggestions = suggest && query && Array.isArray(data)
+    ? data.filter((tag) => !value.includes(tag.name))
+    : [];
+
+  useEffect(() => {
+    if (!suggest || !query) {
+      setData(null);
+      return;
+    }
+    execute({ q: query, limit: SUGGESTION_LIMIT }).catch(() => {});
+  }, [suggest, query, execute, setData]);
+
+  // Close the suggestion list when clicking anywhere else
+  useEffect(() => {
+    if (!suggest) return;
+    const handleClick = (e: MouseEvent) => {
+      if (!containerRef.current?.contains(e.target as Node)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [suggest]);
+
+  const addTag = (raw: string) => {
+    const tag = normalize(raw);
+    if (tag && !value.some((existing) => existing.toLowerCase() === tag.toLowerCase())) {
+      onChange([...value, tag]);
+    }
+    setDraft('');
+    setHighlighted(-1);
+  };
+
+  const removeTag = (tag: string) => {
+    onChange(value.filter((existing) => existing !== tag));
+  };
+
+  const handleKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === 'ArrowDown' && suggestions.length > 0) {
+      e.preventDefault();
+      setOpen(true);
+      setHighlighted((index) => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+      e.preventDefault();
+      setHighlighted((index) => (index <= 0 ? suggestions.length - 1 : index - 1));
+    } else if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag(open && suggestions[highlighted] ? suggestions[highlighted].name : draft);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    } else if (e.key === 'Backspace' && !draft && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative space-y-2">
+      {value.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {value.map((tag) => (
+            <Badge key={tag} variant="secondary" className="gap-1">
+              #{tag}
+              <button
+                type="button"
+                onClick={() => removeTag(tag)}
+                disabled={disabled}
+                aria-label={`Remove tag ${tag}`}
+                className="hover:text-destructive"
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </Badge>
+          ))}
+        </div>
+      )}
+      <Input
+        id={id}
+        value={draft}
+        onChange={(e) => {
+          setDraft(e.target.value);
+          setOpen(true);
+          setHighlighted(-1);
+        }}
+        onKeyDown={handleKeyDown}
+        // Picking a suggestion with the mouse blurs first, so leave that case to the click
+        onBlur={(e) => {
+          if (draft && !containerRef.current?.contains(e.relatedTarget as Node)) addTag(draft);
+        }}
+        placeholder={placeholder}
+        disabled={disabled}
+        aria-invalid={invalid}
+        autoComplete="off"
+        role={suggest ? 'combobox' : undefined}
+        aria-expanded={suggest ? open && suggestions.length > 0 : undefined}
+      />
+      {open && suggestions.length > 0 && (
+        <ul role="listbox" className="absolute z-50 mt-1 w-full rounded-md border bg-popover py-1 shadow-md">
+          {suggestions.map((tag, index) => (
+            <li key={tag.name} role="option" aria-selected={index === highlighted}>
+              <button
+                type="button"
+                onClick={() => addTag(tag.name)}
+                className={cn(
+                  'flex w-full justify-between px-3 py-1.5 text-left text-sm hover:bg-accent',
+                  index === highlighted && 'bg-accent'
+                )}
+              >
+                <span>#{tag.name}</span>
+                <span className="text-muted-foreground">{tag.count}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
@@ -0,0 +1,64 @@
+import { format } from 'date-fns';
+import type { ContentFormat, Post, PostStatus } from '@/types';
+
+export interface PostFormValues {
+  title: string;
+  content: string;
+  contentFormat: ContentFormat;
+  excerpt: string;
+  featuredImage: string;
+  categories: string[];
+  tags: string[];
+  status: PostStatus;
+  // Local date and time as used by <input type="datetime-local">
+  publishedAt: string;
+  meta: {
+    title: string;
+    description: string;
+    keywords: string[];
+  };
+}
+
+export const emptyPostFormValues: PostFormValues = {
+  title: '',
+  content: '',
+  contentFormat: 'markdown',
+  excerpt: '',
+  featuredImage: '',
+  categories: [],
+  tags: [],
+  status: 'draft',
+  publishedAt: '',
+  meta: {
+    title: '',
+    description: '',
+    keywords: [],
+  },
+};
+
+// Pre-fill the form from a post as returned by the API
+export const toPostFormValues = (post: Post): PostFormValues => ({
+  title: post.title,
+  content: post.content,
+  contentFormat: post.contentFormat || 'plain',
+  // Leave generated excerpts out so they keep following the content
+  excerpt: post.excerptGenerated ? '' : post.excerpt || '',
+  featuredImage: post.featuredImage || '',
+  categories: post.categories.map((cat) => cat._id),
+  tags: post.tags || [],
+  status: post.status,
+  publishedAt: post.publishedAt ? format(new Date(post.publishedAt), "yyyy-MM-dd'T'HH:mm") : '',
+  meta: {
+    title: post.meta?.title || '',
+    description: post.meta?.description || '',
+    keywords: post.meta?.keywords || [],
+  },
+});
+
+// Shape the form values into a request body; only scheduled posts send a publish date
+export const toPostPayload = ({ publishedAt, ...values }: PostFormValues) => ({
+  ...values,
+  ...(values.status === 'scheduled' && publishedAt
+    ? { publishedAt: new Date(publishedAt).toISOString() }
+    : {}),
+});
@@ -0,0 +1,109 @@
+import { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Loader2, Search } from 'lucide-react';
+import { Input } from '@/components/ui/input';
+import { useApi } from '@/hooks/useApi';
+import { useDebounce } from '@/hooks/useDebounce';
+import type { SearchResult } from '@/types';
+
+const MIN_QUERY_LENGTH = 2;
+const SUGGESTION_LIMIT = 5;
+
+const SearchBar = () => {
+  const [query, setQuery] = useState('');
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef<HTMLDivElement>(null);
+  const navigate = useNavigate();
+  const debouncedQuery = useDebounce(query.trim(), 300);
+
+  const { data, isLoading, execute, setData } = useApi<SearchResult[]>('/posts/search', 'get', {
+    autoFetch: false,
+  });
+  const suggestions = debouncedQuery.length >= MIN_QUERY_LENGTH && Array.isArray(data) ? data : [];
+
+  useEffect(() => {
+    if (debouncedQuery.length < MIN_QUERY_LENGTH) {
+      setData(null);
+      return;
+    }
+    execute({ q: debouncedQuery, limit: SUGGESTION_LIMIT }).catch(() => {});
+  }, [debouncedQuery, execute, setData]);
+
+  // Close the suggestion list when clicking anywhere else
+  useEffect(() => {
+    const handleClick = (e: MouseEvent) => {
+      if (!containerRef.current?.contains(e.target as Node)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, []);
+
+  const goTo = (path: string) => {
+    setOpen(false);
+    setQuery('');
+    navigate(path);
+  };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    const q = query.trim();
+    if (q) goTo(`/search?q=${encodeURIComponent(q)}`);
+  };
+
+  return (
+    <div ref={containerRef} className="relative w-full max-w-xs">
+      <form onSubmit={handleSubmit} role="search">
+        <Search className="absolute left-2.5 top-2.5 h-4 w-4 text-muted-foreground" />
+        <Input
+          type="search"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onKeyDown={(e) => e.key === 'Escape' && setOpen(false)}
+          placeholder="Search posts..."
+          aria-label="Search posts"
+          className="pl-8"
+        />
+      </form>
+
+      {open && debouncedQuery.length >= MIN_QUERY_LENGTH && (
+        <div className="absolute z-50 mt-1 w-full rounded-md border bg-popover shadow-md">
+          {isLoading && suggestions.length === 0 ? (
+            <div className="flex justify-center p-3">
+              <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />
+            </div>
+          ) : suggestions.length === 0 ? (
+            <p className="p-3 text-sm text-muted-foreground">No matching posts</p>
+          ) : (
+            <ul className="py-1">
+              {suggestions.map((post) => (
+                <li key={post._id}>
+                  <button
+                    type="button"
+                    onClick={() => goTo(`/posts/${post.slug || post._id}`)}
+                    className="w-full px-3 py-2 text-left text-sm hover:bg-accent [&_mark]:bg-yellow-200 [&_mark]:text-foreground"
+                    dangerouslySetInnerHTML={{ __html: post.highlights.title }}
+                  />
+                </li>
+              ))}
+              <li className="border-t">
+                <button
+                  type="button"
+                  onClick={() => goTo(`/search?q=${encodeURIComponent(debouncedQuery)}`)}
+                  className="w-full px-3 py-2 text-left text-sm font-medium text-primary hover:bg-accent"
+                >
+                  See all results for "{debouncedQuery}"
+                </button>
+              </li>
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchBar;
@@ -0,0 +1,213 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { handleApiError } from '@/lib/api-error';
+import { uploadImage } from '@/lib/uploads';
+import type { ImageDetails } from '@/types';
+
+// On-screen crop square, and the size of the image actually uploaded
+const VIEWPORT = 256;
+const OUTPUT_SIZE = 512;
+const MAX_ZOOM = 3;
+
+export interface AvatarUpload {
+  profileImage: string;
+  profileImageDetails: ImageDetails | null;
+}
+
+interface AvatarCropDialogProps {
+  file: File | null;
+  onOpenChange: (open: boolean) => void;
+  onUploaded: (avatar: AvatarUpload) => void;
+}
+
+interface Crop {
+  // Image size at zoom 1, where its shorter side just fills the square
+  width: number;
+  height: number;
+  zoom: number;
+  // Image's top-left corner relative to the square
+  x: number;
+  y: number;
+}
+
+// Keep the image covering the whole square, whatever the zoom and drag
+const clampCrop = (crop: Crop): Crop => {
+  const width = crop.width * crop.zoom;
+  const height = crop.height * crop.zoom;
+  return {
+    ...crop,
+    x: Math.min(0, Math.max(VIEWPORT - width, crop.x)),
+    y: Math.min(0, Math.max(VIEWPORT - height, crop.y)),
+  };
+};
+
+const canvasToBlob = (canvas: HTMLCanvasElement, type: string) =>
+  new Promise<Blob>((resolve, reject) =>
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not crop the image'))), type, 0.9)
+  );
+
+// Lets the user frame a square avatar by dragging and zooming, then uploads just that square
+const AvatarCropDialog = ({ file, onOpenChange, onUploaded }: AvatarCropDialogProps) => {
+  const src = useMemo(() => (file ? URL.createObjectURL(file) : ''), [file]);
+  const imageRef = useRef<HTMLImageElement>(null);
+  const dragRef = useRef<{ pointerX: number; pointerY: number; x: number; y: number } | null>(null);
+  const [crop, setCrop] = useState<Crop | null>(null);
+  const [uploading, setUploading] = useState(false);
+
+  useEffect(() => () => {
+    if (src) URL.revokeObjectURL(src);
+  }, [src]);
+
+  const handleLoad = (e: React.SyntheticEvent<HTMLImageElement>) => {
+    const { naturalWidth, naturalHeight } = e.currentTarget;
+    const scale = VIEWPORT / Math.min(naturalWidth, naturalHeight);
+    const width = naturalWidth * scale;
+    const height = naturalHeight * scale;
+    setCrop({ width, height, zoom: 1, x: (VIEWPORT - width) / 2, y: (VIEWPORT - height) / 2 });
+  };
+
+  const handleZoom = (zoom: number) => {
+    if (!crop) return;
+    // Zoom around the centre of the square rather than the image's corner
+    const centre = VIEWPORT / 2;
+    const ratio = zoom / crop.zoom;
+    setCrop(
+      clampCrop({
+        ...crop,
+        zoom,
+        x: centre - (centre - crop.x) * ratio,
+        y: centre - (centre - crop.y) * ratio,
+      })
+    );
+  };
+
+  const handlePointerDown = (e: React.PointerEvent<HTMLDivElement>) => {
+    if (!crop) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { pointerX: e.clientX, pointerY: e.clientY, x: crop.x, y: crop.y };
+  };
+
+  const handlePointerMove = (e: React.PointerEvent<HTMLDivElement>) => {
+    const drag = dragRef.current;
+    if (!drag || !crop) return;
+    setCrop(
+      clampCrop({
+        ...crop,
+        x: drag.x + e.clientX - drag.pointerX,
+        y: drag.y + e.clientY - drag.pointerY,
+      })
+    );
+  };
+
+  const handleSave = async () => {
+    const image = imageRef.current;
+    if (!file || !crop || !image) return;
+
+    // Map the square back onto the original image's pixels
+    const scale = (crop.width * crop.zoom) / image.naturalWidth;
+    const canvas = document.createElement('canvas');
+    canvas.width = OUTPUT_SIZE;
+    canvas.height = OUTPUT_SIZE;
+    canvas.getContext('2d')?.drawImage(
+      image,
+      -crop.x / scale,
+      -crop.y / scale,
+      VIEWPORT / scale,
+      VIEWPORT / scale,
+      0,
+      0,
+      OUTPUT_SIZE,
+      OUTPUT_SIZE
+    );
+
+    try {
+      setUploading(true);
+      // Only the first frame of an animated GIF survives the canvas, so it's saved as a PNG
+      const type = file.type === 'image/jpeg' ? 'image/jpeg' : 'image/png';
+      const blob = await canvasToBlob(canvas, type);
+      const avatar = await uploadImage<AvatarUpload>(
+        '/auth/me/avatar',
+        new File([blob], type === 'image/jpeg' ? 'avatar.jpg' : 'avatar.png', { type })
+      );
+      onUploaded(avatar);
+      onOpenChange(false);
+    } catch (err) {
+      handleApiError(err, 'Failed to upload your profile picture. Please try again.');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <Dialog open={!!file} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-sm">
+        <DialogHeader>
+          <DialogTitle>Crop profile picture</DialogTitle>
+          <DialogDescription>Drag the image to position it and use the slider to zoom.</DialogDescription>
+        </DialogHeader>
+
+        <div className="flex flex-col items-center gap-4">
+          <div
+            className="relative overflow-hidden rounded-full bg-muted touch-none cursor-move select-none"
+            style={{ width: VIEWPORT, height: VIEWPORT }}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={() => (dragRef.current = null)}
+            onPointerCancel={() => (dragRef.current = null)}
+          >
+            {src && (
+              <img
+                ref={imageRef}
+                src={src}
+                alt=""
+                draggable={false}
+                onLoad={handleLoad}
+                className="absolute max-w-none"
+                style={
+                  crop
+                    ? { left: crop.x, top: crop.y, width: crop.width * crop.zoom, height: crop.height * crop.zoom }
+                    : { visibility: 'hidden' }
+                }
+              />
+            )}
+          </div>
+
+          <label className="flex w-full items-center gap-3 text-sm">
+            Zoom
+            <input
+              type="range"
+              min={1}
+              max={MAX_ZOOM}
+              step={0.01}
+              value={crop?.zoom ?? 1}
+              onChange={(e) => handleZoom(Number(e.target.value))}
+              disabled={!crop}
+              className="flex-1 accent-primary"
+            />
+          </label>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={uploading}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave} disabled={!crop || uploading}>
+            {uploading && <Loader2 className="h-4 w-4 animate-spin" />}
+            Save
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default AvatarCropDialog;
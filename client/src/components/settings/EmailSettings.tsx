@@ -0,0 +1,102 @@
+import { useState } from 'react';
+import { toast } from 'sonner';
+import { CircleAlert, CircleCheck, Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import FieldError from '@/components/FieldError';
+import apiClient from '@/lib/axios';
+import { getFieldErrors, handleApiError, type FieldErrors } from '@/lib/api-error';
+import type { AccountDetails } from '@/types';
+
+interface EmailSettingsProps {
+  account: AccountDetails;
+  onSaved: (changes: Partial<AccountDetails>) => void;
+}
+
+const EmailSettings = ({ account, onSaved }: EmailSettingsProps) => {
+  const [email, setEmail] = useState(account.email);
+  const [fieldErrors, setFieldErrors] = useState<FieldErrors>({});
+  const [saving, setSaving] = useState(false);
+
+  const changed = email.trim().toLowerCase() !== account.email;
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!changed) return;
+
+    try {
+      setSaving(true);
+      setFieldErrors({});
+      const { data } = await apiClient.put<AccountDetails>('/auth/updatedetails', { email: email.trim() });
+      onSaved(data);
+      setEmail(data.email);
+      toast.success(`We sent a confirmation link to ${data.pendingEmail}`);
+    } catch (error) {
+      setFieldErrors(getFieldErrors(error));
+      handleApiError(error, 'Failed to change your email. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6" noValidate>
+      <div className="flex items-center gap-2 text-sm">
+        {account.isEmailVerified ? (
+          <>
+            <CircleCheck className="h-4 w-4 text-green-600" />
+            <span>{account.email} is verified.</span>
+          </>
+        ) : (
+          <>
+            <CircleAlert className="h-4 w-4 text-yellow-600" />
+            <span>
+              {account.email} is not verified yet. Follow the link in the email we sent to confirm it.
+            </span>
+          </>
+        )}
+      </div>
+
+      {account.pendingEmail && (
+        <div className="flex items-center gap-2 text-sm">
+          <CircleAlert className="h-4 w-4 text-yellow-600" />
+          <span>
+            Waiting for you to confirm {account.pendingEmail}. Follow the link in the email we sent to switch to it.
+          </span>
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <Label htmlFor="email">Email address</Label>
+        <Input
+          id="email"
+          type="email"
+          autoComplete="email"
+          value={email}
+          onChange={(e) => {
+            setEmail(e.target.value);
+            setFieldErrors({});
+          }}
+          disabled={saving}
+          aria-invalid={!!fieldErrors.email}
+        />
+        <FieldError message={fieldErrors.email} />
+        {changed && (
+          <p className="text-sm text-muted-foreground">
+            We will email the new address a confirmation link. Until you follow it, keep logging in with{' '}
+            {account.email}.
+          </p>
+        )}
+      </div>
+
+      <Button type="submit" disabled={saving || !changed}>
+        {saving && <Loader2 className="h-4 w-4 animate-spin" />}
+        Change email
+      </Button>
+    </form>
+  );
+};
+
+export default EmailSettings;
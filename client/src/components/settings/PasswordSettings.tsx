@@ -0,0 +1,113 @@
+import { useState } from 'react';
+import { toast } from 'sonner';
+import { Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import FieldError from '@/components/FieldError';
+import apiClient from '@/lib/axios';
+import { getFieldErrors, handleApiError, type FieldErrors } from '@/lib/api-error';
+import { isValidPassword } from '@/lib/password';
+import PasswordStrength from './PasswordStrength';
+
+const PasswordSettings = () => {
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [fieldErrors, setFieldErrors] = useState<FieldErrors>({});
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    const errors: FieldErrors = {};
+    if (!currentPassword) errors.currentPassword = 'Current password is required';
+    if (!isValidPassword(newPassword)) errors.newPassword = 'Password does not meet the requirements below';
+    else if (newPassword === currentPassword) errors.newPassword = 'Choose a password different from your current one';
+    if (confirmPassword !== newPassword) errors.confirmPassword = 'Passwords do not match';
+
+    if (Object.keys(errors).length > 0) {
+      setFieldErrors(errors);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setFieldErrors({});
+      // The server answers with fresh auth cookies, so this session stays signed in
+      await apiClient.put('/auth/updatepassword', { currentPassword, newPassword });
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+      toast.success('Password changed');
+    } catch (error) {
+      setFieldErrors(getFieldErrors(error));
+      handleApiError(error, 'Failed to change your password. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6" noValidate>
+      <div className="space-y-2">
+        <Label htmlFor="current-password">Current password</Label>
+        <Input
+          id="current-password"
+          type="password"
+          autoComplete="current-password"
+          value={currentPassword}
+          onChange={(e) => {
+            setCurrentPassword(e.target.value);
+            setFieldErrors((prev) => ({ ...prev, currentPassword: '' }));
+          }}
+          disabled={saving}
+          aria-invalid={!!fieldErrors.currentPassword}
+        />
+        <FieldError message={fieldErrors.currentPassword} />
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor="new-password">New password</Label>
+        <Input
+          id="new-password"
+          type="password"
+          autoComplete="new-password"
+          value={newPassword}
+          onChange={(e) => {
+            setNewPassword(e.target.value);
+            setFieldErrors((prev) => ({ ...prev, newPassword: '' }));
+          }}
+          disabled={saving}
+          aria-invalid={!!fieldErrors.newPassword}
+        />
+        <FieldError message={fieldErrors.newPassword} />
+        <PasswordStrength password={newPassword} />
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor="confirm-password">Confirm new password</Label>
+        <Input
+          id="confirm-password"
+          type="password"
+          autoComplete="new-password"
+          value={confirmPassword}
+          onChange={(e) => {
+            setConfirmPassword(e.target.value);
+            setFieldErrors((prev) => ({ ...prev, confirmPassword: '' }));
+          }}
+          disabled={saving}
+          aria-invalid={!!fieldErrors.confirmPassword}
+        />
+        <FieldError message={fieldErrors.confirmPassword} />
+      </div>
+
+      <Button type="submit" disabled={saving}>
+        {saving && <Loader2 className="h-4 w-4 animate-spin" />}
+        Change password
+      </Button>
+    </form>
+  );
+};
+
+export default PasswordSettings;
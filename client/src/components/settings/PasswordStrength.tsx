@@ -0,0 +1,47 @@
+import { Check, X } from 'lucide-react';
+import { PASSWORD_RULES, passwordStrength } from '@/lib/password';
+import { cn } from '@/lib/utils';
+
+const LEVELS = [
+  { label: '', className: '' },
+  { label: 'Too weak', className: 'bg-destructive' },
+  { label: 'Fair', className: 'bg-yellow-500' },
+  { label: 'Good', className: 'bg-green-500' },
+  { label: 'Strong', className: 'bg-green-600' },
+];
+
+// Strength bar plus the rules the server will check the password against
+const PasswordStrength = ({ password }: { password: string }) => {
+  const score = passwordStrength(password);
+
+  if (!password) return null;
+
+  return (
+    <div className="space-y-2" aria-live="polite">
+      <div className="flex items-center gap-2">
+        <div className="flex flex-1 gap-1">
+          {[1, 2, 3, 4].map((step) => (
+            <div
+              key={step}
+              className={cn('h-1.5 flex-1 rounded-full bg-muted', step <= score && LEVELS[score].className)}
+            />
+          ))}
+        </div>
+        <span className="text-xs text-muted-foreground w-16 text-right">{LEVELS[score].label}</span>
+      </div>
+      <ul className="grid gap-1 text-xs sm:grid-cols-2">
+        {PASSWORD_RULES.map(({ label, test }) => {
+          const met = test(password);
+          return (
+            <li key={label} className={cn('flex items-center gap-1', met ? 'text-green-600' : 'text-muted-foreground')}>
+              {met ? <Check className="h-3 w-3" /> : <X className="h-3 w-3" />}
+              {label}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default PasswordStrength;
@@ -0,0 +1,225 @@
+import { useRef, useState } from 'react';
+import { toast } from 'sonner';
+import { Loader2, User } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import FieldError from '@/components/FieldError';
+import ResponsiveImage from '@/components/ResponsiveImage';
+import apiClient from '@/lib/axios';
+import { getFieldErrors, handleApiError, type FieldErrors } from '@/lib/api-error';
+import { SOCIAL_LABELS, SOCIAL_NETWORKS } from '@/lib/social';
+import { ACCEPTED_IMAGE_TYPES } from '@/lib/uploads';
+import AvatarCropDialog, { type AvatarUpload } from './AvatarCropDialog';
+import type { AccountDetails, SocialLinks } from '@/types';
+
+interface ProfileSettingsProps {
+  account: AccountDetails;
+  onSaved: (changes: Partial<AccountDetails>) => void;
+}
+
+const ProfileSettings = ({ account, onSaved }: ProfileSettingsProps) => {
+  const [name, setName] = useState(account.name);
+  const [bio, setBio] = useState(account.bio || '');
+  const [website, setWebsite] = useState(account.website || '');
+  const [social, setSocial] = useState<SocialLinks>(account.social || {});
+  const [fieldErrors, setFieldErrors] = useState<FieldErrors>({});
+  const [saving, setSaving] = useState(false);
+
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const [cropFile, setCropFile] = useState<File | null>(null);
+  const [removingAvatar, setRemovingAvatar] = useState(false);
+
+  const clearError = (field: string) => setFieldErrors((prev) => ({ ...prev, [field]: '' }));
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!name.trim()) {
+      setFieldErrors({ name: 'Name is required' });
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setFieldErrors({});
+      const { data } = await apiClient.put<AccountDetails>('/auth/updatedetails', {
+        name: name.trim(),
+        bio: bio.trim(),
+        website: website.trim(),
+        social: Object.fromEntries(SOCIAL_NETWORKS.map((network) => [network, social[network]?.trim() || ''])),
+      });
+      onSaved(data);
+      toast.success('Profile updated');
+    } catch (error) {
+      setFieldErrors(getFieldErrors(error));
+      handleApiError(error, 'Failed to update your profile. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    // Reset so picking the same file again still opens the cropper
+    e.target.value = '';
+    if (file) setCropFile(file);
+  };
+
+  const handleAvatarUploaded = (avatar: AvatarUpload) => {
+    onSaved(avatar);
+    toast.success('Profile picture updated');
+  };
+
+  const handleRemoveAvatar = async () => {
+    try {
+      setRemovingAvatar(true);
+      await apiClient.put('/auth/updatedetails', { profileImage: '' });
+      onSaved({ profileImage: '', profileImageDetails: null });
+      toast.success('Profile picture removed');
+    } catch (error) {
+      handleApiError(error, 'Failed to remove your profile picture. Please try again.');
+    } finally {
+      setRemovingAvatar(false);
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      <section className="flex items-center gap-6">
+        {account.profileImage ? (
+          <ResponsiveImage
+            src={account.profileImage}
+            details={account.profileImageDetails}
+            alt=""
+            sizes="96px"
+            className="h-24 w-24 shrink-0 rounded-full object-cover"
+          />
+        ) : (
+          <div className="flex h-24 w-24 shrink-0 items-center justify-center rounded-full bg-muted">
+            <User className="h-10 w-10 text-muted-foreground" />
+          </div>
+        )}
+        <div className="space-y-2">
+          <div className="flex flex-wrap gap-2">
+            <Button type="button" variant="outline" size="sm" onClick={() => fileInputRef.current?.click()}>
+              Change picture
+            </Button>
+            {account.profileImage && (
+              <Button type="button" variant="ghost" size="sm" onClick={handleRemoveAvatar} disabled={removingAvatar}>
+                {removingAvatar && <Loader2 className="h-4 w-4 animate-spin" />}
+                Remove
+              </Button>
+            )}
+          </div>
+          <p className="text-xs text-muted-foreground">JPEG, PNG, GIF or WebP. You can crop it before saving.</p>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={ACCEPTED_IMAGE_TYPES.join(',')}
+            className="hidden"
+            onChange={handleFileChange}
+          />
+        </div>
+      </section>
+
+      <form onSubmit={handleSubmit} className="space-y-6" noValidate>
+        <div className="space-y-2">
+          <Label htmlFor="name">Name</Label>
+          <Input
+            id="name"
+            value={name}
+            onChange={(e) => {
+              setName(e.target.value);
+              clearError('name');
+            }}
+            maxLength={50}
+            disabled={saving}
+            aria-invalid={!!fieldErrors.name}
+          />
+          <FieldError message={fieldErrors.name} />
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="bio">Bio</Label>
+          <Textarea
+            id="bio"
+            value={bio}
+            onChange={(e) => {
+              setBio(e.target.value);
+              clearError('bio');
+            }}
+            placeholder="A few words about yourself, shown on your author page"
+            rows={4}
+            maxLength={500}
+            disabled={saving}
+            aria-invalid={!!fieldErrors.bio}
+          />
+          <p className="text-xs text-muted-foreground text-right">{bio.length}/500</p>
+          <FieldError message={fieldErrors.bio} />
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="website">Website</Label>
+          <Input
+            id="website"
+            type="url"
+            value={website}
+            onChange={(e) => {
+              setWebsite(e.target.value);
+              clearError('website');
+            }}
+            placeholder="https://example.com"
+            disabled={saving}
+            aria-invalid={!!fieldErrors.website}
+          />
+          <FieldError message={fieldErrors.website} />
+        </div>
+
+        <fieldset className="space-y-4">
+          <legend className="text-sm font-medium mb-2">Social links</legend>
+          {SOCIAL_NETWORKS.map((network) => {
+            const field = `social.${network}`;
+            return (
+              <div key={network} className="grid gap-2 sm:grid-cols-[8rem_1fr] sm:items-center">
+                <Label htmlFor={field} className="text-muted-foreground">
+                  {SOCIAL_LABELS[network]}
+                </Label>
+                <div className="space-y-1">
+                  <Input
+                    id={field}
+                    type="url"
+                    value={social[network] || ''}
+                    onChange={(e) => {
+                      setSocial((prev) => ({ ...prev, [network]: e.target.value }));
+                      clearError(field);
+                    }}
+                    placeholder="https://"
+                    disabled={saving}
+                    aria-invalid={!!fieldErrors[field]}
+                  />
+                  <FieldError message={fieldErrors[field]} />
+                </div>
+              </div>
+            );
+          })}
+        </fieldset>
+
+        <Button type="submit" disabled={saving}>
+          {saving && <Loader2 className="h-4 w-4 animate-spin" />}
+          Save profile
+        </Button>
+      </form>
+
+      <AvatarCropDialog
+        key={cropFile ? `${cropFile.name}-${cropFile.lastModified}` : 'closed'}
+        file={cropFile}
+        onOpenChange={(open) => !open && setCropFile(null)}
+        onUploaded={handleAvatarUploaded}
+      />
+    </div>
+  );
+};
+
+export default ProfileSettings;
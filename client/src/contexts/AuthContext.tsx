@@ -2,6 +2,7 @@ import { createContext, useContext, useState, useEffect, useCallback, ReactNode
 import { useNavigate, useLocation } from 'react-router-dom';
 import { toast } from 'sonner';
 import apiClient from '@/lib/axios';
+import type { Permission } from '@/types';
 
 interface User {
   id: string;
@@ -9,6 +10,8 @@ interface User {
   email: string;
   role: string;
   isEmailVerified: boolean;
+  // Resolved from the role by the server; only used to hide actions, the API enforces them
+  permissions?: Permission[];
 }
 
 interface AuthContextType {
@@ -19,6 +22,9 @@ interface AuthContextType {
   register: (name: string, email: string, password: string) => Promise<void>;
   logout: () => Promise<void>;
   refreshToken: () => Promise<boolean>;
+  // Apply profile changes saved elsewhere, e.g. on the settings page
+  updateUser: (changes: Partial<User>) => void;
+  can: (permission: Permission) => boolean;
 }
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
@@ -165,6 +171,12 @@ export const AuthProvider = ({ children }: { children: ReactNode }) => {
     };
   }, [refreshToken, logout]);
 
+  const updateUser = useCallback((changes: Partial<User>) => {
+    setUser((current) => (current ? { ...current, ...changes } : current));
+  }, []);
+
+  const can = useCallback((permission: Permission) => !!user?.permissions?.includes(permission), [user]);
+
   const value = {
     user,
     isAuthenticated: !!user,
@@ -173,6 +185,8 @@ export const AuthProvider = ({ children }: { children: ReactNode }) => {
     register,
     logout,
     refreshToken,
+    updateUser,
+    can,
   };
 
   return (
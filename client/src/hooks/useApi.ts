@@ -2,9 +2,17 @@ import { useState, useCallback, useRef, useEffect } from 'react';
 import { AxiosRequestConfig } from 'axios';
 import apiClient from '@/lib/axios';
 import { handleApiError, ApiError } from '@/lib/api-error';
+import type { Pagination } from '@/types';
 
 type HttpMethod = 'get' | 'post' | 'put' | 'patch' | 'delete';
 
+// Everything the API sends next to `data`, e.g. count and pagination
+export interface ResponseMeta {
+  count?: number;
+  pagination?: Pagination;
+  [key: string]: unknown;
+}
+
 interface UseApiOptions<T> {
   onSuccess?: (data: T) => void;
   onError?: (error: ApiError) => void;
@@ -29,6 +37,7 @@ export function useApi<T = any>(
   } = options;
 
   const [data, setData] = useState<T | null>(initialData);
+  const [meta, setMeta] = useState<ResponseMeta | null>(null);
   const [error, setError] = useState<ApiError | null>(null);
   const [isLoading, setIsLoading] = useState(false);
   const [isError, setIsError] = useState(false);
@@ -39,6 +48,12 @@ export function useApi<T = any>(
 
   const abortControllerRef = useRef<AbortController | null>(null);
 
+  // Keep the latest callbacks without making `execute` change identity on every render
+  const onSuccessRef = useRef(onSuccess);
+  const onErrorRef = useRef(onError);
+  onSuccessRef.current = onSuccess;
+  onErrorRef.current = onError;
+
   const execute = useCallback(
     async (body?: any, config: Omit<AxiosRequestConfig, 'method' | 'url' | 'data'> = {}) => {
       // Cancel previous request if it exists
@@ -79,10 +94,14 @@ export function useApi<T = any>(
             });
         }
 
+        // The axios interceptor already unwrapped the body, so siblings of `data` live here
+        const responseMeta: ResponseMeta = { ...(response as unknown as ResponseMeta) };
+        delete responseMeta.data;
         setData(response.data);
+        setMeta(responseMeta);
         setIsSuccess(true);
         setStatus('success');
-        onSuccess?.(response.data);
+        onSuccessRef.current?.(response.data);
         return response.data;
       } catch (error: any) {
         // Ignore aborted requests
@@ -94,14 +113,14 @@ export function useApi<T = any>(
         setError(apiError);
         setIsError(true);
         setStatus('error');
-        onError?.(apiError);
+        onErrorRef.current?.(apiError);
         throw apiError;
       } finally {
         setIsLoading(false);
         abortControllerRef.current = null;
       }
     },
-    [url, method, onSuccess, onError]
+    [url, method]
   );
 
   // Auto-fetch when component mounts if enabled
@@ -128,6 +147,7 @@ export function useApi<T = any>(
 
   return {
     data,
+    meta,
     error,
     isLoading,
     isError,
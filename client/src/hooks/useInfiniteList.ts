@@ -0,0 +1,80 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import apiClient from '@/lib/axios';
+import { handleApiError, ApiError } from '@/lib/api-error';
+import type { CursorPagination } from '@/types';
+
+interface CursorResponse<T> {
+  data: T[];
+  pagination: CursorPagination;
+}
+
+// Loads a cursor-paginated list endpoint page by page, appending as it goes
+export function useInfiniteList<T>(url: string, params: Record<string, string | number> = {}) {
+  const [items, setItems] = useState<T[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [hasMore, setHasMore] = useState(true);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<ApiError | null>(null);
+
+  // Ignore responses for a url/params combination we've already moved away from
+  const requestIdRef = useRef(0);
+  const loadingRef = useRef(false);
+  const paramsKey = JSON.stringify(params);
+
+  const fetchPage = useCallback(
+    async (cursor: string, requestId: number) => {
+      loadingRef.current = true;
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const response = await apiClient.get(url, {
+          params: { ...JSON.parse(paramsKey), cursor },
+        });
+        const body = response as unknown as CursorResponse<T>;
+        if (requestId !== requestIdRef.current) return;
+
+        setItems((prev) => (cursor ? [...prev, ...body.data] : body.data));
+        setNextCursor(body.pagination.nextCursor);
+        setHasMore(body.pagination.hasMore);
+      } catch (err) {
+        if (requestId !== requestIdRef.current) return;
+        setError(handleApiError(err));
+        setHasMore(false);
+      } finally {
+        if (requestId === requestIdRef.current) {
+          loadingRef.current = false;
+          setIsLoading(false);
+        }
+      }
+    },
+    [url, paramsKey]
+  );
+
+  const reset = useCallback(() => {
+    requestIdRef.current += 1;
+    setItems([]);
+    setNextCursor(null);
+    setHasMore(true);
+    fetchPage('', requestIdRef.current);
+  }, [fetchPage]);
+
+  useEffect(() => {
+    reset();
+  }, [reset]);
+
+  const loadMore = useCallback(() => {
+    if (!hasMore || loadingRef.current || !nextCursor) return;
+    fetchPage(nextCursor, requestIdRef.current);
+  }, [fetchPage, hasMore, nextCursor]);
+
+  return {
+    items,
+    hasMore,
+    isLoading,
+    error,
+    loadMore,
+    reset,
+    setItems,
+  };
+}
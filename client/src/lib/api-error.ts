@@ -28,6 +28,13 @@ export class ApiError extends Error {
         status,
         data
       );
+    } else if (typeof error.status === 'number') {
+      // Already normalized by the axios response interceptor
+      return new ApiError(
+        error.message || 'An unknown error occurred',
+        error.status,
+        error.data
+      );
     } else if (error.request) {
       // The request was made but no response was received
       return new ApiError('No response from server', 0);
@@ -58,6 +65,23 @@ export const handleApiError = (error: any, defaultMessage = 'An error occurred')
   return apiError;
 };
 
+export type FieldErrors = Record<string, string>;
+
+// Server keys look like `categories[0]` or `meta.keywords.1`; collapse them onto the form field
+const toFieldKey = (key: string) => key.replace(/(\[\d+\]|\.\d+)$/, '');
+
+// Pull the per-field messages out of a 422 validation error, first message per field
+export const getFieldErrors = (error: unknown): FieldErrors => {
+  const errors = (error as { data?: { errors?: Record<string, string> } })?.data?.errors;
+  if (!errors) return {};
+
+  return Object.entries(errors).reduce<FieldErrors>((acc, [key, message]) => {
+    const field = toFieldKey(key);
+    if (!acc[field]) acc[field] = message;
+    return acc;
+  }, {});
+};
+
 export const handleSuccess = (message: string) => {
   toast.success(message, {
     duration: 3000,
@@ -0,0 +1,8 @@
+import type { CategoryNode } from '@/types';
+
+// Walk a category tree depth first, e.g. to build an indented <select>
+export const flattenCategoryTree = (
+  nodes: CategoryNode[],
+  depth = 0
+): { node: CategoryNode; depth: number }[] =>
+  nodes.flatMap((node) => [{ node, depth }, ...flattenCategoryTree(node.children, depth + 1)]);
@@ -0,0 +1,42 @@
+export type DiffLineType = 'equal' | 'added' | 'removed';
+
+export interface DiffLine {
+  type: DiffLineType;
+  text: string;
+}
+
+/**
+ * Line diff between two texts based on the longest common subsequence.
+ * Quadratic in the number of lines, which is fine for blog posts.
+ */
+export const diffLines = (before: string, after: string): DiffLine[] => {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+
+  // lcs[i][j] = length of the common subsequence of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array<number>(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines: DiffLine[] = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+
+  return lines;
+};
@@ -0,0 +1,28 @@
+// Mirrors the server's User password validator, so the form can explain a rejection before it happens
+export const PASSWORD_RULES: { label: string; test: (password: string) => boolean }[] = [
+  { label: 'At least 8 characters', test: (password) => password.length >= 8 },
+  { label: 'A lowercase letter', test: (password) => /[a-z]/.test(password) },
+  { label: 'An uppercase letter', test: (password) => /[A-Z]/.test(password) },
+  { label: 'A number', test: (password) => /\d/.test(password) },
+  { label: 'One of @ $ ! % * ? &', test: (password) => /[@$!%*?&]/.test(password) },
+  {
+    label: 'Only letters, numbers and @ $ ! % * ? &',
+    test: (password) => /^[A-Za-z\d@$!%*?&]*$/.test(password),
+  },
+];
+
+export const isValidPassword = (password: string) => PASSWORD_RULES.every(({ test }) => test(password));
+
+/**
+ * Rough strength from 0 to 4: the server's rules get a password to 2, extra
+ * length and character variety beyond them earn the rest
+ */
+export const passwordStrength = (password: string): number => {
+  if (!password) return 0;
+  if (!isValidPassword(password)) return 1;
+
+  let score = 2;
+  if (password.length >= 12) score += 1;
+  if (password.length >= 16 || (password.match(/[@$!%*?&]/g) || []).length > 1) score += 1;
+  return Math.min(score, 4);
+};
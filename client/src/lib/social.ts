@@ -0,0 +1,12 @@
+import type { SocialNetwork } from '@/types';
+
+// Same networks as the User model's `social` links, in display order
+export const SOCIAL_LABELS: Record<SocialNetwork, string> = {
+  twitter: 'Twitter',
+  facebook: 'Facebook',
+  linkedin: 'LinkedIn',
+  instagram: 'Instagram',
+  github: 'GitHub',
+};
+
+export const SOCIAL_NETWORKS = Object.keys(SOCIAL_LABELS) as SocialNetwork[];
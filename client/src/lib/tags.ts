@@ -0,0 +1,9 @@
+// Mirrors the server's normalization so what the user sees is what gets saved
+export const normalizeTag = (tag: string) =>
+  tag
+    .trim()
+    .replace(/^#+/, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
@@ -0,0 +1,17 @@
+import apiClient from '@/lib/axios';
+
+// Formats the server accepts; it checks the file contents, this only filters the picker
+export const ACCEPTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+/**
+ * Send an image as multipart form data and resolve with the server's response data
+ */
+export const uploadImage = async <T = unknown>(url: string, file: File, field = 'file'): Promise<T> => {
+  const form = new FormData();
+  form.append(field, file);
+
+  const { data } = await apiClient.put<T>(url, form, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  });
+  return data;
+};
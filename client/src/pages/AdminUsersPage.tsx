@@ -0,0 +1,288 @@
+import { useState } from 'react';
+import { format, formatDistanceToNow } from 'date-fns';
+import { toast } from 'sonner';
+import { Loader2, LogOut, MoreHorizontal, Search, ShieldCheck, Unlock, UserCheck, UserX } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { useAuth } from '@/contexts/AuthContext';
+import { useGet } from '@/hooks/useApi';
+import { useDebounce } from '@/hooks/useDebounce';
+import apiClient from '@/lib/axios';
+import { handleApiError } from '@/lib/api-error';
+import type { AdminUser, UserRole } from '@/types';
+
+const USERS_PER_PAGE = 20;
+
+const ROLES: UserRole[] = ['user', 'publisher', 'admin'];
+
+// Select items can't have an empty value, so "no filter" gets a placeholder one
+const ANY = 'any';
+
+const STATUS_FILTERS: Record<string, { label: string; params: Record<string, string> }> = {
+  [ANY]: { label: 'Any status', params: {} },
+  active: { label: 'Active', params: { isActive: 'true' } },
+  inactive: { label: 'Deactivated', params: { isActive: 'false' } },
+  locked: { label: 'Locked', params: { locked: 'true' } },
+};
+
+const AdminUsersPage = () => {
+  const { user: currentUser } = useAuth();
+  const [search, setSearch] = useState('');
+  const [role, setRole] = useState(ANY);
+  const [status, setStatus] = useState(ANY);
+  const [pendingId, setPendingId] = useState<string | null>(null);
+
+  const q = useDebounce(search.trim(), 300);
+  // Any change to the filters starts over on page 1
+  const filtersKey = JSON.stringify([q, role, status]);
+  const [pageState, setPageState] = useState({ filtersKey, page: 1 });
+  const page = pageState.filtersKey === filtersKey ? pageState.page : 1;
+  const setPage = (next: number) => setPageState({ filtersKey, page: next });
+
+  const params = new URLSearchParams({
+    ...(q && { q }),
+    ...(role !== ANY && { role }),
+    ...STATUS_FILTERS[status].params,
+    page: String(page),
+    limit: String(USERS_PER_PAGE),
+  });
+
+  const { data, meta, isLoading, isError, error, setData } = useGet<AdminUser[]>(`/admin/users?${params}`);
+
+  const users = Array.isArray(data) ? data : [];
+  const total = meta?.pagination?.total ?? users.length;
+  const totalPages = meta?.pagination?.totalPages ?? 1;
+
+  // Run an action against one account and swap in the updated row the server returns
+  const runAction = async (target: AdminUser, request: () => Promise<{ data: AdminUser }>, success: string) => {
+    try {
+      setPendingId(target._id);
+      const { data: updated } = await request();
+      setData(users.map((user) => (user._id === updated._id ? updated : user)));
+      toast.success(success);
+    } catch (err) {
+      handleApiError(err, 'Failed to update the account. Please try again.');
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const changeRole = (target: AdminUser, nextRole: UserRole) =>
+    runAction(
+      target,
+      () => apiClient.put(`/admin/users/${target._id}`, { role: nextRole }),
+      `${target.name} is now ${nextRole === 'admin' ? 'an' : 'a'} ${nextRole}`
+    );
+
+  const toggleActive = (target: AdminUser) => {
+    if (target.isActive && !window.confirm(`Deactivate ${target.name}? They will be signed out and unable to log in.`)) {
+      return;
+    }
+    runAction(
+      target,
+      () => apiClient.put(`/admin/users/${target._id}`, { isActive: !target.isActive }),
+      target.isActive ? `Deactivated ${target.name}` : `Reactivated ${target.name}`
+    );
+  };
+
+  const unlock = (target: AdminUser) =>
+    runAction(target, () => apiClient.post(`/admin/users/${target._id}/unlock`), `Unlocked ${target.name}`);
+
+  const forceLogout = (target: AdminUser) => {
+    if (!window.confirm(`Sign ${target.name} out on every device?`)) return;
+    runAction(target, () => apiClient.post(`/admin/users/${target._id}/logout`), `Signed ${target.name} out`);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold flex items-center gap-2">
+          <ShieldCheck className="h-7 w-7" />
+          Users
+        </h1>
+        <p className="text-muted-foreground mt-2">Manage roles, deactivate accounts and clear lockouts</p>
+      </div>
+
+      <div className="flex flex-wrap gap-3">
+        <div className="relative flex-1 min-w-[16rem]">
+          <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-muted-foreground" />
+          <Input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search by name or email"
+            className="pl-9"
+            aria-label="Search users"
+          />
+        </div>
+        <Select value={role} onValueChange={setRole}>
+          <SelectTrigger className="w-40" aria-label="Filter by role">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={ANY}>Any role</SelectItem>
+            {ROLES.map((option) => (
+              <SelectItem key={option} value={option} className="capitalize">
+                {option}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select value={status} onValueChange={setStatus}>
+          <SelectTrigger className="w-40" aria-label="Filter by status">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(STATUS_FILTERS).map(([value, { label }]) => (
+              <SelectItem key={value} value={value}>
+                {label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {isLoading && users.length === 0 ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="h-8 w-8 animate-spin text-primary" />
+        </div>
+      ) : isError ? (
+        <div className="text-center py-12 text-destructive">Error: {error?.message || 'Failed to load users'}</div>
+      ) : users.length === 0 ? (
+        <p className="text-center py-12 text-muted-foreground">No users match these filters.</p>
+      ) : (
+        <div className="rounded-lg border">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>User</TableHead>
+                <TableHead>Role</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead>Last login</TableHead>
+                <TableHead>Joined</TableHead>
+                <TableHead className="w-12">
+                  <span className="sr-only">Actions</span>
+                </TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {users.map((account) => {
+                const isSelf = account._id === currentUser?.id;
+                const pending = pendingId === account._id;
+
+                return (
+                  <TableRow key={account._id} className={account.isActive ? '' : 'opacity-60'}>
+                    <TableCell>
+                      <div className="font-medium">
+                        {account.name}
+                        {isSelf && <span className="ml-1 text-xs text-muted-foreground">(you)</span>}
+                      </div>
+                      <div className="text-sm text-muted-foreground">{account.email}</div>
+                    </TableCell>
+                    <TableCell>
+                      <Select
+                        value={account.role}
+                        onValueChange={(value) => changeRole(account, value as UserRole)}
+                        disabled={isSelf || pending}
+                      >
+                        <SelectTrigger size="sm" className="w-32 capitalize" aria-label={`Role of ${account.name}`}>
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {ROLES.map((option) => (
+                            <SelectItem key={option} value={option} className="capitalize">
+                              {option}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </TableCell>
+                    <TableCell>
+                      <div className="flex flex-wrap gap-1">
+                        {account.isActive ? (
+                          <Badge variant="secondary">Active</Badge>
+                        ) : (
+                          <Badge variant="outline">Deactivated</Badge>
+                        )}
+                        {account.isLocked && account.lockedUntil && (
+                          <Badge
+                            variant="destructive"
+                            title={`Until ${format(new Date(account.lockedUntil), 'MMM d, HH:mm')}`}
+                          >
+                            Locked
+                          </Badge>
+                        )}
+                        {!account.isEmailVerified && <Badge variant="outline">Unverified</Badge>}
+                      </div>
+                    </TableCell>
+                    <TableCell className="text-sm text-muted-foreground">
+                      {account.lastLogin
+                        ? formatDistanceToNow(new Date(account.lastLogin), { addSuffix: true })
+                        : 'Never'}
+                    </TableCell>
+                    <TableCell className="text-sm text-muted-foreground">
+                      {format(new Date(account.createdAt), 'MMM d, yyyy')}
+                    </TableCell>
+                    <TableCell>
+                      <DropdownMenu>
+                        <DropdownMenuTrigger asChild>
+                          <Button variant="ghost" size="sm" disabled={pending} aria-label={`Actions for ${account.name}`}>
+                            {pending ? <Loader2 className="h-4 w-4 animate-spin" /> : <MoreHorizontal className="h-4 w-4" />}
+                          </Button>
+                        </DropdownMenuTrigger>
+                        <DropdownMenuContent align="end">
+                          <DropdownMenuItem onSelect={() => unlock(account)} disabled={!account.isLocked}>
+                            <Unlock className="h-4 w-4" />
+                            Unlock
+                          </DropdownMenuItem>
+                          <DropdownMenuItem onSelect={() => forceLogout(account)} disabled={isSelf}>
+                            <LogOut className="h-4 w-4" />
+                            Force logout
+                          </DropdownMenuItem>
+                          <DropdownMenuSeparator />
+                          <DropdownMenuItem
+                            onSelect={() => toggleActive(account)}
+                            disabled={isSelf}
+                            variant={account.isActive ? 'destructive' : 'default'}
+                          >
+                            {account.isActive ? <UserX className="h-4 w-4" /> : <UserCheck className="h-4 w-4" />}
+                            {account.isActive ? 'Deactivate' : 'Reactivate'}
+                          </DropdownMenuItem>
+                        </DropdownMenuContent>
+                      </DropdownMenu>
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex justify-center items-center gap-4">
+          <Button variant="outline" onClick={() => setPage(page - 1)} disabled={page === 1}>
+            Previous
+          </Button>
+          <span className="text-sm text-muted-foreground">
+            Page {page} of {totalPages} · {total} users
+          </span>
+          <Button variant="outline" onClick={() => setPage(page + 1)} disabled={page === totalPages}>
+            Next
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminUsersPage;
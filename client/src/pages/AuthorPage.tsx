@@ -0,0 +1,180 @@
+import { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { format } from 'date-fns';
+import { ArrowLeft, Calendar, Globe, Loader2, User } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { LoadMoreTrigger } from '@/components/LoadMoreTrigger';
+import FollowButton from '@/components/FollowButton';
+import ResponsiveImage from '@/components/ResponsiveImage';
+import PostCard from '@/components/posts/PostCard';
+import { useAuth } from '@/contexts/AuthContext';
+import { useGet } from '@/hooks/useApi';
+import { useInfiniteList } from '@/hooks/useInfiniteList';
+import { SOCIAL_LABELS, SOCIAL_NETWORKS } from '@/lib/social';
+import type { Post, UserProfile } from '@/types';
+
+// Profile links are free text, so only ever turn web addresses into hrefs
+const isWebUrl = (value?: string): value is string => !!value && /^https?:\/\//i.test(value);
+
+const AuthorPosts = ({ authorId }: { authorId: string }) => {
+  const { items: posts, hasMore, isLoading, error, loadMore } = useInfiniteList<Post>('/posts', {
+    author: authorId,
+    status: 'published',
+    limit: 9,
+  });
+
+  return (
+    <>
+      {!isLoading && !error && posts.length === 0 && (
+        <p className="text-muted-foreground">No published posts yet.</p>
+      )}
+
+      <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
+        {posts.map((post) => (
+          <PostCard key={post._id} post={post} />
+        ))}
+      </div>
+
+      {isLoading && (
+        <div className="flex justify-center py-8">
+          <Loader2 className="h-8 w-8 animate-spin text-primary" />
+        </div>
+      )}
+
+      {error && <p className="text-center text-destructive py-4">Error: {error.message}</p>}
+
+      <LoadMoreTrigger onVisible={loadMore} disabled={!hasMore || isLoading} />
+    </>
+  );
+};
+
+const AuthorPage = () => {
+  const { id = '' } = useParams<{ id: string }>();
+  const { user } = useAuth();
+  const [followerCount, setFollowerCount] = useState<{ id: string; count: number } | null>(null);
+
+  const { data: profile, isLoading, isError, error } = useGet<UserProfile>(`/users/${id}`);
+
+  const backLink = (
+    <Button asChild variant="ghost" className="mb-4 -ml-2">
+      <Link to="/posts">
+        <ArrowLeft className="h-4 w-4" />
+        All posts
+      </Link>
+    </Button>
+  );
+
+  if (isLoading && !profile) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[400px] space-y-4">
+        <Loader2 className="h-12 w-12 animate-spin text-primary" />
+        <p className="text-muted-foreground">Loading profile...</p>
+      </div>
+    );
+  }
+
+  if (isError || !profile) {
+    return (
+      <div className="text-center py-12">
+        <div className="text-destructive mb-4">
+          {error?.status === 404 ? 'Author not found' : `Error: ${error?.message || 'Failed to load profile'}`}
+        </div>
+        {backLink}
+      </div>
+    );
+  }
+
+  // Follow clicks report the new count; it belongs to this profile only
+  const followers = followerCount?.id === profile._id ? followerCount.count : profile.followerCount;
+  const socialNetworks = SOCIAL_NETWORKS.filter((network) => isWebUrl(profile.social?.[network]));
+
+  return (
+    <div className="space-y-8">
+      <div>
+        {backLink}
+        <div className="flex flex-col gap-6 sm:flex-row sm:items-start">
+          {profile.profileImage ? (
+            <ResponsiveImage
+              src={profile.profileImage}
+              details={profile.profileImageDetails}
+              alt=""
+              sizes="96px"
+              className="h-24 w-24 shrink-0 rounded-full object-cover"
+            />
+          ) : (
+            <div className="flex h-24 w-24 shrink-0 items-center justify-center rounded-full bg-muted">
+              <User className="h-10 w-10 text-muted-foreground" />
+            </div>
+          )}
+
+          <div className="flex-1 space-y-3">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <h1 className="text-3xl font-bold">{profile.name}</h1>
+              {user?.id !== profile._id && (
+                <FollowButton
+                  key={profile._id}
+                  url={`/users/${profile._id}`}
+                  isFollowing={profile.isFollowing}
+                  onChange={(state) => setFollowerCount({ id: profile._id, count: state.followerCount })}
+                />
+              )}
+            </div>
+
+            <div className="flex flex-wrap gap-4 text-sm text-muted-foreground">
+              <span>
+                <strong className="text-foreground">{profile.postCount}</strong>{' '}
+                {profile.postCount === 1 ? 'post' : 'posts'}
+              </span>
+              <span>
+                <strong className="text-foreground">{followers}</strong> {followers === 1 ? 'follower' : 'followers'}
+              </span>
+              <span>
+                <strong className="text-foreground">{profile.followingCount}</strong> following
+              </span>
+              <span className="flex items-center">
+                <Calendar className="h-4 w-4 mr-1" />
+                Joined {format(new Date(profile.createdAt), 'MMMM yyyy')}
+              </span>
+            </div>
+
+            {profile.bio && <p className="whitespace-pre-wrap">{profile.bio}</p>}
+
+            {(isWebUrl(profile.website) || socialNetworks.length > 0) && (
+              <div className="flex flex-wrap gap-3 text-sm">
+                {isWebUrl(profile.website) && (
+                  <a
+                    href={profile.website}
+                    target="_blank"
+                    rel="nofollow noopener noreferrer"
+                    className="flex items-center text-primary hover:underline"
+                  >
+                    <Globe className="h-4 w-4 mr-1" />
+                    {profile.website.replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, '')}
+                  </a>
+                )}
+                {socialNetworks.map((network) => (
+                  <a
+                    key={network}
+                    href={profile.social?.[network]}
+                    target="_blank"
+                    rel="nofollow noopener noreferrer"
+                    className="text-primary hover:underline"
+                  >
+                    {SOCIAL_LABELS[network]}
+                  </a>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <section>
+        <h2 className="text-2xl font-semibold mb-6">Posts</h2>
+        <AuthorPosts key={profile._id} authorId={profile._id} />
+      </section>
+    </div>
+  );
+};
+
+export default AuthorPage;
@@ -1,25 +1,29 @@
+import { useState } from 'react';
 import { Button } from '@/components/ui/button';
 import { Link } from 'react-router-dom';
+import { toast } from 'sonner';
+import { useAuth } from '@/contexts/AuthContext';
 import { useGet } from '@/hooks/useApi';
-import { Loader2, RefreshCw } from 'lucide-react';
-
-interface Category {
-  _id: string;
-  name: string;
-  description: string;
-  slug: string;
-  createdAt: string;
-  postCount?: number;
-}
+import apiClient from '@/lib/axios';
+import { handleApiError } from '@/lib/api-error';
+import { Eye, EyeOff, Loader2, RefreshCw, Trash2 } from 'lucide-react';
+import CategoryTree from '@/components/categories/CategoryTree';
+import DeleteCategoryDialog from '@/components/categories/DeleteCategoryDialog';
+import type { CategoryNode } from '@/types';
 
 const CategoriesPage = () => {
+  const { can } = useAuth();
+  const canManage = can('category:manage');
+  const [showInactive, setShowInactive] = useState(false);
+  const [togglingId, setTogglingId] = useState<string | null>(null);
+  const [deleting, setDeleting] = useState<CategoryNode | null>(null);
   const {
     data: categories = [],
     isLoading,
     isError,
     error,
     refetch
-  } = useGet<Category[]>('/categories', {
+  } = useGet<CategoryNode[]>(`/categories/tree${canManage && showInactive ? '?includeInactive=true' : ''}`, {
     onError: (err) => {
       console.error('Error fetching categories:', err);
     }
@@ -28,6 +32,22 @@ const CategoriesPage = () => {
   // Ensure categories is always an array
   const safeCategories = Array.isArray(categories) ? categories : [];
 
+  // Deactivating hides a category from readers but keeps it on its existing posts
+  const toggleActive = async (category: CategoryNode) => {
+    const isActive = category.isActive === false;
+
+    try {
+      setTogglingId(category._id);
+      await apiClient.put(`/categories/${category._id}`, { name: category.name, isActive });
+      toast.success(`${isActive ? 'Activated' : 'Deactivated'} "${category.name}"`);
+      refetch();
+    } catch (err) {
+      handleApiError(err, 'Failed to update category. Please try again.');
+    } finally {
+      setTogglingId(null);
+    }
+  };
+
   if (isLoading) {
     return (
       <div className="flex flex-col items-center justify-center min-h-[400px] space-y-4">
@@ -64,49 +84,87 @@ const CategoriesPage = () => {
             Browse posts by category
           </p>
         </div>
-        <Button asChild>
-          <Link to="/categories/new">Create Category</Link>
-        </Button>
+        {canManage && (
+          <div className="flex gap-2">
+            <Button variant="outline" onClick={() => setShowInactive(!showInactive)}>
+              {showInactive ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+              {showInactive ? 'Hide inactive' : 'Show inactive'}
+            </Button>
+            <Button asChild>
+              <Link to="/categories/new">Create Category</Link>
+            </Button>
+          </div>
+        )}
       </div>
 
       {safeCategories.length === 0 ? (
         <div className="text-center py-16 border-2 border-dashed rounded-lg bg-muted/30">
           <p className="text-lg text-muted-foreground mb-4">No categories found.</p>
-          <Button asChild>
-            <Link to="/categories/new">Create your first category</Link>
-          </Button>
+          {canManage && (
+            <Button asChild>
+              <Link to="/categories/new">Create your first category</Link>
+            </Button>
+          )}
         </div>
       ) : (
-        <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4">
-          {safeCategories.map((category) => (
-            <Link 
-              to={`/categories/${category.slug || category._id}`} 
-              key={category._id}
-              className="group"
-            >
-              <div className="h-full border rounded-lg p-6 hover:shadow-lg transition-shadow duration-300 bg-card">
-                <div className="flex items-start justify-between mb-4">
-                  <h3 className="text-xl font-semibold group-hover:text-primary transition-colors">
-                    {category.name}
-                  </h3>
-                  {category.postCount !== undefined && (
-                    <span className="px-2 py-1 text-xs rounded-full bg-primary/10 text-primary">
-                      {category.postCount} {category.postCount === 1 ? 'post' : 'posts'}
-                    </span>
-                  )}
+        <CategoryTree
+          nodes={safeCategories}
+          className="rounded-lg border bg-card p-4"
+          renderItem={(category) => (
+            <>
+              <Link
+                to={`/categories/${category.slug || category._id}`}
+                className="group flex flex-1 items-baseline gap-3 min-w-0"
+              >
+                <span className="font-medium group-hover:text-primary transition-colors">
+                  {category.name}
+                </span>
+                {category.postCount !== undefined && (
+                  <span className="shrink-0 px-2 py-0.5 text-xs rounded-full bg-primary/10 text-primary">
+                    {category.postCount} {category.postCount === 1 ? 'post' : 'posts'}
+                  </span>
+                )}
+                {category.isActive === false && (
+                  <span className="shrink-0 px-2 py-0.5 text-xs rounded-full bg-muted text-muted-foreground">
+                    Inactive
+                  </span>
+                )}
+                {category.description && (
+                  <span className="text-sm text-muted-foreground truncate">{category.description}</span>
+                )}
+              </Link>
+              {canManage && (
+                <div className="flex shrink-0 gap-1">
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={() => toggleActive(category)}
+                    disabled={togglingId === category._id}
+                  >
+                    {category.isActive === false ? 'Activate' : 'Deactivate'}
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={() => setDeleting(category)}
+                    aria-label={`Delete ${category.name}`}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
                 </div>
-                
-                <p className="text-muted-foreground mb-4 line-clamp-2">
-                  {category.description || 'No description available.'}
-                </p>
-                
-                <div className="text-sm text-muted-foreground mt-4 pt-3 border-t">
-                  Created {new Date(category.createdAt).toLocaleDateString()}
-                </div>
-              </div>
-            </Link>
-          ))}
-        </div>
+              )}
+            </>
+          )}
+        />
+      )}
+
+      {canManage && (
+        <DeleteCategoryDialog
+          category={deleting}
+          categories={safeCategories}
+          onOpenChange={(open) => !open && setDeleting(null)}
+          onDeleted={refetch}
+        />
       )}
     </div>
   );
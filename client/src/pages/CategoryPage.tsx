@@ -0,0 +1,164 @@
+import { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, ChevronRight, Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useGet } from '@/hooks/useApi';
+import PostCard from '@/components/posts/PostCard';
+import FollowButton from '@/components/FollowButton';
+import type { Category, Post } from '@/types';
+
+const POSTS_PER_PAGE = 9;
+
+const CategoryPage = () => {
+  const { slug = '' } = useParams<{ slug: string }>();
+  const [pageState, setPageState] = useState({ slug, page: 1 });
+  // Start over on page 1 when navigating to another category
+  const page = pageState.slug === slug ? pageState.page : 1;
+  const setPage = (next: number) => setPageState({ slug, page: next });
+
+  const {
+    data: category,
+    setData: setCategory,
+    isLoading: categoryLoading,
+    isError: categoryError,
+    error,
+  } = useGet<Category>(`/categories/slug/${encodeURIComponent(slug)}`);
+
+  const { data, meta, isLoading: postsLoading } = useGet<Post[]>(
+    `/posts?categories=${category?._id}&status=published&sort=-publishedAt&page=${page}&limit=${POSTS_PER_PAGE}`,
+    { enabled: !!category?._id && category.slug === slug }
+  );
+
+  const { data: childData } = useGet<Category[]>(`/categories?parent=${category?._id}&isActive=true&limit=100`, {
+    enabled: !!category?._id && category.slug === slug,
+  });
+
+  const posts = Array.isArray(data) ? data : [];
+  const subcategories = Array.isArray(childData) ? childData : [];
+  const totalPages = meta?.pagination?.totalPages ?? 1;
+
+  const backLink = (
+    <Button asChild variant="ghost" className="mb-4 -ml-2">
+      <Link to="/categories">
+        <ArrowLeft className="h-4 w-4" />
+        All categories
+      </Link>
+    </Button>
+  );
+
+  if (categoryLoading && !category) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[400px] space-y-4">
+        <Loader2 className="h-12 w-12 animate-spin text-primary" />
+        <p className="text-muted-foreground">Loading category...</p>
+      </div>
+    );
+  }
+
+  if (categoryError || !category) {
+    return (
+      <div className="text-center py-12">
+        <div className="text-destructive mb-4">
+          {error?.status === 404 ? 'Category not found' : `Error: ${error?.message || 'Failed to load category'}`}
+        </div>
+        {backLink}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      <div>
+        {backLink}
+        {!!category.ancestors?.length && (
+          <nav aria-label="Breadcrumb" className="mb-2">
+            <ol className="flex flex-wrap items-center gap-1 text-sm text-muted-foreground">
+              {category.ancestors.map((ancestor) => (
+                <li key={ancestor._id} className="flex items-center gap-1">
+                  <Link to={`/categories/${ancestor.slug}`} className="hover:text-primary hover:underline">
+                    {ancestor.name}
+                  </Link>
+                  <ChevronRight className="h-3 w-3" />
+                </li>
+              ))}
+              <li aria-current="page" className="text-foreground">{category.name}</li>
+            </ol>
+          </nav>
+        )}
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <h1 className="text-3xl font-bold">{category.name}</h1>
+          {category.isActive !== false && (
+            <div className="flex items-center gap-3">
+              {category.followerCount !== undefined && (
+                <span className="text-sm text-muted-foreground">
+                  {category.followerCount} {category.followerCount === 1 ? 'follower' : 'followers'}
+                </span>
+              )}
+              <FollowButton
+                key={category._id}
+                url={`/categories/${category._id}`}
+                isFollowing={!!category.isFollowing}
+                onChange={(state) => setCategory({ ...category, ...state })}
+              />
+            </div>
+          )}
+        </div>
+        {category.isActive === false && (
+          <p className="text-sm text-muted-foreground mt-1">
+            This category is no longer active. Its existing posts are still listed here.
+          </p>
+        )}
+        {category.description && <p className="text-muted-foreground mt-2">{category.description}</p>}
+        {category.postCount !== undefined && (
+          <p className="text-sm text-muted-foreground mt-1">
+            {category.postCount} {category.postCount === 1 ? 'post' : 'posts'}
+          </p>
+        )}
+        {subcategories.length > 0 && (
+          <div className="flex flex-wrap gap-2 mt-4">
+            {subcategories.map((child) => (
+              <Link
+                key={child._id}
+                to={`/categories/${child.slug}`}
+                className="inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium bg-primary/10 text-primary hover:bg-primary/20"
+              >
+                {child.name}
+                {child.postCount !== undefined && <span className="opacity-70">{child.postCount}</span>}
+              </Link>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {postsLoading && posts.length === 0 ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="h-8 w-8 animate-spin text-primary" />
+        </div>
+      ) : posts.length === 0 ? (
+        <p className="text-center py-12 text-muted-foreground">No posts in this category yet.</p>
+      ) : (
+        <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
+          {posts.map((post) => (
+            <PostCard key={post._id} post={post} />
+          ))}
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex justify-center items-center gap-4">
+          <Button variant="outline" onClick={() => setPage(page - 1)} disabled={page === 1}>
+            Previous
+          </Button>
+          <span className="text-sm text-muted-foreground">
+            Page {page} of {totalPages}
+          </span>
+          <Button variant="outline" onClick={() => setPage(page + 1)} disabled={page === totalPages}>
+            Next
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CategoryPage;
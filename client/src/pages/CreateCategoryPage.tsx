@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import FieldError from '@/components/FieldError';
+import { useGet } from '@/hooks/useApi';
+import apiClient from '@/lib/axios';
+import { flattenCategoryTree } from '@/lib/categories';
+import { getFieldErrors, handleApiError, type FieldErrors } from '@/lib/api-error';
+import type { Category, CategoryNode } from '@/types';
+
+// Select items can't have an empty value, so top level gets a placeholder one
+const NO_PARENT = 'none';
+
+const CreateCategoryPage = () => {
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [parent, setParent] = useState(NO_PARENT);
+  const [fieldErrors, setFieldErrors] = useState<FieldErrors>({});
+  const [submitting, setSubmitting] = useState(false);
+  const navigate = useNavigate();
+
+  const { data: treeData } = useGet<CategoryNode[]>('/categories/tree');
+  const parentOptions = flattenCategoryTree(Array.isArray(treeData) ? treeData : []);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!name.trim()) {
+      setFieldErrors({ name: 'Name is required' });
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setFieldErrors({});
+      const { data: category } = await apiClient.post<Category>('/categories', {
+        name: name.trim(),
+        description: description.trim(),
+        parent: parent === NO_PARENT ? null : parent,
+      });
+      toast.success('Category created successfully!');
+      navigate(`/categories/${category.slug}`);
+    } catch (error) {
+      setFieldErrors(getFieldErrors(error));
+      handleApiError(error, 'Failed to create category. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      <h1 className="text-3xl font-bold mb-8">Create Category</h1>
+      <form onSubmit={handleSubmit} className="space-y-6" noValidate>
+        <div className="space-y-2">
+          <Label htmlFor="name">Name</Label>
+          <Input
+            id="name"
+            value={name}
+            onChange={(e) => {
+              setName(e.target.value);
+              setFieldErrors((prev) => ({ ...prev, name: '' }));
+            }}
+            placeholder="e.g. Web Development"
+            maxLength={50}
+            disabled={submitting}
+            aria-invalid={!!fieldErrors.name}
+          />
+          <FieldError message={fieldErrors.name} />
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="description">Description</Label>
+          <Textarea
+            id="description"
+            value={description}
+            onChange={(e) => {
+              setDescription(e.target.value);
+              setFieldErrors((prev) => ({ ...prev, description: '' }));
+            }}
+            placeholder="What kind of posts belong here?"
+            rows={4}
+            maxLength={500}
+            disabled={submitting}
+            aria-invalid={!!fieldErrors.description}
+          />
+          <FieldError message={fieldErrors.description} />
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="parent">Parent category</Label>
+          <Select value={parent} onValueChange={setParent} disabled={submitting}>
+            <SelectTrigger id="parent" className="w-full" aria-invalid={!!fieldErrors.parent}>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={NO_PARENT}>None (top level)</SelectItem>
+              {parentOptions.map(({ node, depth }) => (
+                <SelectItem key={node._id} value={node._id}>
+                  <span style={{ paddingLeft: `${depth}rem` }}>{node.name}</span>
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <FieldError message={fieldErrors.parent} />
+        </div>
+
+        <div className="flex justify-end space-x-4">
+          <Button type="button" variant="outline" onClick={() => navigate(-1)} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button type="submit" disabled={submitting}>
+            {submitting ? 'Creating...' : 'Create Category'}
+          </Button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CreateCategoryPage;
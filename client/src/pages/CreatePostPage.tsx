@@ -1,145 +1,46 @@
-import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Button } from '@/components/ui/button';
-import { Input } from '@/components/ui/input';
-import { Textarea } from '@/components/ui/textarea';
-import { Label } from '@/components/ui/label';
-import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { toast } from 'sonner';
-
-interface Category {
-  _id: string;
-  name: string;
-}
+import apiClient from '@/lib/axios';
+import { handleApiError } from '@/lib/api-error';
+import { uploadImage } from '@/lib/uploads';
+import PostForm from '@/components/posts/PostForm';
+import { toPostPayload, type PostFormValues } from '@/components/posts/post-form-values';
+import type { Post } from '@/types';
 
 const CreatePostPage = () => {
-  const [title, setTitle] = useState('');
-  const [content, setContent] = useState('');
-  const [category, setCategory] = useState('');
-  const [categories, setCategories] = useState<Category[]>([]);
-  const [loading, setLoading] = useState(false);
   const navigate = useNavigate();
 
-  useEffect(() => {
-    const fetchCategories = async () => {
-      try {
-        const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/categories`);
-        if (!response.ok) throw new Error('Failed to fetch categories');
-        const data = await response.json();
-        setCategories(data);
-      } catch (error) {
-        toast.error('Failed to load categories');
-        console.error('Error fetching categories:', error);
-      }
-    };
-
-    fetchCategories();
-  }, []);
-
-  const handleSubmit = async (e: React.FormEvent) => {
-    e.preventDefault();
-    
-    if (!title || !content || !category) {
-      toast.error('Please fill in all fields');
-      return;
-    }
-
+  const handleSubmit = async (values: PostFormValues, image: File | null) => {
     try {
-      setLoading(true);
-      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/posts`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          title,
-          content,
-          category,
-        }),
-        credentials: 'include',
-      });
-
-      if (!response.ok) {
-        throw new Error('Failed to create post');
+      const { data: post } = await apiClient.post<Post>('/posts', toPostPayload(values));
+
+      if (image) {
+        try {
+          await uploadImage(`/posts/${post._id}/photo`, image);
+        } catch (error) {
+          // The post exists now, so carry on in the editor rather than creating it twice
+          handleApiError(error, 'Post created, but the image could not be uploaded.');
+          navigate(`/posts/${post._id}/edit`);
+          return;
+        }
       }
 
       toast.success('Post created successfully!');
-      navigate('/posts');
+      navigate(`/posts/${post.slug || post._id}`);
     } catch (error) {
-      console.error('Error creating post:', error);
-      toast.error('Failed to create post. Please try again.');
-    } finally {
-      setLoading(false);
+      handleApiError(error, 'Failed to create post. Please try again.');
+      throw error;
     }
   };
 
   return (
     <div className="max-w-2xl mx-auto">
       <h1 className="text-3xl font-bold mb-8">Create New Post</h1>
-      
-      <form onSubmit={handleSubmit} className="space-y-6">
-        <div className="space-y-2">
-          <Label htmlFor="title">Title</Label>
-          <Input
-            id="title"
-            value={title}
-            onChange={(e) => setTitle(e.target.value)}
-            placeholder="Enter post title"
-            disabled={loading}
-          />
-        </div>
-        
-        <div className="space-y-2">
-          <Label htmlFor="category">Category</Label>
-          <Select 
-            value={category} 
-            onValueChange={setCategory}
-            disabled={loading || categories.length === 0}
-          >
-            <SelectTrigger>
-              <SelectValue placeholder="Select a category" />
-            </SelectTrigger>
-            <SelectContent>
-              {categories.map((cat) => (
-                <SelectItem key={cat._id} value={cat._id}>
-                  {cat.name}
-                </SelectItem>
-              ))}
-            </SelectContent>
-          </Select>
-          {categories.length === 0 && (
-            <p className="text-sm text-muted-foreground">
-              No categories available. Please create a category first.
-            </p>
-          )}
-        </div>
-        
-        <div className="space-y-2">
-          <Label htmlFor="content">Content</Label>
-          <Textarea
-            id="content"
-            value={content}
-            onChange={(e) => setContent(e.target.value)}
-            placeholder="Write your post content here..."
-            rows={8}
-            disabled={loading}
-          />
-        </div>
-        
-        <div className="flex justify-end space-x-4">
-          <Button 
-            type="button" 
-            variant="outline" 
-            onClick={() => navigate(-1)}
-            disabled={loading}
-          >
-            Cancel
-          </Button>
-          <Button type="submit" disabled={loading || categories.length === 0}>
-            {loading ? 'Creating...' : 'Create Post'}
-          </Button>
-        </div>
-      </form>
+      <PostForm
+        submitLabel="Create Post"
+        submittingLabel="Creating..."
+        onSubmit={handleSubmit}
+      />
     </div>
   );
 };
@@ -0,0 +1,95 @@
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { toast } from 'sonner';
+import { ArrowLeft, History, Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useAuth } from '@/contexts/AuthContext';
+import { useGet } from '@/hooks/useApi';
+import apiClient from '@/lib/axios';
+import { handleApiError } from '@/lib/api-error';
+import { uploadImage } from '@/lib/uploads';
+import PostForm from '@/components/posts/PostForm';
+import { toPostFormValues, toPostPayload, type PostFormValues } from '@/components/posts/post-form-values';
+import type { Post } from '@/types';
+
+const EditPostPage = () => {
+  const { id = '' } = useParams<{ id: string }>();
+  const { user, can } = useAuth();
+  const navigate = useNavigate();
+  const { data: post, isLoading, isError, error } = useGet<Post>(`/posts/${id}`);
+
+  const handleSubmit = async (values: PostFormValues, image: File | null) => {
+    try {
+      const { data: updated } = await apiClient.put<Post>(`/posts/${id}`, toPostPayload(values));
+      if (image) await uploadImage(`/posts/${id}/photo`, image);
+      toast.success('Post updated successfully!');
+      navigate(`/posts/${updated.slug || updated._id}`);
+    } catch (error) {
+      handleApiError(error, 'Failed to update post. Please try again.');
+      throw error;
+    }
+  };
+
+  if (isLoading && !post) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[400px] space-y-4">
+        <Loader2 className="h-12 w-12 animate-spin text-primary" />
+        <p className="text-muted-foreground">Loading post...</p>
+      </div>
+    );
+  }
+
+  if (isError || !post) {
+    return (
+      <div className="text-center py-12">
+        <div className="text-destructive mb-4">
+          {error?.status === 404 ? 'Post not found' : `Error: ${error?.message || 'Failed to load post'}`}
+        </div>
+        <Button asChild variant="outline">
+          <Link to="/posts">
+            <ArrowLeft className="h-4 w-4" />
+            Back to posts
+          </Link>
+        </Button>
+      </div>
+    );
+  }
+
+  const canEdit = !!user && (user.id === post.author?._id || can('post:edit:any'));
+
+  if (!canEdit) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-destructive mb-4">You are not allowed to edit this post.</p>
+        <Button asChild variant="outline">
+          <Link to={`/posts/${post.slug || post._id}`}>
+            <ArrowLeft className="h-4 w-4" />
+            Back to post
+          </Link>
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      <div className="flex justify-between items-center mb-8">
+        <h1 className="text-3xl font-bold">Edit Post</h1>
+        <Button asChild variant="outline" size="sm">
+          <Link to={`/posts/${post._id}/revisions`}>
+            <History className="h-4 w-4" />
+            History
+          </Link>
+        </Button>
+      </div>
+      <PostForm
+        key={post._id}
+        initialValues={toPostFormValues(post)}
+        submitLabel="Save Changes"
+        submittingLabel="Saving..."
+        onSubmit={handleSubmit}
+      />
+    </div>
+  );
+};
+
+export default EditPostPage;
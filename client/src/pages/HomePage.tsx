@@ -1,7 +1,52 @@
+import type { ReactNode } from 'react';
 import { Link } from 'react-router-dom';
+import { Loader2 } from 'lucide-react';
 import { Button } from '@/components/ui/button';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { LoadMoreTrigger } from '@/components/LoadMoreTrigger';
+import PostCard from '@/components/posts/PostCard';
+import { useAuth } from '@/contexts/AuthContext';
+import { useInfiniteList } from '@/hooks/useInfiniteList';
+import type { Post } from '@/types';
+
+interface PostStreamProps {
+  url: string;
+  emptyMessage: ReactNode;
+}
+
+const PostStream = ({ url, emptyMessage }: PostStreamProps) => {
+  const { items: posts, hasMore, isLoading, error, loadMore } = useInfiniteList<Post>(url, { limit: 9 });
+
+  return (
+    <>
+      {!isLoading && !error && posts.length === 0 && <p className="text-muted-foreground">{emptyMessage}</p>}
+
+      <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
+        {posts.map((post) => (
+          <PostCard key={post._id} post={post} />
+        ))}
+      </div>
+
+      {isLoading && (
+        <div className="flex justify-center py-8">
+          <Loader2 className="h-8 w-8 animate-spin text-primary" />
+        </div>
+      )}
+
+      {error && (
+        <p className="text-center text-destructive py-4">Error: {error.message}</p>
+      )}
+
+      <LoadMoreTrigger onVisible={loadMore} disabled={!hasMore || isLoading} />
+    </>
+  );
+};
 
 const HomePage = () => {
+  const { user } = useAuth();
+
+  const latest = <PostStream url="/posts" emptyMessage="Nothing has been published yet." />;
+
   return (
     <div className="container mx-auto px-4 py-8">
       <div className="text-center mb-12">
@@ -18,6 +63,35 @@ const HomePage = () => {
           </Button>
         </div>
       </div>
+
+      <section>
+        {user ? (
+          <Tabs defaultValue="latest">
+            <TabsList className="mb-6">
+              <TabsTrigger value="latest">Latest</TabsTrigger>
+              <TabsTrigger value="following">Following</TabsTrigger>
+            </TabsList>
+            <TabsContent value="latest">{latest}</TabsContent>
+            <TabsContent value="following">
+              <PostStream
+                url="/feed"
+                emptyMessage={
+                  <>
+                    No posts from the authors and categories you follow yet. Follow writers from their posts, or
+                    topics from the <Link to="/categories" className="text-primary hover:underline">categories</Link>{' '}
+                    page.
+                  </>
+                }
+              />
+            </TabsContent>
+          </Tabs>
+        ) : (
+          <>
+            <h2 className="text-2xl font-semibold mb-6">Latest posts</h2>
+            {latest}
+          </>
+        )}
+      </section>
     </div>
   );
 };
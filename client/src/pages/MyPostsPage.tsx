@@ -0,0 +1,168 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { format } from 'date-fns';
+import { toast } from 'sonner';
+import { BarChart3, Loader2, Pencil, PenSquare, Send } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Tabs, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { useAuth } from '@/contexts/AuthContext';
+import { useGet } from '@/hooks/useApi';
+import apiClient from '@/lib/axios';
+import { handleApiError } from '@/lib/api-error';
+import { toPostFormValues, toPostPayload } from '@/components/posts/post-form-values';
+import type { Post, PostStatus } from '@/types';
+
+const TABS: { status: PostStatus; label: string; empty: string }[] = [
+  { status: 'draft', label: 'Drafts', empty: 'No drafts yet.' },
+  { status: 'scheduled', label: 'Scheduled', empty: 'Nothing is scheduled.' },
+  { status: 'published', label: 'Published', empty: 'You have not published anything yet.' },
+  { status: 'archived', label: 'Archived', empty: 'No archived posts.' },
+];
+
+const describeDate = (post: Post) => {
+  switch (post.status) {
+    case 'scheduled':
+      return `Publishes ${format(new Date(post.publishedAt!), 'MMM d, yyyy h:mm a')}`;
+    case 'published':
+      return `Published ${format(new Date(post.publishedAt || post.createdAt), 'MMM d, yyyy')}`;
+    default:
+      return `Last edited ${format(new Date(post.updatedAt), 'MMM d, yyyy')}`;
+  }
+};
+
+const MyPostsPage = () => {
+  const [status, setStatus] = useState<PostStatus>('draft');
+  const [page, setPage] = useState(1);
+  const [publishingId, setPublishingId] = useState<string | null>(null);
+  const { can } = useAuth();
+
+  const { data, meta, isLoading, isError, error, refetch } = useGet<Post[]>(
+    `/posts/mine?status=${status}&sort=-updatedAt&page=${page}`
+  );
+
+  const posts = Array.isArray(data) ? data : [];
+  const totalPages = meta?.pagination?.totalPages ?? 1;
+  const tab = TABS.find((t) => t.status === status)!;
+
+  const handleTabChange = (value: string) => {
+    setStatus(value as PostStatus);
+    setPage(1);
+  };
+
+  const publishNow = async (post: Post) => {
+    try {
+      setPublishingId(post._id);
+      await apiClient.put(`/posts/${post._id}`, toPostPayload({ ...toPostFormValues(post), status: 'published' }));
+      toast.success(`"${post.title}" is now live`);
+      refetch();
+    } catch (err) {
+      handleApiError(err, 'Failed to publish post. Please try again.');
+    } finally {
+      setPublishingId(null);
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="flex justify-between items-center">
+        <h1 className="text-3xl font-bold">My Drafts</h1>
+        {can('post:create') && (
+          <Button asChild>
+            <Link to="/posts/create">
+              <PenSquare className="h-4 w-4" />
+              New Post
+            </Link>
+          </Button>
+        )}
+      </div>
+
+      <Tabs value={status} onValueChange={handleTabChange}>
+        <TabsList>
+          {TABS.map((t) => (
+            <TabsTrigger key={t.status} value={t.status}>
+              {t.label}
+            </TabsTrigger>
+          ))}
+        </TabsList>
+      </Tabs>
+
+      {isLoading && posts.length === 0 ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="h-8 w-8 animate-spin text-primary" />
+        </div>
+      ) : isError ? (
+        <div className="text-center py-12 text-destructive">
+          Error: {error?.message || 'Failed to load your posts'}
+        </div>
+      ) : posts.length === 0 ? (
+        <p className="text-center py-12 text-muted-foreground">{tab.empty}</p>
+      ) : (
+        <ul className="divide-y border rounded-lg">
+          {posts.map((post) => (
+            <li key={post._id} className="flex items-center justify-between gap-4 p-4">
+              <div className="min-w-0">
+                <Link
+                  to={`/posts/${post.slug || post._id}`}
+                  className="font-medium hover:underline line-clamp-1"
+                >
+                  {post.title}
+                </Link>
+                <div className="flex items-center gap-2 mt-1 text-sm text-muted-foreground">
+                  <Badge variant="secondary" className="capitalize">{post.status}</Badge>
+                  <span>{describeDate(post)}</span>
+                </div>
+              </div>
+              <div className="flex shrink-0 gap-2">
+                {(post.status === 'draft' || post.status === 'scheduled') && can('post:publish') && (
+                  <Button
+                    size="sm"
+                    onClick={() => publishNow(post)}
+                    disabled={publishingId === post._id}
+                  >
+                    {publishingId === post._id ? (
+                      <Loader2 className="h-4 w-4 animate-spin" />
+                    ) : (
+                      <Send className="h-4 w-4" />
+                    )}
+                    Publish now
+                  </Button>
+                )}
+                {post.status === 'published' && (
+                  <Button asChild size="sm" variant="ghost">
+                    <Link to={`/posts/${post._id}/stats`} aria-label={`Stats for ${post.title}`}>
+                      <BarChart3 className="h-4 w-4" />
+                      {post.viewCount}
+                    </Link>
+                  </Button>
+                )}
+                <Button asChild size="sm" variant="outline">
+                  <Link to={`/posts/${post._id}/edit`}>
+                    <Pencil className="h-4 w-4" />
+                    Edit
+                  </Link>
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex justify-center items-center gap-4">
+          <Button variant="outline" onClick={() => setPage(page - 1)} disabled={page === 1}>
+            Previous
+          </Button>
+          <span className="text-sm text-muted-foreground">
+            Page {page} of {totalPages}
+          </span>
+          <Button variant="outline" onClick={() => setPage(page + 1)} disabled={page === totalPages}>
+            Next
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MyPostsPage;
@@ -0,0 +1,213 @@
+import { Link, useParams } from 'react-router-dom';
+import { format } from 'date-fns';
+import { ArrowLeft, BarChart3, Calendar, Clock, Eye, Loader2, Pencil, RefreshCw, User } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { useAuth } from '@/contexts/AuthContext';
+import { useGet } from '@/hooks/useApi';
+import CommentSection from '@/components/comments/CommentSection';
+import AuthorLink from '@/components/AuthorLink';
+import FollowButton from '@/components/FollowButton';
+import ResponsiveImage from '@/components/ResponsiveImage';
+import BookmarkButton from '@/components/posts/BookmarkButton';
+import PostContent from '@/components/posts/PostContent';
+import ReactionBar from '@/components/posts/ReactionBar';
+import TableOfContents from '@/components/posts/TableOfContents';
+import type { Post, UserProfile } from '@/types';
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+// The site that sent the reader here, if any, so the post's stats can credit it
+const externalReferrer = () => {
+  try {
+    return new URL(document.referrer).origin === window.location.origin ? '' : document.referrer;
+  } catch {
+    return '';
+  }
+};
+
+// Posts can be addressed by Mongo id or by their readable slug
+const postUrl = (idOrSlug: string) => {
+  const path = OBJECT_ID_PATTERN.test(idOrSlug) ? `/posts/${idOrSlug}` : `/posts/slug/${idOrSlug}`;
+  const referrer = externalReferrer();
+  return referrer ? `${path}?ref=${encodeURIComponent(referrer)}` : path;
+};
+
+// The post only carries the author's name, so whether the reader follows them is fetched separately
+const FollowAuthor = ({ authorId }: { authorId: string }) => {
+  const { data: profile } = useGet<UserProfile>(`/users/${authorId}`);
+
+  if (!profile) return null;
+
+  return <FollowButton url={`/users/${authorId}`} isFollowing={profile.isFollowing} />;
+};
+
+const PostDetailPage = () => {
+  const { id = '' } = useParams<{ id: string }>();
+  const { user, can } = useAuth();
+  const {
+    data: post,
+    isLoading,
+    isError,
+    error,
+    refetch
+  } = useGet<Post>(postUrl(id));
+
+  if (isLoading && !post) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[400px] space-y-4">
+        <Loader2 className="h-12 w-12 animate-spin text-primary" />
+        <p className="text-muted-foreground">Loading post...</p>
+      </div>
+    );
+  }
+
+  if (isError && error?.status === 404) {
+    return (
+      <div className="text-center py-16">
+        <h1 className="text-3xl font-bold mb-2">Post not found</h1>
+        <p className="text-muted-foreground mb-6">
+          The post you're looking for doesn't exist or has been removed.
+        </p>
+        <Button asChild variant="outline">
+          <Link to="/posts">
+            <ArrowLeft className="h-4 w-4" />
+            Back to posts
+          </Link>
+        </Button>
+      </div>
+    );
+  }
+
+  if (isError || !post) {
+    return (
+      <div className="text-center py-12">
+        <div className="text-destructive mb-4">
+          Error: {error?.message || 'Failed to load post'}
+        </div>
+        <Button 
+          onClick={() => refetch()} 
+          variant="outline" 
+          className="flex items-center gap-2"
+        >
+          <RefreshCw className="h-4 w-4" />
+          Try Again
+        </Button>
+      </div>
+    );
+  }
+
+  const publishedDate = post.publishedAt || post.createdAt;
+  const canEdit = !!user && (user.id === post.author?._id || can('post:edit:any'));
+
+  return (
+    <article className="max-w-3xl mx-auto">
+      <div className="flex justify-between items-center mb-6">
+        <Button asChild variant="ghost" size="sm">
+          <Link to="/posts">
+            <ArrowLeft className="h-4 w-4" />
+            All posts
+          </Link>
+        </Button>
+        <div className="flex gap-2">
+          <BookmarkButton key={post._id} post={post} showLabel />
+          {canEdit && (
+            <>
+              <Button asChild variant="ghost" size="sm">
+                <Link to={`/posts/${post._id}/stats`}>
+                  <BarChart3 className="h-4 w-4" />
+                  Stats
+                </Link>
+              </Button>
+              <Button asChild variant="outline" size="sm">
+                <Link to={`/posts/${post._id}/edit`}>
+                  <Pencil className="h-4 w-4" />
+                  Edit
+                </Link>
+              </Button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {post.categories?.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {post.categories.map((cat) => (
+            <Link
+              key={cat._id}
+              to={`/categories/${cat.slug || cat._id}`}
+              className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-primary/10 text-primary hover:bg-primary/20"
+            >
+              {cat.name}
+            </Link>
+          ))}
+        </div>
+      )}
+
+      {post.status !== 'published' && (
+        <Badge variant="outline" className="mb-2 capitalize">
+          {post.status === 'scheduled'
+            ? `Scheduled for ${format(new Date(post.publishedAt!), 'MMM d, yyyy h:mm a')}`
+            : post.status}
+        </Badge>
+      )}
+
+      <h1 className="text-4xl font-bold mb-4">{post.title}</h1>
+
+      <div className="flex flex-wrap items-center text-sm text-muted-foreground mb-8 gap-4">
+        <div className="flex items-center">
+          <User className="h-4 w-4 mr-1" />
+          <AuthorLink author={post.author} />
+        </div>
+        {post.author && user?.id !== post.author._id && <FollowAuthor key={post.author._id} authorId={post.author._id} />}
+        <div className="flex items-center">
+          <Calendar className="h-4 w-4 mr-1" />
+          <time dateTime={publishedDate}>
+            {format(new Date(publishedDate), 'MMMM d, yyyy')}
+          </time>
+        </div>
+        {!!post.readingTime && (
+          <div className="flex items-center" title={`${post.wordCount} words`}>
+            <Clock className="h-4 w-4 mr-1" />
+            <span>{post.readingTime} min read</span>
+          </div>
+        )}
+        <div className="flex items-center">
+          <Eye className="h-4 w-4 mr-1" />
+          <span>{post.viewCount} {post.viewCount === 1 ? 'view' : 'views'}</span>
+        </div>
+      </div>
+
+      {post.featuredImage && (
+        <ResponsiveImage
+          src={post.featuredImage}
+          details={post.featuredImageDetails}
+          alt={post.title}
+          sizes="(min-width: 768px) 768px, 100vw"
+          loading="eager"
+          className="w-full h-auto rounded-lg mb-8 object-cover max-h-[480px]"
+        />
+      )}
+
+      {(post.toc?.length ?? 0) > 1 && <TableOfContents entries={post.toc!} className="mb-8" />}
+
+      <PostContent post={post} />
+
+      {post.status === 'published' && <ReactionBar key={post._id} post={post} className="mt-8" />}
+
+      {post.tags?.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-8 pt-6 border-t">
+          {post.tags.map((tag) => (
+            <Badge key={tag} asChild variant="secondary">
+              <Link to={`/tags/${encodeURIComponent(tag)}`}>#{tag}</Link>
+            </Badge>
+          ))}
+        </div>
+      )}
+
+      <CommentSection postId={post._id} />
+    </article>
+  );
+};
+
+export default PostDetailPage;
@@ -0,0 +1,137 @@
+import { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { format, parseISO } from 'date-fns';
+import { ArrowLeft, BarChart3, Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Tabs, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { useGet } from '@/hooks/useApi';
+import type { PostStats } from '@/types';
+
+const RANGES = [7, 30, 90];
+
+const ViewsChart = ({ daily }: { daily: PostStats['daily'] }) => {
+  const max = Math.max(1, ...daily.map((day) => day.views));
+
+  return (
+    <div>
+      <div className="flex h-48 items-end gap-px" role="img" aria-label="Views per day">
+        {daily.map((day) => (
+          <div
+            key={day.date}
+            className="flex-1 rounded-t-sm bg-primary/80 hover:bg-primary min-h-px"
+            style={{ height: `${(day.views / max) * 100}%` }}
+            title={`${format(parseISO(day.date), 'MMM d')}: ${day.views} ${day.views === 1 ? 'view' : 'views'}`}
+          />
+        ))}
+      </div>
+      <div className="flex justify-between mt-2 text-xs text-muted-foreground">
+        <span>{format(parseISO(daily[0].date), 'MMM d')}</span>
+        <span>{format(parseISO(daily[daily.length - 1].date), 'MMM d')}</span>
+      </div>
+    </div>
+  );
+};
+
+const PostStatsPage = () => {
+  const { id = '' } = useParams<{ id: string }>();
+  const [days, setDays] = useState(30);
+
+  const { data: stats, isLoading, isError, error } = useGet<PostStats>(`/posts/${id}/stats?days=${days}`);
+
+  const backLink = (
+    <Button asChild variant="ghost" className="mb-4 -ml-2">
+      <Link to={`/posts/${stats?.post.slug || id}`}>
+        <ArrowLeft className="h-4 w-4" />
+        Back to post
+      </Link>
+    </Button>
+  );
+
+  if (isLoading && !stats) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[400px] space-y-4">
+        <Loader2 className="h-12 w-12 animate-spin text-primary" />
+        <p className="text-muted-foreground">Loading stats...</p>
+      </div>
+    );
+  }
+
+  if (isError || !stats) {
+    return (
+      <div className="text-center py-12">
+        <div className="text-destructive mb-4">
+          {error?.status === 403
+            ? 'You are not allowed to view the stats of this post.'
+            : `Error: ${error?.message || 'Failed to load stats'}`}
+        </div>
+        {backLink}
+      </div>
+    );
+  }
+
+  const topViews = stats.referrers[0]?.views || 1;
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-8">
+      <div>
+        {backLink}
+        <h1 className="text-3xl font-bold mb-1 flex items-center gap-2">
+          <BarChart3 className="h-7 w-7" />
+          Post stats
+        </h1>
+        <p className="text-muted-foreground">{stats.post.title}</p>
+      </div>
+
+      <div className="grid gap-4 sm:grid-cols-2">
+        <div className="rounded-lg border p-4">
+          <p className="text-sm text-muted-foreground">Views in the last {stats.days} days</p>
+          <p className="text-3xl font-bold">{stats.periodViews}</p>
+        </div>
+        <div className="rounded-lg border p-4">
+          <p className="text-sm text-muted-foreground">All-time views</p>
+          <p className="text-3xl font-bold">{stats.totalViews}</p>
+        </div>
+      </div>
+
+      <section className="rounded-lg border p-4">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="font-semibold">Views over time</h2>
+          <Tabs value={String(days)} onValueChange={(value) => setDays(Number(value))}>
+            <TabsList>
+              {RANGES.map((range) => (
+                <TabsTrigger key={range} value={String(range)}>
+                  {range}d
+                </TabsTrigger>
+              ))}
+            </TabsList>
+          </Tabs>
+        </div>
+        <ViewsChart daily={stats.daily} />
+      </section>
+
+      <section className="rounded-lg border p-4">
+        <h2 className="font-semibold mb-4">Top referrers</h2>
+        {stats.referrers.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No views in this period yet.</p>
+        ) : (
+          <ul className="space-y-2">
+            {stats.referrers.map(({ referrer, views }) => (
+              <li key={referrer} className="relative rounded px-3 py-1.5 text-sm">
+                <div
+                  className="absolute inset-y-0 left-0 rounded bg-primary/10"
+                  style={{ width: `${(views / topViews) * 100}%` }}
+                />
+                <div className="relative flex justify-between">
+                  <span>{referrer === 'direct' ? 'Direct / unknown' : referrer}</span>
+                  <span className="font-medium">{views}</span>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default PostStatsPage;
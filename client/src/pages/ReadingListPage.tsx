@@ -0,0 +1,80 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Bookmark, Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useGet } from '@/hooks/useApi';
+import PostCard from '@/components/posts/PostCard';
+import type { Post } from '@/types';
+
+const POSTS_PER_PAGE = 9;
+
+const ReadingListPage = () => {
+  const [page, setPage] = useState(1);
+
+  const { data, meta, isLoading, isError, error, setData } = useGet<Post[]>(
+    `/auth/me/bookmarks?page=${page}&limit=${POSTS_PER_PAGE}`
+  );
+
+  const posts = Array.isArray(data) ? data : [];
+  const totalPages = meta?.pagination?.totalPages ?? 1;
+
+  // Drop removed posts right away instead of refetching the page
+  const handleBookmarkChange = (post: Post) => (isBookmarked: boolean) => {
+    if (!isBookmarked) {
+      setData(posts.filter((saved) => saved._id !== post._id));
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h1 className="text-3xl font-bold flex items-center gap-2">
+          <Bookmark className="h-7 w-7" />
+          Reading list
+        </h1>
+        <p className="text-muted-foreground mt-2">Posts you saved to read later</p>
+      </div>
+
+      {isLoading && posts.length === 0 ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="h-8 w-8 animate-spin text-primary" />
+        </div>
+      ) : isError ? (
+        <div className="text-center py-12 text-destructive">
+          Error: {error?.message || 'Failed to load your reading list'}
+        </div>
+      ) : posts.length === 0 ? (
+        <div className="text-center py-16 border-2 border-dashed rounded-lg bg-muted/30">
+          <p className="text-lg text-muted-foreground mb-4">
+            Nothing saved yet. Use the bookmark button on any post to save it here.
+          </p>
+          <Button asChild>
+            <Link to="/posts">Browse posts</Link>
+          </Button>
+        </div>
+      ) : (
+        <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
+          {posts.map((post) => (
+            <PostCard key={post._id} post={post} onBookmarkChange={handleBookmarkChange(post)} />
+          ))}
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex justify-center items-center gap-4">
+          <Button variant="outline" onClick={() => setPage(page - 1)} disabled={page === 1}>
+            Previous
+          </Button>
+          <span className="text-sm text-muted-foreground">
+            Page {page} of {totalPages}
+          </span>
+          <Button variant="outline" onClick={() => setPage(page + 1)} disabled={page === totalPages}>
+            Next
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReadingListPage;
@@ -0,0 +1,194 @@
+import { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { format } from 'date-fns';
+import { toast } from 'sonner';
+import { ArrowLeft, History, Loader2, RotateCcw } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useGet } from '@/hooks/useApi';
+import apiClient from '@/lib/axios';
+import { handleApiError } from '@/lib/api-error';
+import RevisionDiff from '@/components/posts/RevisionDiff';
+import type { Post, Revision } from '@/types';
+
+const RevisionsPage = () => {
+  const { id = '' } = useParams<{ id: string }>();
+  const [selected, setSelected] = useState<{ from?: number; to?: number }>({});
+  const [restoring, setRestoring] = useState<number | null>(null);
+
+  const { data: post } = useGet<Post>(`/posts/${id}`);
+  const {
+    data: revisionData,
+    isLoading,
+    isError,
+    error,
+    refetch,
+  } = useGet<Revision[]>(`/posts/${id}/revisions?limit=100`);
+
+  const revisions = Array.isArray(revisionData) ? revisionData : [];
+  const latest = revisions[0]?.revision;
+
+  // Compare the two most recent revisions until the user picks others
+  const to = selected.to ?? latest;
+  const from = selected.from ?? revisions[1]?.revision ?? latest;
+
+  const { data: fromRevision } = useGet<Revision>(`/posts/${id}/revisions/${from}`, { enabled: !!from });
+  const { data: toRevision } = useGet<Revision>(`/posts/${id}/revisions/${to}`, { enabled: !!to });
+
+  const handleRestore = async (revision: Revision) => {
+    if (!window.confirm(`Restore revision ${revision.revision}? The current version stays in the history.`)) return;
+
+    try {
+      setRestoring(revision.revision);
+      await apiClient.post(`/posts/${id}/revisions/${revision.revision}/restore`);
+      toast.success(`Restored revision ${revision.revision}`);
+      setSelected({});
+      refetch();
+    } catch (err) {
+      handleApiError(err, 'Failed to restore revision. Please try again.');
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  const backLink = (
+    <Button asChild variant="ghost" className="mb-4 -ml-2">
+      <Link to={`/posts/${id}/edit`}>
+        <ArrowLeft className="h-4 w-4" />
+        Back to editor
+      </Link>
+    </Button>
+  );
+
+  if (isLoading && revisions.length === 0) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[400px] space-y-4">
+        <Loader2 className="h-12 w-12 animate-spin text-primary" />
+        <p className="text-muted-foreground">Loading history...</p>
+      </div>
+    );
+  }
+
+  if (isError) {
+    return (
+      <div className="text-center py-12">
+        <div className="text-destructive mb-4">
+          {error?.status === 403
+            ? 'You are not allowed to view the history of this post.'
+            : `Error: ${error?.message || 'Failed to load revisions'}`}
+        </div>
+        {backLink}
+      </div>
+    );
+  }
+
+  const revisionOptions = revisions.map((revision) => (
+    <SelectItem key={revision.revision} value={String(revision.revision)}>
+      Revision {revision.revision}
+    </SelectItem>
+  ));
+
+  return (
+    <div className="max-w-5xl mx-auto">
+      {backLink}
+      <h1 className="text-3xl font-bold mb-1 flex items-center gap-2">
+        <History className="h-7 w-7" />
+        Revision history
+      </h1>
+      {post && <p className="text-muted-foreground mb-8">{post.title}</p>}
+
+      {revisions.length === 0 ? (
+        <p className="text-center py-12 text-muted-foreground">
+          This post has no revisions yet. They are recorded every time it is edited.
+        </p>
+      ) : (
+        <div className="grid gap-8 md:grid-cols-[18rem_1fr]">
+          <ol className="space-y-2">
+            {revisions.map((revision) => (
+              <li key={revision._id} className="border rounded-lg p-3 text-sm">
+                <div className="flex items-center justify-between">
+                  <span className="font-medium">
+                    Revision {revision.revision}
+                    {revision.revision === latest && (
+                      <Badge variant="secondary" className="ml-2">Current</Badge>
+                    )}
+                  </span>
+                  {revision.revision !== latest && (
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      onClick={() => handleRestore(revision)}
+                      disabled={restoring !== null}
+                      aria-label={`Restore revision ${revision.revision}`}
+                    >
+                      {restoring === revision.revision ? (
+                        <Loader2 className="h-4 w-4 animate-spin" />
+                      ) : (
+                        <RotateCcw className="h-4 w-4" />
+                      )}
+                    </Button>
+                  )}
+                </div>
+                <p className="text-muted-foreground">
+                  {revision.editor?.name || 'Unknown'} &middot;{' '}
+                  {format(new Date(revision.createdAt), 'MMM d, yyyy h:mm a')}
+                </p>
+                {revision.restoredFrom !== null && (
+                  <p className="text-muted-foreground">Restored from revision {revision.restoredFrom}</p>
+                )}
+                {revision.changedFields.length > 0 && (
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {revision.changedFields.map((field) => (
+                      <Badge key={field} variant="outline">{field}</Badge>
+                    ))}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ol>
+
+          <div>
+            <div className="flex flex-wrap items-end gap-4 mb-6">
+              <div className="space-y-2">
+                <Label htmlFor="compare-from">Compare</Label>
+                <Select
+                  value={from ? String(from) : undefined}
+                  onValueChange={(value) => setSelected({ from: Number(value), to })}
+                >
+                  <SelectTrigger id="compare-from" className="w-40">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>{revisionOptions}</SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="compare-to">with</Label>
+                <Select
+                  value={to ? String(to) : undefined}
+                  onValueChange={(value) => setSelected({ from, to: Number(value) })}
+                >
+                  <SelectTrigger id="compare-to" className="w-40">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>{revisionOptions}</SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            {fromRevision?.snapshot && toRevision?.snapshot ? (
+              <RevisionDiff before={fromRevision.snapshot} after={toRevision.snapshot} />
+            ) : (
+              <div className="flex justify-center py-12">
+                <Loader2 className="h-8 w-8 animate-spin text-primary" />
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RevisionsPage;
@@ -0,0 +1,142 @@
+import { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { format } from 'date-fns';
+import { Calendar, Loader2, Search, User } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { useApi } from '@/hooks/useApi';
+import { useDebounce } from '@/hooks/useDebounce';
+import AuthorLink from '@/components/AuthorLink';
+import type { SearchResult } from '@/types';
+
+const SearchPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const q = searchParams.get('q') || '';
+  const page = parseInt(searchParams.get('page') || '1', 10) || 1;
+
+  const [input, setInput] = useState(q);
+  const [syncedQ, setSyncedQ] = useState(q);
+  const debouncedInput = useDebounce(input.trim(), 400);
+
+  // Keep the box in sync when the URL changes from elsewhere, e.g. the header search.
+  // Done while rendering so the effect below never sees the new URL with the old text
+  if (q !== syncedQ) {
+    setSyncedQ(q);
+    setInput(q);
+  }
+
+  const { data, meta, isLoading, isError, error, execute } = useApi<SearchResult[]>('/posts/search', 'get', {
+    autoFetch: false,
+  });
+  const results = q && Array.isArray(data) ? data : [];
+  const pagination = meta?.pagination;
+
+  // Typing updates the URL, which drives the actual request below. Until the
+  // debounce catches up with the box, the text is mid-edit or already in the URL
+  useEffect(() => {
+    if (debouncedInput === input.trim() && debouncedInput !== q) {
+      setSearchParams(debouncedInput ? { q: debouncedInput } : {}, { replace: true });
+    }
+  }, [debouncedInput, input, q, setSearchParams]);
+
+  useEffect(() => {
+    if (q) execute({ q, page }).catch(() => {});
+  }, [q, page, execute]);
+
+  const goToPage = (nextPage: number) => {
+    setSearchParams({ q, page: String(nextPage) });
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <h1 className="text-3xl font-bold mb-6">Search</h1>
+
+      <div className="relative mb-8">
+        <Search className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+        <Input
+          type="search"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder="Search posts by title, content or tag..."
+          aria-label="Search posts"
+          className="pl-9 h-10"
+          autoFocus
+        />
+      </div>
+
+      {!q ? (
+        <p className="text-muted-foreground">Type something to start searching.</p>
+      ) : isLoading && results.length === 0 ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="h-8 w-8 animate-spin text-primary" />
+        </div>
+      ) : isError ? (
+        <p className="text-destructive">Error: {error?.message || 'Search failed'}</p>
+      ) : results.length === 0 ? (
+        <p className="text-muted-foreground">No posts match "{q}".</p>
+      ) : (
+        <>
+          <p className="text-sm text-muted-foreground mb-6">
+            {pagination?.total ?? results.length} {pagination?.total === 1 ? 'result' : 'results'} for "{q}"
+          </p>
+
+          <ol className="space-y-6">
+            {results.map((post) => (
+              <li key={post._id} className="border-b pb-6 [&_mark]:bg-yellow-200 [&_mark]:text-foreground">
+                <Link to={`/posts/${post.slug || post._id}`} className="group">
+                  <h2
+                    className="text-xl font-semibold group-hover:text-primary"
+                    dangerouslySetInnerHTML={{ __html: post.highlights.title }}
+                  />
+                </Link>
+                <div className="flex flex-wrap items-center gap-4 text-sm text-muted-foreground my-2">
+                  <span className="flex items-center">
+                    <User className="h-4 w-4 mr-1" />
+                    <AuthorLink author={post.author} />
+                  </span>
+                  {post.publishedAt && (
+                    <span className="flex items-center">
+                      <Calendar className="h-4 w-4 mr-1" />
+                      {format(new Date(post.publishedAt), 'MMM d, yyyy')}
+                    </span>
+                  )}
+                  <span title="Relevance score">Relevance {post.score.toFixed(2)}</span>
+                </div>
+                <p
+                  className="text-foreground"
+                  dangerouslySetInnerHTML={{ __html: post.highlights.snippet }}
+                />
+              </li>
+            ))}
+          </ol>
+
+          {pagination && pagination.totalPages > 1 && (
+            <div className="flex justify-center items-center gap-4 mt-8">
+              <Button
+                variant="outline"
+                size="sm"
+                disabled={!pagination.prev}
+                onClick={() => goToPage(page - 1)}
+              >
+                Previous
+              </Button>
+              <span className="text-sm text-muted-foreground">
+                Page {pagination.page} of {pagination.totalPages}
+              </span>
+              <Button
+                variant="outline"
+                size="sm"
+                disabled={!pagination.next}
+                onClick={() => goToPage(page + 1)}
+              >
+                Next
+              </Button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SearchPage;
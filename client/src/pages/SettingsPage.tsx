@@ -0,0 +1,79 @@
+import { Link } from 'react-router-dom';
+import { ExternalLink, Loader2, Settings } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import EmailSettings from '@/components/settings/EmailSettings';
+import PasswordSettings from '@/components/settings/PasswordSettings';
+import ProfileSettings from '@/components/settings/ProfileSettings';
+import { useAuth } from '@/contexts/AuthContext';
+import { useGet } from '@/hooks/useApi';
+import type { AccountDetails } from '@/types';
+
+const SettingsPage = () => {
+  const { updateUser } = useAuth();
+  const { data: account, isLoading, isError, error, setData } = useGet<AccountDetails>('/auth/me');
+
+  // Keep the page and the signed-in user (e.g. the name in the header) in step
+  const handleSaved = (changes: Partial<AccountDetails>) => {
+    if (!account) return;
+    setData({ ...account, ...changes });
+    updateUser({
+      ...(changes.name !== undefined && { name: changes.name }),
+      ...(changes.email !== undefined && { email: changes.email }),
+      ...(changes.isEmailVerified !== undefined && { isEmailVerified: changes.isEmailVerified }),
+    });
+  };
+
+  if (isLoading && !account) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[400px] space-y-4">
+        <Loader2 className="h-12 w-12 animate-spin text-primary" />
+        <p className="text-muted-foreground">Loading settings...</p>
+      </div>
+    );
+  }
+
+  if (isError || !account) {
+    return (
+      <div className="text-center py-12 text-destructive">
+        Error: {error?.message || 'Failed to load your account'}
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-8">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h1 className="text-3xl font-bold flex items-center gap-2">
+          <Settings className="h-7 w-7" />
+          Settings
+        </h1>
+        <Button asChild variant="outline" size="sm">
+          <Link to={`/authors/${account.id}`}>
+            <ExternalLink className="h-4 w-4" />
+            View public profile
+          </Link>
+        </Button>
+      </div>
+
+      <Tabs defaultValue="profile">
+        <TabsList className="mb-6">
+          <TabsTrigger value="profile">Profile</TabsTrigger>
+          <TabsTrigger value="email">Email</TabsTrigger>
+          <TabsTrigger value="password">Password</TabsTrigger>
+        </TabsList>
+        <TabsContent value="profile">
+          <ProfileSettings account={account} onSaved={handleSaved} />
+        </TabsContent>
+        <TabsContent value="email">
+          <EmailSettings key={account.email} account={account} onSaved={handleSaved} />
+        </TabsContent>
+        <TabsContent value="password">
+          <PasswordSettings />
+        </TabsContent>
+      </Tabs>
+    </div>
+  );
+};
+
+export default SettingsPage;
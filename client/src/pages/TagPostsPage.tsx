@@ -0,0 +1,76 @@
+import { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useGet } from '@/hooks/useApi';
+import PostCard from '@/components/posts/PostCard';
+import type { Post } from '@/types';
+
+const TagPostsPage = () => {
+  const { tag = '' } = useParams<{ tag: string }>();
+  const [pageState, setPageState] = useState({ tag, page: 1 });
+  // Start over on page 1 when navigating to another tag
+  const page = pageState.tag === tag ? pageState.page : 1;
+  const setPage = (next: number) => setPageState({ tag, page: next });
+
+  const { data, meta, isLoading, isError, error } = useGet<Post[]>(
+    `/tags/${encodeURIComponent(tag)}/posts?page=${page}&limit=9`
+  );
+
+  const posts = Array.isArray(data) ? data : [];
+  const total = meta?.pagination?.total ?? 0;
+  const totalPages = meta?.pagination?.totalPages ?? 1;
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <Button asChild variant="ghost" className="mb-4 -ml-2">
+          <Link to="/tags">
+            <ArrowLeft className="h-4 w-4" />
+            All tags
+          </Link>
+        </Button>
+        <h1 className="text-3xl font-bold">#{tag}</h1>
+        {!isLoading && !isError && (
+          <p className="text-muted-foreground">
+            {total} post{total === 1 ? '' : 's'}
+          </p>
+        )}
+      </div>
+
+      {isLoading && posts.length === 0 ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="h-8 w-8 animate-spin text-primary" />
+        </div>
+      ) : isError ? (
+        <div className="text-center py-12 text-destructive">
+          Error: {error?.message || 'Failed to load posts'}
+        </div>
+      ) : posts.length === 0 ? (
+        <p className="text-center py-12 text-muted-foreground">No published posts with this tag.</p>
+      ) : (
+        <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
+          {posts.map((post) => (
+            <PostCard key={post._id} post={post} />
+          ))}
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex justify-center items-center gap-4">
+          <Button variant="outline" onClick={() => setPage(page - 1)} disabled={page === 1}>
+            Previous
+          </Button>
+          <span className="text-sm text-muted-foreground">
+            Page {page} of {totalPages}
+          </span>
+          <Button variant="outline" onClick={() => setPage(page + 1)} disabled={page === totalPages}>
+            Next
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TagPostsPage;
@@ -0,0 +1,140 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'sonner';
+import { Loader2, Merge } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { useAuth } from '@/contexts/AuthContext';
+import { useGet } from '@/hooks/useApi';
+import apiClient from '@/lib/axios';
+import { handleApiError } from '@/lib/api-error';
+import { normalizeTag } from '@/lib/tags';
+import TagInput from '@/components/posts/TagInput';
+import type { Tag } from '@/types';
+
+// Font sizes from least to most used, in rem
+const MIN_SIZE = 0.875;
+const MAX_SIZE = 2.25;
+
+// Scale logarithmically so one very popular tag doesn't flatten the rest
+const tagSize = (count: number, min: number, max: number) => {
+  if (max === min) return (MIN_SIZE + MAX_SIZE) / 2;
+  const weight = (Math.log(count) - Math.log(min)) / (Math.log(max) - Math.log(min));
+  return MIN_SIZE + weight * (MAX_SIZE - MIN_SIZE);
+};
+
+const MergeTagsForm = ({ onMerged }: { onMerged: () => void }) => {
+  const [sources, setSources] = useState<string[]>([]);
+  const [target, setTarget] = useState('');
+  const [merging, setMerging] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const into = normalizeTag(target);
+    if (sources.length === 0 || !into) return;
+
+    try {
+      setMerging(true);
+      const { data } = await apiClient.post<{ modified: number }>('/tags/merge', { sources, target: into });
+      toast.success(`Merged into #${into} on ${data.modified} post${data.modified === 1 ? '' : 's'}`);
+      setSources([]);
+      setTarget('');
+      onMerged();
+    } catch (error) {
+      handleApiError(error, 'Failed to merge tags. Please try again.');
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 rounded-lg border p-4">
+      <div>
+        <h2 className="font-semibold">Merge or rename tags</h2>
+        <p className="text-sm text-muted-foreground">
+          Every post tagged with one of the first tags is retagged with the second. Pick a single tag to rename it.
+        </p>
+      </div>
+      <div className="grid gap-4 sm:grid-cols-2">
+        <div className="space-y-2">
+          <Label htmlFor="merge-sources">Tags</Label>
+          <TagInput
+            id="merge-sources"
+            value={sources}
+            onChange={setSources}
+            normalize={normalizeTag}
+            placeholder="Tags to fold away"
+            disabled={merging}
+            suggest
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="merge-target">Into</Label>
+          <Input
+            id="merge-target"
+            value={target}
+            onChange={(e) => setTarget(e.target.value)}
+            placeholder="Tag to keep"
+            disabled={merging}
+          />
+        </div>
+      </div>
+      <div className="flex justify-end">
+        <Button type="submit" disabled={merging || sources.length === 0 || !normalizeTag(target)}>
+          {merging ? <Loader2 className="h-4 w-4 animate-spin" /> : <Merge className="h-4 w-4" />}
+          Merge
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+const TagsPage = () => {
+  const { can } = useAuth();
+  const { data, isLoading, isError, error, refetch } = useGet<Tag[]>('/tags?limit=200');
+  const tags = Array.isArray(data) ? data : [];
+
+  const counts = tags.map((tag) => tag.count);
+  const min = Math.min(...counts);
+  const max = Math.max(...counts);
+  // The API sorts by popularity; a cloud reads better alphabetically
+  const sorted = [...tags].sort((a, b) => a.name.localeCompare(b.name));
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-8">
+      <h1 className="text-3xl font-bold">Tags</h1>
+
+      {isLoading && tags.length === 0 ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="h-8 w-8 animate-spin text-primary" />
+        </div>
+      ) : isError ? (
+        <div className="text-center py-12 text-destructive">
+          Error: {error?.message || 'Failed to load tags'}
+        </div>
+      ) : tags.length === 0 ? (
+        <p className="text-center py-12 text-muted-foreground">No posts have been tagged yet.</p>
+      ) : (
+        <ul className="flex flex-wrap items-baseline justify-center gap-x-4 gap-y-2">
+          {sorted.map((tag) => (
+            <li key={tag.name}>
+              <Link
+                to={`/tags/${encodeURIComponent(tag.name)}`}
+                style={{ fontSize: `${tagSize(tag.count, min, max)}rem` }}
+                className="text-primary hover:underline"
+                title={`${tag.count} post${tag.count === 1 ? '' : 's'}`}
+              >
+                #{tag.name}
+              </Link>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {can('tag:manage') && <MergeTagsForm onMerged={refetch} />}
+    </div>
+  );
+};
+
+export default TagsPage;
@@ -0,0 +1,262 @@
+export interface ImageVariant {
+  name: 'thumbnail' | 'card' | 'full';
+  format: string;
+  width: number;
+  height: number;
+  url: string;
+}
+
+export interface ImageDetails {
+  width: number;
+  height: number;
+  placeholder: string;
+  variants: ImageVariant[];
+}
+
+export interface Author {
+  _id: string;
+  name: string;
+  profileImage?: string;
+}
+
+export interface FollowState {
+  followerCount: number;
+  // Always false for signed-out readers
+  isFollowing: boolean;
+}
+
+export type SocialNetwork = 'twitter' | 'facebook' | 'linkedin' | 'instagram' | 'github';
+
+export type SocialLinks = Partial<Record<SocialNetwork, string>>;
+
+// Public view of an author, as returned by GET /users/:id
+export interface UserProfile extends FollowState {
+  _id: string;
+  name: string;
+  profileImage?: string;
+  profileImageDetails?: ImageDetails | null;
+  bio?: string;
+  website?: string;
+  social?: SocialLinks;
+  followingCount: number;
+  postCount: number;
+  // The latest few published posts
+  recentPosts: Post[];
+  createdAt: string;
+}
+
+// The signed-in user's own account, as returned by GET /auth/me
+export interface AccountDetails {
+  id: string;
+  name: string;
+  email: string;
+  role: string;
+  isEmailVerified: boolean;
+  // A new address waiting to be confirmed; `email` stays in use until then
+  pendingEmail?: string;
+  profileImage?: string;
+  profileImageDetails?: ImageDetails | null;
+  bio?: string;
+  website?: string;
+  social?: SocialLinks;
+  createdAt?: string;
+}
+
+export type UserRole = 'user' | 'publisher' | 'admin';
+
+// Mirrors the server's permission map; the role decides which of these a user holds
+export type Permission =
+  | 'post:create'
+  | 'post:publish'
+  | 'post:edit:any'
+  | 'category:manage'
+  | 'tag:manage'
+  | 'comment:moderate'
+  | 'user:manage';
+
+// An account as listed in the admin console
+export interface AdminUser {
+  _id: string;
+  name: string;
+  email: string;
+  role: UserRole;
+  isActive: boolean;
+  isEmailVerified: boolean;
+  profileImage?: string;
+  lastLogin?: string;
+  failedLoginAttempts: number;
+  isLocked: boolean;
+  lockedUntil: string | null;
+  sessionsRevokedAt?: string;
+  createdAt: string;
+}
+
+export interface Category {
+  _id: string;
+  name: string;
+  slug: string;
+  description?: string;
+  isActive?: boolean;
+  parent?: string | null;
+  // Breadcrumb trail from the root category down to this one's parent
+  ancestors?: CategoryRef[];
+  // Published posts in the category and its subcategories, included by the category endpoints
+  postCount?: number;
+  // Included on single-category responses
+  followerCount?: number;
+  isFollowing?: boolean;
+  createdAt?: string;
+}
+
+export type CategoryRef = Pick<Category, '_id' | 'name' | 'slug'>;
+
+export interface CategoryNode extends Category {
+  children: CategoryNode[];
+}
+
+export type PostStatus = 'draft' | 'scheduled' | 'published' | 'archived';
+
+export interface PostMeta {
+  title?: string;
+  description?: string;
+  keywords?: string[];
+}
+
+export type ContentFormat = 'markdown' | 'plain';
+
+export type ReactionType = 'like' | 'love' | 'insightful' | 'celebrate';
+
+export type ReactionCounts = Record<ReactionType, number>;
+
+// Heading anchors collected while rendering, in document order
+export interface TocEntry {
+  level: number;
+  text: string;
+  id: string;
+}
+
+export interface Post {
+  _id: string;
+  title: string;
+  slug: string;
+  content: string;
+  contentFormat?: ContentFormat;
+  // Sanitized on the server; missing on posts saved before rendering was added
+  contentHtml?: string;
+  toc?: TocEntry[];
+  wordCount?: number;
+  // Estimated minutes to read; 0 until the content has been rendered
+  readingTime?: number;
+  excerpt?: string;
+  // True when the server generated the excerpt from the content
+  excerptGenerated?: boolean;
+  featuredImage?: string;
+  featuredImageDetails?: ImageDetails | null;
+  categories: Category[];
+  author: Author;
+  status: PostStatus;
+  publishedAt?: string;
+  tags: string[];
+  viewCount: number;
+  reactionCounts?: ReactionCounts;
+  // The signed-in reader's reaction; null when they haven't reacted or aren't signed in
+  myReaction?: ReactionType | null;
+  isBookmarked?: boolean;
+  // Only set on reading list entries
+  bookmarkedAt?: string;
+  meta?: PostMeta;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface Tag {
+  name: string;
+  count: number;
+}
+
+export interface Comment {
+  _id: string;
+  content: string;
+  post: string;
+  author: Author | null;
+  parent: string | null;
+  isEdited: boolean;
+  editedAt?: string;
+  isDeleted: boolean;
+  replies: Comment[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type RevisionField =
+  | 'title'
+  | 'content'
+  | 'contentFormat'
+  | 'excerpt'
+  | 'featuredImage'
+  | 'categories'
+  | 'tags'
+  | 'meta';
+
+export interface RevisionSnapshot {
+  title?: string;
+  content?: string;
+  contentFormat?: ContentFormat;
+  excerpt?: string;
+  featuredImage?: string;
+  featuredImageDetails?: ImageDetails | null;
+  categories?: string[];
+  tags?: string[];
+  meta?: PostMeta;
+}
+
+export interface Revision {
+  _id: string;
+  post: string;
+  revision: number;
+  editor: Author | null;
+  changedFields: RevisionField[];
+  restoredFrom: number | null;
+  snapshot?: RevisionSnapshot;
+  createdAt: string;
+}
+
+export interface PageRef {
+  page: number;
+  limit: number;
+}
+
+export interface Pagination {
+  page: number;
+  limit: number;
+  total: number;
+  totalPages: number;
+  next?: PageRef;
+  prev?: PageRef;
+}
+
+export interface CursorPagination {
+  limit: number;
+  hasMore: boolean;
+  nextCursor: string | null;
+}
+
+export interface SearchResult extends Post {
+  score: number;
+  highlights: {
+    title: string;
+    snippet: string;
+  };
+}
+
+export interface PostStats {
+  post: Pick<Post, '_id' | 'title' | 'slug'>;
+  // All-time views, including those before daily stats were kept
+  totalViews: number;
+  periodViews: number;
+  days: number;
+  // One entry per day, oldest first; date is YYYY-MM-DD in UTC
+  daily: { date: string; views: number }[];
+  // Referring hosts, 'direct' when there was none
+  referrers: { referrer: string; views: number }[];
+}
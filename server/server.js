@@ -1,10 +1,13 @@
 require('module-alias/register');
 const express = require('express');
 const path = require('path');
+const cookieParser = require('cookie-parser');
 const connectDB = require('@config/db');
 const { securityHeaders, corsMiddleware, sanitizeData, publicApiLimiter } = require('@middleware/security');
 const { globalErrorHandler, notFound } = require('@utils/errorHandler');
 const logger = require('@utils/logger');
+const { startPublishScheduler } = require('@utils/publishScheduler');
+const { UPLOAD_URL_PREFIX, uploadDir } = require('@utils/fileStorage');
 
 const app = express();
 
@@ -14,6 +17,7 @@ app.set('trust proxy', 1);
 
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
+app.use(cookieParser());
 app.use(sanitizeData);
 
 app.use((req, res, next) => {
@@ -24,16 +28,26 @@ app.use((req, res, next) => {
   next();
 });
 
+// Uploaded images; the client may load them from another origin in development
+app.use(UPLOAD_URL_PREFIX, express.static(uploadDir(), {
+  index: false,
+  setHeaders: res => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
+
 app.use('/api', publicApiLimiter);
 
 // API routes
-const apiRoutes = [
-  require('./src/routes/auth'),
-  require('./src/routes/posts'),
-  require('./src/routes/categories')
-];
+const apiRoutes = {
+  '/auth': require('./src/routes/auth'),
+  '/posts': require('./src/routes/posts'),
+  '/categories': require('./src/routes/categories'),
+  '/tags': require('./src/routes/tags'),
+  '/users': require('./src/routes/users'),
+  '/feed': require('./src/routes/feed'),
+  '/admin': require('./src/routes/admin')
+};
 
-apiRoutes.forEach(route => app.use('/api', route));
+Object.entries(apiRoutes).forEach(([prefix, route]) => app.use(`/api${prefix}`, route));
 
 // Handle 404 for API routes
 app.use('/api', notFound);
@@ -54,6 +68,7 @@ const PORT = process.env.PORT || 5000;
 const startServer = async () => {
   try {
     await connectDB();
+    startPublishScheduler();
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
@@ -11,6 +11,8 @@ const DEFAULT_CONFIG = {
   COOKIE_EXPIRE: 7, // 7 days
   SMTP_PORT: 587,
   MAX_FILE_UPLOAD: 1000000, // 1MB
+  PUBLISH_SCHEDULER_INTERVAL: 60, // seconds
+  VIEW_DEDUPE_WINDOW: 30, // minutes
   CLIENT_URL: 'http://localhost:3000'
 };
 
@@ -38,6 +40,17 @@ if (missingVars.length > 0) {
   throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
 }
 
+/**
+ * Read a whole-number setting, falling back to its default when the variable
+ * is blank or not a positive integer (e.g. `PUBLISH_SCHEDULER_INTERVAL=`)
+ * @param {string} name - Environment variable name
+ * @returns {number} Parsed value or the default from DEFAULT_CONFIG
+ */
+const positiveInt = (name) => {
+  const value = Number(env[name]);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_CONFIG[name];
+};
+
 // Export configuration
 module.exports = {
   // Server configuration
@@ -91,6 +104,17 @@ module.exports = {
     from: `"${env.EMAIL_FROM_NAME || 'MERN Blog'}" <${env.EMAIL_FROM}>`
   },
   
+  // Scheduled publishing configuration
+  scheduler: {
+    publishIntervalMs: positiveInt('PUBLISH_SCHEDULER_INTERVAL') * 1000
+  },
+
+  // View counting configuration
+  views: {
+    // Repeat views of a post by the same visitor within this window count once
+    dedupeWindowMs: positiveInt('VIEW_DEDUPE_WINDOW') * 60 * 1000
+  },
+
   // File upload configuration
   upload: {
     path: env.FILE_UPLOAD_PATH,
@@ -0,0 +1,39 @@
+// Every permission the API checks. Routes and controllers should ask about
+// one of these rather than comparing roles
+const PERMISSIONS = {
+  POST_CREATE: 'post:create', // write posts and keep editing their own
+  POST_PUBLISH: 'post:publish', // publish or schedule posts instead of leaving them as drafts
+  POST_EDIT_ANY: 'post:edit:any', // see, edit and delete other authors' posts
+  CATEGORY_MANAGE: 'category:manage', // create, edit, deactivate and delete categories
+  TAG_MANAGE: 'tag:manage', // rename and merge tags across every post
+  COMMENT_MODERATE: 'comment:moderate', // edit and delete other readers' comments
+  USER_MANAGE: 'user:manage' // the admin user console
+};
+
+// What each role may do: readers can draft, publishers can also put posts live
+const ROLE_PERMISSIONS = {
+  user: [PERMISSIONS.POST_CREATE],
+  publisher: [PERMISSIONS.POST_CREATE, PERMISSIONS.POST_PUBLISH],
+  admin: Object.values(PERMISSIONS)
+};
+
+/**
+ * List the permissions granted to a role
+ * @param {string} role - User role
+ * @returns {string[]} Permissions, empty for unknown roles
+ */
+const permissionsFor = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Check whether a user holds a permission
+ * @param {Object} [user] - req.user, if signed in
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission) => !!user && permissionsFor(user.role).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  permissionsFor,
+  hasPermission
+};
@@ -0,0 +1,182 @@
+const User = require('@models/User');
+const Post = require('@models/Post');
+const ApiError = require('@utils/ApiError');
+const { buildListQuery } = require('@utils/queryBuilder');
+const { buildPagination } = require('@utils/pagination');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// What an admin sees about an account; password and token hashes stay out
+const ADMIN_USER_FIELDS =
+  'name email role isActive isEmailVerified profileImage lastLogin failedLoginAttempts accountLockedUntil sessionsRevokedAt createdAt';
+
+// Fields the user list may filter and sort on, on top of ?q= and ?locked=
+const USER_QUERY_SPEC = {
+  filterable: {
+    role: { type: 'string', enum: ['user', 'publisher', 'admin'] },
+    isActive: 'boolean',
+    isEmailVerified: 'boolean',
+    lastLogin: 'date',
+    createdAt: 'date'
+  },
+  sortable: ['name', 'email', 'role', 'lastLogin', 'createdAt'],
+  selectable: [],
+  defaultSort: '-createdAt'
+};
+
+// Flatten the lock state so the client doesn't have to compare dates
+const toAdminView = (user) => {
+  const { accountLockedUntil, failedLoginAttempts, ...rest } = user.toJSON({ virtuals: false });
+  const isLocked = !!accountLockedUntil && accountLockedUntil > Date.now();
+
+  return {
+    ...rest,
+    failedLoginAttempts: failedLoginAttempts || 0,
+    isLocked,
+    lockedUntil: isLocked ? accountLockedUntil : null
+  };
+};
+
+// Load the target account, refusing changes an admin can't make to themselves
+const findManagedUser = async (req, { allowSelf = true } = {}) => {
+  const user = await User.findById(req.params.id).select(ADMIN_USER_FIELDS);
+
+  if (!user) {
+    throw new ApiError(404, `User not found with id of ${req.params.id}`);
+  }
+
+  if (!allowSelf && user._id.equals(req.user._id)) {
+    throw ApiError.badRequest('You cannot change your own role or status');
+  }
+
+  return user;
+};
+
+// @desc    List users with search, filters and pagination
+// @route   GET /api/v1/admin/users?q=&role=&isActive=&locked=
+// @access  Private/Admin
+exports.getUsers = async (req, res, next) => {
+  try {
+    const { q, locked, ...params } = req.query;
+    const query = buildListQuery(params, USER_QUERY_SPEC);
+    const { sort, page, limit, skip } = query;
+
+    const conditions = [query.filter];
+    const search = (q || '').toString().trim();
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      conditions.push({ $or: [{ name: pattern }, { email: pattern }] });
+    }
+
+    if (locked === 'true') {
+      conditions.push({ accountLockedUntil: { $gt: new Date() } });
+    } else if (locked === 'false') {
+      conditions.push({ $or: [{ accountLockedUntil: null }, { accountLockedUntil: { $lte: new Date() } }] });
+    } else if (locked !== undefined) {
+      return next(ApiError.badRequest(`Invalid boolean for locked: ${locked}`));
+    }
+
+    const filter = { $and: conditions };
+
+    const [users, total] = await Promise.all([
+      User.find(filter).select(ADMIN_USER_FIELDS).sort(sort).skip(skip).limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      pagination: buildPagination({ page, limit, total }),
+      data: users.map(toAdminView)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get a single user with their post count
+// @route   GET /api/v1/admin/users/:id
+// @access  Private/Admin
+exports.getUser = async (req, res, next) => {
+  try {
+    const user = await findManagedUser(req);
+    const postCount = await Post.countDocuments({ author: user._id });
+
+    res.status(200).json({
+      success: true,
+      data: { ...toAdminView(user), postCount }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Change a user's role or activate/deactivate their account
+// @route   PUT /api/v1/admin/users/:id
+// @access  Private/Admin
+exports.updateUser = async (req, res, next) => {
+  try {
+    const user = await findManagedUser(req, { allowSelf: false });
+
+    if (req.body.role !== undefined) user.role = req.body.role;
+    if (req.body.isActive !== undefined) user.isActive = req.body.isActive;
+
+    // A deactivated account loses its sessions as well as the ability to log in
+    if (user.isModified('isActive') && !user.isActive) {
+      user.refreshToken = undefined;
+      user.refreshTokenExpire = undefined;
+      user.sessionsRevokedAt = Date.now();
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      data: toAdminView(user)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Clear a lockout caused by failed login attempts
+// @route   POST /api/v1/admin/users/:id/unlock
+// @access  Private/Admin
+exports.unlockUser = async (req, res, next) => {
+  try {
+    const user = await findManagedUser(req);
+
+    user.failedLoginAttempts = 0;
+    user.accountLockedUntil = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      data: toAdminView(user)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Sign a user out everywhere by revoking their access and refresh tokens
+// @route   POST /api/v1/admin/users/:id/logout
+// @access  Private/Admin
+exports.forceLogout = async (req, res, next) => {
+  try {
+    const user = await findManagedUser(req, { allowSelf: false });
+
+    user.refreshToken = undefined;
+    user.refreshTokenExpire = undefined;
+    user.sessionsRevokedAt = Date.now();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      data: toAdminView(user)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
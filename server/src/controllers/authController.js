@@ -1,7 +1,15 @@
+const crypto = require('crypto');
 const User = require('@models/User');
 const ApiError = require('@utils/ApiError');
 const sendEmail = require('@utils/sendEmail');
 const config = require('@config/envConfig');
+const { permissionsFor } = require('@config/permissions');
+const { processImage } = require('@utils/imageVariants');
+
+// Profile fields a user may change about themselves through updateDetails;
+// email is handled separately because a new address has to be confirmed first
+const PROFILE_FIELDS = ['name', 'bio', 'website'];
+const SOCIAL_NETWORKS = ['twitter', 'facebook', 'linkedin', 'instagram', 'github'];
 
 exports.register = async (req, res, next) => {
   try {
@@ -70,6 +78,47 @@ exports.verifyEmail = async (req, res, next) => {
   }
 };
 
+// @desc    Confirm a changed email address
+// @route   GET /api/auth/confirm-email/:token
+// @access  Public
+exports.confirmEmail = async (req, res, next) => {
+  try {
+    const pendingEmailToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      pendingEmailToken,
+      pendingEmailExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return next(new ApiError(400, 'Invalid or expired token'));
+    }
+
+    // Someone may have registered the address since the change was requested
+    if (await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } })) {
+      user.clearPendingEmail();
+      await user.save({ validateBeforeSave: false });
+      return next(new ApiError(400, 'That email address is already in use'));
+    }
+
+    // Following the link proves the new inbox belongs to this user
+    user.email = user.pendingEmail;
+    user.isEmailVerified = true;
+    user.clearPendingEmail();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email address changed successfully'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 // @desc    Login user
 // @route   POST /api/v1/auth/login
 // @access  Public
@@ -83,21 +132,28 @@ exports.login = async (req, res, next) => {
     }
 
     // Check for user
-    const user = await User.findOne({ email }).select('+password +refreshToken');
+    const user = await User.findOne({ email }).select(
+      '+password +refreshToken +failedLoginAttempts +accountLockedUntil'
+    );
 
     if (!user) {
-      return next(new ApiError('Invalid credentials', 401));
+      return next(new ApiError(401, 'Invalid credentials'));
+    }
+
+    // Locked accounts are refused before the password is even checked
+    if (user.isAccountLocked()) {
+      const minutesLeft = Math.ceil((user.accountLockedUntil - Date.now()) / 60000);
+      return next(new ApiError(423, `Account locked after too many failed attempts. Try again in ${minutesLeft} minutes`));
     }
 
     // Check if password matches
     const isMatch = await user.matchPassword(password);
 
     if (!isMatch) {
-      // Increment failed login attempts
-      user.failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
-      await user.save({ validateBeforeSave: false });
-      
-      return next(new ApiError('Invalid credentials', 401));
+      // Five misses in a row lock the account for a while
+      await user.incrementLoginAttempts();
+
+      return next(new ApiError(401, 'Invalid credentials'));
     }
 
     // Check if user is active
@@ -112,6 +168,7 @@ exports.login = async (req, res, next) => {
 
     // Reset failed login attempts on successful login
     user.failedLoginAttempts = 0;
+    user.accountLockedUntil = undefined;
     user.lastLogin = Date.now();
     await user.save({ validateBeforeSave: false });
 
@@ -154,8 +211,16 @@ exports.getMe = async (req, res, next) => {
         email: freshUser.email,
         role: freshUser.role,
         isEmailVerified: freshUser.isEmailVerified,
+        pendingEmail: freshUser.pendingEmail,
         isActive: freshUser.isActive,
+        // Lets the client hide what this role can't do; the API still checks every request
+        permissions: permissionsFor(freshUser.role),
         lastLogin: freshUser.lastLogin,
+        profileImage: freshUser.profileImage,
+        profileImageDetails: freshUser.profileImageDetails,
+        bio: freshUser.bio,
+        website: freshUser.website,
+        social: freshUser.social,
         createdAt: freshUser.createdAt,
         updatedAt: freshUser.updatedAt
       }
@@ -250,21 +315,100 @@ exports.resetPassword = async (req, res, next) => {
 // @access  Private
 exports.updateDetails = async (req, res, next) => {
   try {
-    const fieldsToUpdate = {
-      name: req.body.name,
-      email: req.body.email,
-      bio: req.body.bio,
-      website: req.body.website
-    };
+    const user = await User.findById(req.user.id);
 
-    const user = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
-      new: true,
-      runValidators: true
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) user[field] = req.body[field];
     });
 
+    // Networks left out of the request keep their current link
+    SOCIAL_NETWORKS.forEach(network => {
+      if (req.body.social?.[network] !== undefined) user.set(`social.${network}`, req.body.social[network]);
+    });
+
+    // New avatars go through PUT /me/avatar; here the current one can only be removed
+    if (req.body.profileImage === '') {
+      user.profileImage = '';
+      user.profileImageDetails = null;
+    }
+
+    // A new address is only swapped in once it has been confirmed, so the
+    // current one keeps working for login in the meantime
+    const newEmail = req.body.email?.trim().toLowerCase();
+    const emailChanged = !!newEmail && newEmail !== user.email;
+    let confirmationToken;
+
+    if (emailChanged) {
+      if (await User.exists({ email: newEmail, _id: { $ne: user._id } })) {
+        return next(new ApiError(400, 'That email address is already in use'));
+      }
+
+      confirmationToken = user.getPendingEmailToken(newEmail);
+    }
+
+    await user.save();
+
+    if (emailChanged) {
+      const confirmationUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/confirm-email/${confirmationToken}`;
+
+      try {
+        await sendEmail({
+          email: newEmail,
+          subject: 'Confirm your new email address',
+          html: `Please confirm your new email address by clicking on the following link: <a href="${confirmationUrl}">Confirm Email</a>`
+        });
+      } catch (err) {
+        user.clearPendingEmail();
+        await user.save({ validateBeforeSave: false });
+        return next(new ApiError(500, 'The confirmation email could not be sent, so your email address was not changed'));
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: emailChanged ? 'Please check your inbox to confirm your new email address' : 'Profile updated',
+      data: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isEmailVerified: user.isEmailVerified,
+        pendingEmail: user.pendingEmail,
+        profileImage: user.profileImage,
+        profileImageDetails: user.profileImageDetails,
+        bio: user.bio,
+        website: user.website,
+        social: user.social
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Upload profile image
+// @route   PUT /api/v1/auth/me/avatar
+// @access  Private
+exports.uploadAvatar = async (req, res, next) => {
+  try {
+    const { url, details } = await processImage(req.image.data, {
+      prefix: `avatar_${req.user.id}`,
+      ext: req.image.ext,
+      preset: 'avatar'
+    });
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { profileImage: url, profileImageDetails: details },
+      { new: true, runValidators: true }
+    );
+
     res.status(200).json({
       success: true,
-      data: user
+      data: {
+        profileImage: user.profileImage,
+        profileImageDetails: user.profileImageDetails
+      }
     });
   } catch (err) {
     next(err);
@@ -280,7 +424,7 @@ exports.updatePassword = async (req, res, next) => {
 
     // Check current password
     if (!(await user.matchPassword(req.body.currentPassword))) {
-      return next(new ApiError('Password is incorrect', 401));
+      return next(new ApiError(401, 'Current password is incorrect'));
     }
 
     user.password = req.body.newPassword;
@@ -402,7 +546,8 @@ exports.refreshToken = async (req, res, next) => {
       email: user.email,
       role: user.role,
       isEmailVerified: user.isEmailVerified,
-      isActive: user.isActive
+      isActive: user.isActive,
+      permissions: permissionsFor(user.role)
     };
 
     // Send response with tokens
@@ -462,6 +607,7 @@ const sendTokenResponse = (user, statusCode, res) => {
       role: user.role,
       isEmailVerified: user.isEmailVerified,
       isActive: user.isActive,
+      permissions: permissionsFor(user.role),
       createdAt: user.createdAt
     };
     
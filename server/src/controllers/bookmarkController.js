@@ -0,0 +1,98 @@
+const Post = require('@models/Post');
+const Bookmark = require('@models/Bookmark');
+const ApiError = require('@utils/ApiError');
+const { buildPagination } = require('@utils/pagination');
+const { withReaderState } = require('@utils/readerState');
+
+// Readers can save published posts, and authors their own in any state
+const findBookmarkablePost = async (req) => {
+  const post = await Post.findOne({
+    _id: req.params.id,
+    $or: [{ status: 'published' }, { author: req.user._id }]
+  }).select('_id');
+
+  if (!post) {
+    throw new ApiError(404, `Post not found with id of ${req.params.id}`);
+  }
+
+  return post;
+};
+
+// @desc    Add a post to the user's reading list
+// @route   POST /api/v1/posts/:id/bookmark
+// @access  Private
+exports.addBookmark = async (req, res, next) => {
+  try {
+    const post = await findBookmarkablePost(req);
+
+    // Saving twice is harmless, so upsert instead of failing on the unique index
+    await Bookmark.updateOne(
+      { user: req.user._id, post: post._id },
+      { $setOnInsert: { user: req.user._id, post: post._id } },
+      { upsert: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { isBookmarked: true }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Remove a post from the user's reading list
+// @route   DELETE /api/v1/posts/:id/bookmark
+// @access  Private
+exports.removeBookmark = async (req, res, next) => {
+  try {
+    await Bookmark.deleteOne({ user: req.user._id, post: req.params.id });
+
+    res.status(200).json({
+      success: true,
+      data: { isBookmarked: false }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get the user's reading list, most recently saved first
+// @route   GET /api/v1/auth/me/bookmarks
+// @access  Private
+exports.getMyBookmarks = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+
+    const [bookmarks, total] = await Promise.all([
+      Bookmark.find({ user: req.user._id })
+        .sort('-createdAt')
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate({
+          path: 'post',
+          // Posts unpublished since they were saved drop out until they're back
+          match: { $or: [{ status: 'published' }, { author: req.user._id }] },
+          populate: [
+            { path: 'author', select: 'name profileImage' },
+            { path: 'categories', select: 'name slug' }
+          ]
+        }),
+      Bookmark.countDocuments({ user: req.user._id })
+    ]);
+
+    const saved = bookmarks.filter(bookmark => bookmark.post);
+    const posts = await withReaderState(saved.map(bookmark => bookmark.post), req.user);
+    const pagination = buildPagination({ page, limit, total });
+
+    res.status(200).json({
+      success: true,
+      count: posts.length,
+      pagination,
+      data: posts.map((post, index) => ({ ...post, bookmarkedAt: saved[index].createdAt }))
+    });
+  } catch (err) {
+    next(err);
+  }
+};
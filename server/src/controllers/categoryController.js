@@ -1,114 +1,135 @@
+const mongoose = require('mongoose');
 const Category = require('../models/Category');
+const Post = require('@models/Post');
+const Follow = require('@models/Follow');
 const ApiError = require('@utils/ApiError');
+const { buildListQuery } = require('@utils/queryBuilder');
+const { buildPagination } = require('@utils/pagination');
+const { withUniqueSlug } = require('@utils/slugify');
+const { hasPermission } = require('@config/permissions');
+
+// Fields list endpoints may filter, sort and select categories on
+const CATEGORY_QUERY_SPEC = {
+  filterable: {
+    name: 'string',
+    slug: 'string',
+    isActive: 'boolean',
+    parent: 'objectId',
+    createdAt: 'date',
+    updatedAt: 'date'
+  },
+  sortable: ['name', 'createdAt', 'updatedAt'],
+  selectable: ['name', 'slug', 'description', 'isActive', 'parent', 'ancestors', 'createdAt', 'updatedAt'],
+  defaultSort: 'name'
+};
 
 // @desc    Get all categories
 // @route   GET /api/v1/categories
 // @access  Public
 exports.getCategories = async (req, res, next) => {
   try {
-    // Copy req.query
-    const reqQuery = { ...req.query };
-
-    // Fields to exclude
-    const removeFields = ['select', 'sort', 'page', 'limit'];
-
-    // Loop over removeFields and delete them from reqQuery
-    removeFields.forEach(param => delete reqQuery[param]);
-
-    // Create query string
-    let queryStr = JSON.stringify(reqQuery);
-
-    // Create operators ($gt, $gte, etc)
-    queryStr = queryStr.replace(/\b(gt|gte|lt|lte|in)\b/g, match => `$${match}`);
-
-    // Finding resource
-    let query = Category.find(JSON.parse(queryStr));
+    const { filter, sort, select, page, limit, skip } = buildListQuery(req.query, CATEGORY_QUERY_SPEC);
 
-    // Select Fields
-    if (req.query.select) {
-      const fields = req.query.select.split(',').join(' ');
-      query = query.select(fields);
+    // Deactivated categories stay in the database for old posts but only category managers list them
+    if (!hasPermission(req.user, 'category:manage')) {
+      filter.isActive = true;
     }
 
-    // Sort
-    if (req.query.sort) {
-      const sortBy = req.query.sort.split(',').join(' ');
-      query = query.sort(sortBy);
-    } else {
-      query = query.sort('name');
-    }
-
-    // Pagination
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const startIndex = (page - 1) * limit;
-    const endIndex = page * limit;
-    const total = await Category.countDocuments(JSON.parse(queryStr));
-
-    query = query.skip(startIndex).limit(limit);
+    const [categories, total] = await Promise.all([
+      Category.find(filter)
+        .select(select)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .populate('ancestors', 'name slug'),
+      Category.countDocuments(filter)
+    ]);
 
-    // Executing query
-    const categories = await query;
+    const pagination = buildPagination({ page, limit, total });
 
-    // Pagination result
-    const pagination = {};
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      pagination,
+      data: await Category.withPostCounts(categories)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
 
-    if (endIndex < total) {
-      pagination.next = {
-        page: page + 1,
-        limit
-      };
-    }
+// @desc    Get all categories nested by parent
+// @route   GET /api/v1/categories/tree
+// @access  Public
+exports.getCategoryTree = async (req, res, next) => {
+  try {
+    // Category managers can ask for deactivated categories too, e.g. to reactivate them
+    const includeInactive = hasPermission(req.user, 'category:manage') && req.query.includeInactive === 'true';
+    const filter = includeInactive ? {} : { isActive: true };
 
-    if (startIndex > 0) {
-      pagination.prev = {
-        page: page - 1,
-        limit
-      };
-    }
+    const categories = await Category.find(filter)
+      .select('name slug description parent isActive')
+      .sort('name');
 
     res.status(200).json({
       success: true,
       count: categories.length,
-      pagination,
-      data: categories
+      data: Category.buildTree(await Category.withPostCounts(categories))
     });
   } catch (err) {
     next(err);
   }
 };
 
-// @desc    Get single category
-// @route   GET /api/v1/categories/:id
-// @access  Public
-exports.getCategory = async (req, res, next) => {
+// Build a handler that loads a single category by the given route param
+const getSingleCategory = (param, field) => async (req, res, next) => {
   try {
-    const category = await Category.findById(req.params.id);
+    const category = await Category.findOne({ [field]: req.params[param] })
+      .populate('ancestors', 'name slug');
 
     if (!category) {
       return next(
-        new ApiError(`Category not found with id of ${req.params.id}`, 404)
+        new ApiError(404, `Category not found with ${param} of ${req.params[param]}`)
       );
     }
 
+    const [[data], followState] = await Promise.all([
+      Category.withPostCounts([category]),
+      Follow.followState('Category', category._id, req.user)
+    ]);
+
     res.status(200).json({
       success: true,
-      data: category
+      data: { ...data, ...followState }
     });
   } catch (err) {
     next(err);
   }
 };
 
+// @desc    Get single category
+// @route   GET /api/v1/categories/:id
+// @access  Public
+exports.getCategory = getSingleCategory('id', '_id');
+
+// @desc    Get single category by slug
+// @route   GET /api/v1/categories/slug/:slug
+// @access  Public
+exports.getCategoryBySlug = getSingleCategory('slug', 'slug');
+
 // @desc    Create new category
 // @route   POST /api/v1/categories
 // @access  Private/Admin
 exports.createCategory = async (req, res, next) => {
   try {
-    // Add user to req.body
-    req.body.createdBy = req.user.id;
-
-    const category = await Category.create(req.body);
+    const category = await withUniqueSlug(() =>
+      Category.create({
+        name: req.body.name,
+        description: req.body.description,
+        parent: req.body.parent || null,
+        createdBy: req.user.id
+      })
+    );
 
     res.status(201).json({
       success: true,
@@ -124,18 +145,22 @@ exports.createCategory = async (req, res, next) => {
 // @access  Private/Admin
 exports.updateCategory = async (req, res, next) => {
   try {
-    let category = await Category.findById(req.params.id);
+    const category = await Category.findById(req.params.id);
 
     if (!category) {
       return next(
-        new ApiError(`Category not found with id of ${req.params.id}`, 404)
+        new ApiError(404, `Category not found with id of ${req.params.id}`)
       );
     }
 
-    category = await Category.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
+    // Save through the document so moving it re-checks cycles and updates descendants
+    ['name', 'description', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) category[field] = req.body[field];
     });
+    if (req.body.parent !== undefined) category.parent = req.body.parent || null;
+
+    await withUniqueSlug(() => category.save());
+    await category.populate('ancestors', 'name slug');
 
     res.status(200).json({
       success: true,
@@ -155,27 +180,79 @@ exports.deleteCategory = async (req, res, next) => {
 
     if (!category) {
       return next(
-        new ApiError(`Category not found with id of ${req.params.id}`, 404)
+        new ApiError(404, `Category not found with id of ${req.params.id}`)
       );
     }
 
-    // Check if category is being used by any posts
-    const posts = await Post.find({ categories: req.params.id });
-    
-    if (posts.length > 0) {
+    const reassignTo = req.body?.reassignTo || req.query.reassignTo;
+    let target = null;
+
+    if (reassignTo) {
+      target = mongoose.isValidObjectId(reassignTo) && await Category.findById(reassignTo);
+
+      if (!target) {
+        return next(ApiError.badRequest(`Category to reassign to not found with id of ${reassignTo}`));
+      }
+
+      if (target._id.equals(category._id)) {
+        return next(ApiError.badRequest('Cannot reassign posts to the category being deleted'));
+      }
+
+      if (!target.isActive) {
+        return next(ApiError.badRequest('Cannot reassign posts to an inactive category'));
+      }
+    }
+
+    // Subcategories would be left pointing at a missing parent
+    if (await Category.exists({ parent: category._id })) {
       return next(
-        new ApiError(
-          `Cannot delete category that is being used by ${posts.length} posts`,
-          400
-        )
+        ApiError.conflict('Cannot delete a category that has subcategories; move or delete them first')
       );
     }
 
-    await category.remove();
+    const postCount = await Post.countDocuments({ categories: category._id });
+
+    if (postCount > 0) {
+      if (!target) {
+        return next(
+          ApiError.conflict(
+            `Category is used by ${postCount} post(s); deactivate it instead or provide reassignTo to move them`
+          )
+        );
+      }
+
+      // Swap the category in place with a single pipeline update, so each post
+      // changes atomically and is never left without a category
+      await Post.updateMany({ categories: category._id }, [
+        {
+          $set: {
+            categories: {
+              $let: {
+                vars: {
+                  kept: {
+                    $filter: { input: '$categories', cond: { $ne: ['$$this', category._id] } }
+                  }
+                },
+                in: {
+                  $cond: [
+                    { $in: [target._id, '$$kept'] },
+                    '$$kept',
+                    { $concatArrays: ['$$kept', [target._id]] }
+                  ]
+                }
+              }
+            }
+          }
+        }
+      ]);
+    }
+
+    await category.deleteOne();
+    await Follow.deleteMany({ targetModel: 'Category', target: category._id });
 
     res.status(200).json({
       success: true,
-      data: {}
+      data: { reassigned: postCount }
     });
   } catch (err) {
     next(err);
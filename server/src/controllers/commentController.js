@@ -0,0 +1,203 @@
+const Comment = require('@models/Comment');
+const Post = require('@models/Post');
+const ApiError = require('@utils/ApiError');
+const { hasPermission } = require('@config/permissions');
+
+// Find the post in the URL, as long as the requester may see it
+const findVisiblePost = (req) =>
+  Post.findOne({ $and: [{ _id: req.params.id }, Post.visibilityFilter(req.user)] }).select('_id');
+
+// Find a comment that belongs to the post in the URL
+const findPostComment = (req) =>
+  Comment.findOne({ _id: req.params.commentId, post: req.params.id });
+
+// @desc    Get threaded comments for a post
+// @route   GET /api/posts/:id/comments
+// @access  Public
+exports.getComments = async (req, res, next) => {
+  try {
+    const post = await findVisiblePost(req);
+
+    if (!post) {
+      return next(
+        new ApiError(404, `Post not found with id of ${req.params.id}`)
+      );
+    }
+
+    const comments = await Comment.find({ post: post._id })
+      .populate('author', 'name profileImage')
+      .sort('createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: comments.length,
+      data: Comment.buildThread(comments)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get single comment
+// @route   GET /api/posts/:id/comments/:commentId
+// @access  Public
+exports.getComment = async (req, res, next) => {
+  try {
+    const post = await findVisiblePost(req);
+
+    if (!post) {
+      return next(
+        new ApiError(404, `Post not found with id of ${req.params.id}`)
+      );
+    }
+
+    const comment = await findPostComment(req)
+      .populate('author', 'name profileImage');
+
+    if (!comment) {
+      return next(
+        new ApiError(404, `Comment not found with id of ${req.params.commentId}`)
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: comment.toPublicJSON()
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Add comment or reply to a post
+// @route   POST /api/posts/:id/comments
+// @access  Private
+exports.addComment = async (req, res, next) => {
+  try {
+    const post = await findVisiblePost(req);
+
+    if (!post) {
+      return next(
+        new ApiError(404, `Post not found with id of ${req.params.id}`)
+      );
+    }
+
+    // Replies must point at a live comment on the same post
+    if (req.body.parent) {
+      const parent = await Comment.findOne({
+        _id: req.body.parent,
+        post: post._id
+      });
+
+      if (!parent) {
+        return next(
+          new ApiError(400, `Parent comment not found with id of ${req.body.parent}`)
+        );
+      }
+
+      if (parent.isDeleted) {
+        return next(new ApiError(400, 'Cannot reply to a deleted comment'));
+      }
+    }
+
+    let comment = await Comment.create({
+      content: req.body.content,
+      parent: req.body.parent || null,
+      post: post._id,
+      author: req.user.id
+    });
+
+    comment = await comment.populate('author', 'name profileImage');
+
+    res.status(201).json({
+      success: true,
+      data: comment
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Update comment
+// @route   PUT /api/posts/:id/comments/:commentId
+// @access  Private
+exports.updateComment = async (req, res, next) => {
+  try {
+    let comment = await findPostComment(req);
+
+    if (!comment) {
+      return next(
+        new ApiError(404, `Comment not found with id of ${req.params.commentId}`)
+      );
+    }
+
+    // Make sure user is comment author or a moderator
+    if (comment.author.toString() !== req.user.id && !hasPermission(req.user, 'comment:moderate')) {
+      return next(
+        new ApiError(
+          403,
+          `User ${req.user.id} is not authorized to update this comment`
+        )
+      );
+    }
+
+    if (comment.isDeleted) {
+      return next(new ApiError(400, 'Cannot edit a deleted comment'));
+    }
+
+    comment.content = req.body.content;
+    comment.isEdited = true;
+    comment.editedAt = Date.now();
+    await comment.save();
+
+    comment = await comment.populate('author', 'name profileImage');
+
+    res.status(200).json({
+      success: true,
+      data: comment
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Delete comment
+// @route   DELETE /api/posts/:id/comments/:commentId
+// @access  Private
+exports.deleteComment = async (req, res, next) => {
+  try {
+    const comment = await findPostComment(req);
+
+    if (!comment) {
+      return next(
+        new ApiError(404, `Comment not found with id of ${req.params.commentId}`)
+      );
+    }
+
+    // Make sure user is comment author or a moderator
+    if (comment.author.toString() !== req.user.id && !hasPermission(req.user, 'comment:moderate')) {
+      return next(
+        new ApiError(
+          403,
+          `User ${req.user.id} is not authorized to delete this comment`
+        )
+      );
+    }
+
+    // Keep the node in place when others have replied so the thread survives
+    const hasReplies = await Comment.exists({ parent: comment._id });
+
+    if (hasReplies) {
+      await comment.softDelete();
+    } else {
+      await comment.deleteOne();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,134 @@
+const User = require('@models/User');
+const Post = require('@models/Post');
+const Category = require('@models/Category');
+const Follow = require('@models/Follow');
+const ApiError = require('@utils/ApiError');
+const { cursorQuery, buildCursorPage } = require('@utils/pagination');
+const { withReaderState } = require('@utils/readerState');
+
+// Load what the route points at, making sure it can be followed
+const findTarget = async (req, targetModel) => {
+  if (targetModel === 'User') {
+    const author = await User.findOne({ _id: req.params.id, isActive: true }).select('_id');
+
+    if (!author) {
+      throw new ApiError(404, `User not found with id of ${req.params.id}`);
+    }
+
+    if (author._id.equals(req.user._id)) {
+      throw ApiError.badRequest('You cannot follow yourself');
+    }
+
+    return author;
+  }
+
+  const category = await Category.findOne({ _id: req.params.id, isActive: true }).select('_id');
+
+  if (!category) {
+    throw new ApiError(404, `Category not found with id of ${req.params.id}`);
+  }
+
+  return category;
+};
+
+// Build follow and unfollow handlers for one kind of target
+const followHandlers = (targetModel) => ({
+  follow: async (req, res, next) => {
+    try {
+      const target = await findTarget(req, targetModel);
+      const key = { follower: req.user._id, targetModel, target: target._id };
+
+      // Following twice is harmless, so upsert instead of failing on the unique index
+      await Follow.updateOne(key, { $setOnInsert: key }, { upsert: true });
+
+      res.status(200).json({
+        success: true,
+        data: await Follow.followState(targetModel, target._id, req.user)
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  unfollow: async (req, res, next) => {
+    try {
+      await Follow.deleteOne({ follower: req.user._id, targetModel, target: req.params.id });
+
+      res.status(200).json({
+        success: true,
+        data: await Follow.followState(targetModel, req.params.id, req.user)
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+});
+
+const authorHandlers = followHandlers('User');
+const categoryHandlers = followHandlers('Category');
+
+// @desc    Follow an author
+// @route   POST /api/v1/users/:id/follow
+// @access  Private
+exports.followUser = authorHandlers.follow;
+
+// @desc    Unfollow an author
+// @route   DELETE /api/v1/users/:id/follow
+// @access  Private
+exports.unfollowUser = authorHandlers.unfollow;
+
+// @desc    Follow a category
+// @route   POST /api/v1/categories/:id/follow
+// @access  Private
+exports.followCategory = categoryHandlers.follow;
+
+// @desc    Unfollow a category
+// @route   DELETE /api/v1/categories/:id/follow
+// @access  Private
+exports.unfollowCategory = categoryHandlers.unfollow;
+
+// @desc    Get published posts from followed authors and categories, newest first
+// @route   GET /api/v1/feed
+// @access  Private
+exports.getFeed = async (req, res, next) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    const { authors, categories } = await Follow.followedIds(req.user._id);
+
+    if (authors.length === 0 && categories.length === 0) {
+      return res.status(200).json({
+        success: true,
+        count: 0,
+        pagination: { limit, hasMore: false, nextCursor: null },
+        data: []
+      });
+    }
+
+    // Following a category includes its subcategories
+    const categoryIds = await Category.withDescendantIds(categories);
+    const cursor = cursorQuery(req.query.cursor);
+
+    const posts = await Post.find({
+      $and: [
+        Post.liveFilter(),
+        { $or: [{ author: { $in: authors } }, { categories: { $in: categoryIds } }] },
+        cursor.filter
+      ]
+    })
+      .sort(cursor.sort)
+      .limit(limit + 1)
+      .populate('author', 'name profileImage')
+      .populate('categories', 'name slug');
+
+    const { docs, pagination } = buildCursorPage(posts, limit);
+
+    res.status(200).json({
+      success: true,
+      count: docs.length,
+      pagination,
+      data: await withReaderState(docs, req.user)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
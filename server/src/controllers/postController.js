@@ -1,82 +1,348 @@
 const Post = require('../models/Post');
+const Revision = require('@models/Revision');
+const Category = require('@models/Category');
+const PostStat = require('@models/PostStat');
 const ApiError = require('@utils/ApiError');
-const logger = require('../utils/logger');
-const config = require('@config/envConfig');
-const path = require('path');
+const { getSearchTerms, highlight, buildSnippet } = require('@utils/highlight');
+const { buildListQuery } = require('@utils/queryBuilder');
+const { buildPagination, cursorQuery, buildCursorPage } = require('@utils/pagination');
+const { processImage } = require('@utils/imageVariants');
+const { withUniqueSlug } = require('@utils/slugify');
+const { renderContent, buildExcerpt, measureText, htmlToText } = require('@utils/markdown');
+const { trackView, startOfDay } = require('@utils/viewTracker');
+const { withReaderState } = require('@utils/readerState');
+const logger = require('@utils/logger');
+const { hasPermission } = require('@config/permissions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields an author may set when creating or editing a post
+const EDITABLE_FIELDS = [
+  'title',
+  'content',
+  'contentFormat',
+  'excerpt',
+  'featuredImage',
+  'categories',
+  'tags',
+  'status',
+  'publishedAt',
+  'isFeatured',
+  'meta'
+];
+
+// Copy only the editable post fields out of a request body
+const pickEditableFields = (body) =>
+  EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+/**
+ * Work out the status and publish date a create or update should store.
+ * Publishing with a future date schedules the post instead, and scheduling
+ * without one is rejected
+ * @param {Object} fields - Editable fields from the request
+ * @param {Object} [current] - The post as currently stored, when updating
+ * @returns {Object} Fields with status and publishedAt resolved
+ * @throws {ApiError} 400 when a post is scheduled without a future date
+ */
+const resolvePublishing = (fields, current = {}) => {
+  const status = fields.status || current.status;
+  let requestedAt = fields.publishedAt ? new Date(fields.publishedAt) : null;
+
+  // A scheduled post keeps its date unless the request moves it
+  if (!requestedAt && status === 'scheduled' && current.status === 'scheduled') {
+    requestedAt = current.publishedAt;
+  }
+
+  const resolved = { ...fields };
+  delete resolved.publishedAt;
+
+  if (status !== 'published' && status !== 'scheduled') {
+    return resolved;
+  }
+
+  if (requestedAt && requestedAt > new Date()) {
+    resolved.status = 'scheduled';
+    resolved.publishedAt = requestedAt;
+    return resolved;
+  }
+
+  if (status === 'scheduled') {
+    throw ApiError.badRequest('Scheduled posts need a publish date in the future');
+  }
+
+  // Keep the original publish date when editing an already published post
+  if (current.status !== 'published') {
+    resolved.publishedAt = requestedAt || Date.now();
+  }
+
+  return resolved;
+};
+
+// Authors manage their own posts; 'post:edit:any' extends that to everyone's
+const canEditPost = (user, post) =>
+  post.author.toString() === user.id || hasPermission(user, 'post:edit:any');
+
+/**
+ * Refuse to put a post live unless the user may publish. Posts that are
+ * already published or scheduled can still be edited by their author
+ * @param {Object} user - req.user
+ * @param {Object} fields - Fields after resolvePublishing
+ * @param {Object} [current] - The post as currently stored, when updating
+ * @throws {ApiError} 403 when publishing without 'post:publish'
+ */
+const assertCanPublish = (user, fields, current = {}) => {
+  const goingLive = ['published', 'scheduled'].includes(fields.status) &&
+    !['published', 'scheduled'].includes(current.status);
+
+  if (goingLive && !hasPermission(user, 'post:publish')) {
+    throw new ApiError(403, `User role ${user.role} may save drafts but not publish them`);
+  }
+};
+
+// Fields list endpoints may filter, sort and select posts on
+const POST_QUERY_SPEC = {
+  filterable: {
+    status: { type: 'string', enum: ['draft', 'scheduled', 'published', 'archived'] },
+    author: 'objectId',
+    categories: 'objectId',
+    tags: 'string',
+    slug: 'string',
+    isFeatured: 'boolean',
+    viewCount: 'number',
+    readingTime: 'number',
+    publishedAt: 'date',
+    createdAt: 'date',
+    updatedAt: 'date'
+  },
+  sortable: ['title', 'publishedAt', 'createdAt', 'updatedAt', 'viewCount', 'readingTime'],
+  selectable: [
+    'title',
+    'slug',
+    'content',
+    'contentFormat',
+    'contentHtml',
+    'toc',
+    'wordCount',
+    'readingTime',
+    'excerpt',
+    'excerptGenerated',
+    'featuredImage',
+    'featuredImageDetails',
+    'categories',
+    'author',
+    'status',
+    'publishedAt',
+    'tags',
+    'viewCount',
+    'reactionCounts',
+    'isFeatured',
+    'meta',
+    'createdAt',
+    'updatedAt'
+  ],
+  defaultSort: '-createdAt'
+};
+
+/**
+ * Widen a category condition from the list query so filtering on a category
+ * also matches posts filed under any of its subcategories
+ * @param {Object} condition - e.g. { $eq: id } or { $in: [ids] }
+ * @returns {Promise<Object>} Equivalent condition over the whole subtree
+ */
+const includeSubcategories = async (condition) => {
+  const widened = {};
+
+  for (const [operator, value] of Object.entries(condition)) {
+    const ids = await Category.withDescendantIds(Array.isArray(value) ? value : [value]);
+    const negated = operator === '$ne' || operator === '$nin';
+    widened[negated ? '$nin' : '$in'] = ids;
+  }
+
+  return widened;
+};
 
 // @desc    Get all posts
 // @route   GET /api/v1/posts
 // @access  Public
 exports.getPosts = async (req, res, next) => {
   try {
-    // Copy req.query
-    const reqQuery = { ...req.query };
+    const query = buildListQuery(req.query, POST_QUERY_SPEC);
+    const { sort, select, page, limit, skip } = query;
 
-    // Fields to exclude
-    const removeFields = ['select', 'sort', 'page', 'limit'];
+    if (query.filter.categories) {
+      query.filter.categories = await includeSubcategories(query.filter.categories);
+    }
+    const filter = { $and: [query.filter, Post.visibilityFilter(req.user)] };
+
+    // Opt-in cursor mode for infinite scrolling, always newest first. It feeds
+    // the public reading streams, so drafts and scheduled posts stay out of it
+    // even for their author or an editor
+    if (req.query.cursor !== undefined) {
+      if (req.query.sort) {
+        return next(new ApiError(400, 'Custom sort is not supported with cursor pagination'));
+      }
 
-    // Loop over removeFields and delete them from reqQuery
-    removeFields.forEach(param => delete reqQuery[param]);
+      const cursor = cursorQuery(req.query.cursor);
+      const posts = await Post.find({ $and: [query.filter, Post.liveFilter(), cursor.filter] })
+        // The cursor is built from publishedAt, so it must always be selected
+        .select(select && `${select} publishedAt`)
+        .sort(cursor.sort)
+        .limit(limit + 1)
+        .populate('author', 'name profileImage')
+        .populate('categories', 'name slug');
 
-    // Create query string
-    let queryStr = JSON.stringify(reqQuery);
+      const { docs, pagination } = buildCursorPage(posts, limit);
 
-    // Create operators ($gt, $gte, etc)
-    queryStr = queryStr.replace(/\b(gt|gte|lt|lte|in)\b/g, match => `$${match}`);
+      return res.status(200).json({
+        success: true,
+        count: docs.length,
+        pagination,
+        data: await withReaderState(docs, req.user)
+      });
+    }
 
-    // Finding resource
-    let query = Post.find(JSON.parse(queryStr))
-      .populate('author', 'name email')
-      .populate('categories', 'name slug');
+    const [posts, total] = await Promise.all([
+      Post.find(filter)
+        .select(select)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .populate('author', 'name profileImage')
+        .populate('categories', 'name slug'),
+      Post.countDocuments(filter)
+    ]);
 
-    // Select Fields
-    if (req.query.select) {
-      const fields = req.query.select.split(',').join(' ');
-      query = query.select(fields);
-    }
+    const pagination = buildPagination({ page, limit, total });
 
-    // Sort
-    if (req.query.sort) {
-      const sortBy = req.query.sort.split(',').join(' ');
-      query = query.sort(sortBy);
-    } else {
-      query = query.sort('-createdAt');
+    res.status(200).json({
+      success: true,
+      count: posts.length,
+      pagination,
+      data: await withReaderState(posts, req.user)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Full-text search published posts
+// @route   GET /api/v1/posts/search?q=
+// @access  Public
+exports.searchPosts = async (req, res, next) => {
+  try {
+    const q = (req.query.q || '').toString().trim();
+
+    if (!q) {
+      return next(new ApiError(400, 'Please provide a search query'));
     }
 
-    // Pagination
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const startIndex = (page - 1) * limit;
-    const endIndex = page * limit;
-    const total = await Post.countDocuments(JSON.parse(queryStr));
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    const filter = { $text: { $search: q }, status: 'published' };
+    const score = { $meta: 'textScore' };
+
+    const [posts, total] = await Promise.all([
+      Post.find(filter, { score })
+        .sort({ score })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('author', 'name')
+        .populate('categories', 'name slug')
+        .lean(),
+      Post.countDocuments(filter)
+    ]);
+
+    // Mark up where the terms matched so the client can show why a post ranked
+    const terms = getSearchTerms(q);
+    const results = posts.map(post => ({
+      ...post,
+      score: Math.round(post.score * 1000) / 1000,
+      highlights: {
+        title: highlight(post.title, terms),
+        // Snippets come from the stored rendering so Markdown syntax doesn't show up in them
+        snippet: buildSnippet(post.contentHtml ? htmlToText(post.contentHtml) : post.content, terms)
+      }
+    }));
 
-    query = query.skip(startIndex).limit(limit);
+    const pagination = buildPagination({ page, limit, total });
 
-    // Executing query
-    const posts = await query;
+    res.status(200).json({
+      success: true,
+      query: q,
+      count: results.length,
+      pagination,
+      data: await withReaderState(results, req.user)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
 
-    // Pagination result
-    const pagination = {};
+// @desc    Get the signed-in user's own posts in any status
+// @route   GET /api/v1/posts/mine
+// @access  Private
+exports.getMyPosts = async (req, res, next) => {
+  try {
+    const { filter, sort, select, page, limit, skip } = buildListQuery(req.query, POST_QUERY_SPEC);
+    filter.author = req.user._id;
 
-    if (endIndex < total) {
-      pagination.next = {
-        page: page + 1,
-        limit
-      };
+    if (filter.categories) {
+      filter.categories = await includeSubcategories(filter.categories);
     }
 
-    if (startIndex > 0) {
-      pagination.prev = {
-        page: page - 1,
-        limit
-      };
-    }
+    const [posts, total] = await Promise.all([
+      Post.find(filter)
+        .select(select)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .populate('categories', 'name slug'),
+      Post.countDocuments(filter)
+    ]);
+
+    const pagination = buildPagination({ page, limit, total });
 
     res.status(200).json({
       success: true,
       count: posts.length,
       pagination,
-      data: posts
+      data: await withReaderState(posts, req.user)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Build a handler that loads a single post by the given route param
+const getSinglePost = (param, field) => async (req, res, next) => {
+  try {
+    const post = await Post.findOne({
+      $and: [{ [field]: req.params[param] }, Post.visibilityFilter(req.user)]
+    })
+      .populate('author', 'name profileImage')
+      .populate('categories', 'name slug');
+
+    if (!post) {
+      return next(
+        new ApiError(404, `Post not found with ${param} of ${req.params[param]}`)
+      );
+    }
+
+    // A failed view count shouldn't cost the reader the post
+    try {
+      if (await trackView(post, req)) {
+        post.viewCount += 1;
+      }
+    } catch (err) {
+      logger.warn(`Failed to record view of post ${post._id}: ${err.message}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: (await withReaderState([post], req.user))[0]
     });
   } catch (err) {
     next(err);
@@ -86,25 +352,92 @@ exports.getPosts = async (req, res, next) => {
 // @desc    Get single post
 // @route   GET /api/v1/posts/:id
 // @access  Public
-exports.getPost = async (req, res, next) => {
+exports.getPost = getSinglePost('id', '_id');
+
+// @desc    Get single post by slug
+// @route   GET /api/v1/posts/slug/:slug
+// @access  Public
+exports.getPostBySlug = getSinglePost('slug', 'slug');
+
+// @desc    Get daily views and top referrers for a post
+// @route   GET /api/v1/posts/:id/stats
+// @access  Private (author or admin)
+exports.getPostStats = async (req, res, next) => {
   try {
-    const post = await Post.findById(req.params.id)
-      .populate('author', 'name email')
-      .populate('categories', 'name slug');
+    const post = await Post.findById(req.params.id).select('title slug author viewCount');
 
     if (!post) {
       return next(
-        new ApiError(`Post not found with id of ${req.params.id}`, 404)
+        new ApiError(404, `Post not found with id of ${req.params.id}`)
       );
     }
 
-    // Increment view count
-    post.viewCount += 1;
-    await post.save();
+    if (!canEditPost(req.user, post)) {
+      return next(
+        new ApiError(403, `User ${req.user.id} is not authorized to view stats for this post`)
+      );
+    }
+
+    const days = parseInt(req.query.days, 10) || 30;
+    const to = startOfDay(Date.now());
+    const from = new Date(to.getTime() - (days - 1) * DAY_MS);
+    const match = { post: post._id, date: { $gte: from } };
+
+    const [daily, referrers] = await Promise.all([
+      PostStat.aggregate([
+        { $match: match },
+        { $group: { _id: '$date', views: { $sum: '$views' } } }
+      ]),
+      PostStat.aggregate([
+        { $match: match },
+        { $group: { _id: '$referrer', views: { $sum: '$views' } } },
+        { $sort: { views: -1, _id: 1 } },
+        { $limit: 10 },
+        { $project: { _id: 0, referrer: '$_id', views: 1 } }
+      ])
+    ]);
+
+    // Fill in the days without views so the series has one point per day
+    const viewsByDay = new Map(daily.map(day => [day._id.getTime(), day.views]));
+    const series = Array.from({ length: days }, (_, index) => {
+      const date = new Date(from.getTime() + index * DAY_MS);
+      return {
+        date: date.toISOString().slice(0, 10),
+        views: viewsByDay.get(date.getTime()) || 0
+      };
+    });
 
     res.status(200).json({
       success: true,
-      data: post
+      data: {
+        post: { _id: post._id, title: post.title, slug: post.slug },
+        totalViews: post.viewCount,
+        periodViews: series.reduce((sum, day) => sum + day.views, 0),
+        days,
+        daily: series,
+        referrers
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Render post content without saving it, for the editor preview
+// @route   POST /api/v1/posts/preview
+// @access  Private
+exports.previewPost = async (req, res, next) => {
+  try {
+    const { html, toc, text } = renderContent(req.body.content || '', req.body.contentFormat);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        html,
+        toc,
+        excerpt: buildExcerpt(text),
+        ...measureText(text)
+      }
     });
   } catch (err) {
     next(err);
@@ -116,15 +449,18 @@ exports.getPost = async (req, res, next) => {
 // @access  Private
 exports.createPost = async (req, res, next) => {
   try {
-    // Add user to req.body
-    req.body.author = req.user.id;
+    const fields = resolvePublishing(pickEditableFields(req.body));
+    assertCanPublish(req.user, fields);
 
-    // Publish the post if status is published
-    if (req.body.status === 'published') {
-      req.body.publishedAt = Date.now();
-    }
+    // Add user to the post
+    fields.author = req.user.id;
 
-    const post = await Post.create(req.body);
+    const post = await withUniqueSlug(() => Post.create(fields));
+
+    await Revision.record(post, {
+      editor: req.user._id,
+      changedFields: Revision.TRACKED_FIELDS.filter(field => fields[field] !== undefined)
+    });
 
     res.status(201).json({
       success: true,
@@ -144,29 +480,51 @@ exports.updatePost = async (req, res, next) => {
 
     if (!post) {
       return next(
-        new ApiError(`Post not found with id of ${req.params.id}`, 404)
+        new ApiError(404, `Post not found with id of ${req.params.id}`)
       );
     }
 
     // Make sure user is post owner or admin
-    if (post.author.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (!canEditPost(req.user, post)) {
       return next(
         new ApiError(
-          `User ${req.user.id} is not authorized to update this post`,
-          401
+          401,
+          `User ${req.user.id} is not authorized to update this post`
         )
       );
     }
 
-    // If status is being updated to published and it wasn't published before
-    if (req.body.status === 'published' && post.status !== 'published') {
-      req.body.publishedAt = Date.now();
+    const fields = resolvePublishing(pickEditableFields(req.body), post);
+    assertCanPublish(req.user, fields, post);
+
+    // Variants only describe uploaded images, so drop them when the image is replaced or cleared
+    if (fields.featuredImage !== undefined && fields.featuredImage !== post.featuredImage) {
+      fields.featuredImageDetails = null;
     }
 
-    post = await Post.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
-    });
+    // An empty excerpt on a post that already generates one just means "keep generating"
+    if (!fields.excerpt && post.excerptGenerated) {
+      delete fields.excerpt;
+    }
+
+    const changedFields = Revision.changedFields(post, fields);
+    const previous = post;
+
+    post = await withUniqueSlug(() =>
+      Post.findByIdAndUpdate(req.params.id, fields, {
+        new: true,
+        runValidators: true
+      })
+    );
+
+    // Keep the replaced version around so editors can diff and restore it
+    if (changedFields.length > 0) {
+      await Revision.record(post, {
+        editor: req.user._id,
+        changedFields,
+        previous
+      });
+    }
 
     res.status(200).json({
       success: true,
@@ -186,21 +544,21 @@ exports.deletePost = async (req, res, next) => {
 
     if (!post) {
       return next(
-        new ApiError(`Post not found with id of ${req.params.id}`, 404)
+        new ApiError(404, `Post not found with id of ${req.params.id}`)
       );
     }
 
     // Make sure user is post owner or admin
-    if (post.author.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (!canEditPost(req.user, post)) {
       return next(
         new ApiError(
-          `User ${req.user.id} is not authorized to delete this post`,
-          401
+          401,
+          `User ${req.user.id} is not authorized to delete this post`
         )
       );
     }
 
-    await post.remove();
+    await post.deleteOne();
 
     res.status(200).json({
       success: true,
@@ -211,53 +569,51 @@ exports.deletePost = async (req, res, next) => {
   }
 };
 
-// @desc    Upload photo for post
+// @desc    Upload featured image for post
 // @route   PUT /api/v1/posts/:id/photo
 // @access  Private
 exports.postPhotoUpload = async (req, res, next) => {
   try {
     const post = await Post.findById(req.params.id);
-    
-    if (!post) {
-      return next(new ApiError(`Post not found with id of ${req.params.id}`, 404));
-    }
 
-    if (!req.files) {
-      return next(new ApiError(`Please upload a file`, 400));
-    }
-
-    const file = req.files.file;
-
-    // Make sure the image is a photo
-    if (!file.mimetype.startsWith('image')) {
-      return next(new ApiError(`Please upload an image file`, 400));
+    if (!post) {
+      return next(new ApiError(404, `Post not found with id of ${req.params.id}`));
     }
 
-    // Check file size
-    if (file.size > config.upload.maxFileSize) {
+    // Make sure user is post owner or admin
+    if (!canEditPost(req.user, post)) {
       return next(
         new ApiError(
-          `Please upload an image less than ${config.upload.maxFileSize} bytes`,
-          400
+          401,
+          `User ${req.user.id} is not authorized to update this post`
         )
       );
     }
 
-    // Create custom filename
-    file.name = `photo_${post._id}${path.parse(file.name).ext}`;
+    const previous = post.toObject();
 
-    file.mv(`${config.upload.path}/${file.name}`, async err => {
-      if (err) {
-        console.error(err);
-        return next(new ApiError(`Problem with file upload`, 500));
-      }
+    // Earlier images are left on disk since older revisions may still point at them
+    const { url, details } = await processImage(req.image.data, {
+      prefix: `post_${post._id}`,
+      ext: req.image.ext
+    });
 
-      await Post.findByIdAndUpdate(req.params.id, { photo: file.name });
+    post.featuredImage = url;
+    post.featuredImageDetails = details;
+    await post.save();
 
-      res.status(200).json({
-        success: true,
-        data: file.name
-      });
+    await Revision.record(post, {
+      editor: req.user._id,
+      changedFields: ['featuredImage'],
+      previous
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        featuredImage: post.featuredImage,
+        featuredImageDetails: post.featuredImageDetails
+      }
     });
   } catch (err) {
     next(err);
@@ -0,0 +1,109 @@
+const Post = require('@models/Post');
+const Reaction = require('@models/Reaction');
+const ApiError = require('@utils/ApiError');
+
+// Reactions are only open on posts every reader can see
+const findPublishedPost = async (req) => {
+  const post = await Post.findOne({ _id: req.params.id, status: 'published' }).select('_id');
+
+  if (!post) {
+    throw new ApiError(404, `Post not found with id of ${req.params.id}`);
+  }
+
+  return post;
+};
+
+// Current counts plus the user's own reaction, the body of every reaction response
+const reactionState = async (postId, userId) => {
+  const [post, mine] = await Promise.all([
+    Post.findById(postId).select('reactionCounts').lean(),
+    Reaction.findOne({ post: postId, user: userId }).select('type').lean()
+  ]);
+
+  return {
+    reactionCounts: post.reactionCounts,
+    myReaction: mine ? mine.type : null
+  };
+};
+
+// Move a post's denormalized counts; called only after the Reaction write it mirrors succeeded
+const adjustCounts = (postId, changes) =>
+  Post.updateOne(
+    { _id: postId },
+    { $inc: Object.fromEntries(Object.entries(changes).map(([type, by]) => [`reactionCounts.${type}`, by])) }
+  );
+
+// @desc    Get reaction counts and the user's own reaction
+// @route   GET /api/v1/posts/:id/reactions
+// @access  Private
+exports.getReactions = async (req, res, next) => {
+  try {
+    const post = await findPublishedPost(req);
+
+    res.status(200).json({
+      success: true,
+      data: await reactionState(post._id, req.user._id)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Toggle a reaction: adds it, switches from another type, or removes it if already set
+// @route   POST /api/v1/posts/:id/reactions
+// @access  Private
+exports.toggleReaction = async (req, res, next) => {
+  try {
+    const post = await findPublishedPost(req);
+    const { type } = req.body;
+    const key = { post: post._id, user: req.user._id };
+
+    // Each step is conditional on the reaction's current type, so concurrent
+    // toggles can't both win and the counts only follow writes that happened
+    const existing = await Reaction.findOne(key).select('type').lean();
+
+    if (!existing) {
+      try {
+        await Reaction.create({ ...key, type });
+        await adjustCounts(post._id, { [type]: 1 });
+      } catch (err) {
+        // Another request added a reaction first
+        if (err.code !== 11000) throw err;
+      }
+    } else if (existing.type === type) {
+      const removed = await Reaction.findOneAndDelete({ ...key, type });
+      if (removed) await adjustCounts(post._id, { [type]: -1 });
+    } else {
+      const switched = await Reaction.findOneAndUpdate({ ...key, type: existing.type }, { type });
+      if (switched) await adjustCounts(post._id, { [existing.type]: -1, [type]: 1 });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await reactionState(post._id, req.user._id)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Remove the user's reaction, whatever its type
+// @route   DELETE /api/v1/posts/:id/reactions
+// @access  Private
+exports.removeReaction = async (req, res, next) => {
+  try {
+    const post = await findPublishedPost(req);
+    const removed = await Reaction.findOneAndDelete({ post: post._id, user: req.user._id });
+
+    if (removed) {
+      await adjustCounts(post._id, { [removed.type]: -1 });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await reactionState(post._id, req.user._id)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
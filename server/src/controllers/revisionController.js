@@ -0,0 +1,133 @@
+const Post = require('@models/Post');
+const Revision = require('@models/Revision');
+const ApiError = require('@utils/ApiError');
+const { buildPagination } = require('@utils/pagination');
+const { withUniqueSlug } = require('@utils/slugify');
+const { hasPermission } = require('@config/permissions');
+
+/**
+ * Load the post in the URL and make sure the user may see its history
+ * @param {Object} req - Express request
+ * @param {string} action - Used in the forbidden message
+ * @returns {Promise<Object>} The post
+ * @throws {ApiError} 404 when the post is missing, 403 when the user isn't its author and can't edit any post
+ */
+const findOwnPost = async (req, action) => {
+  const post = await Post.findById(req.params.id);
+
+  if (!post) {
+    throw new ApiError(404, `Post not found with id of ${req.params.id}`);
+  }
+
+  if (post.author.toString() !== req.user.id && !hasPermission(req.user, 'post:edit:any')) {
+    throw new ApiError(403, `User ${req.user.id} is not authorized to ${action} this post's revisions`);
+  }
+
+  return post;
+};
+
+// Find a revision of the post in the URL by its number
+const findRevision = async (req) => {
+  const revision = await Revision.findOne({
+    post: req.params.id,
+    revision: Number(req.params.rev)
+  }).populate('editor', 'name profileImage');
+
+  if (!revision) {
+    throw new ApiError(404, `Revision ${req.params.rev} not found for post ${req.params.id}`);
+  }
+
+  return revision;
+};
+
+// @desc    List revisions of a post, newest first
+// @route   GET /api/posts/:id/revisions
+// @access  Private (author or admin)
+exports.getRevisions = async (req, res, next) => {
+  try {
+    const post = await findOwnPost(req, 'view');
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const [revisions, total] = await Promise.all([
+      Revision.find({ post: post._id })
+        .select('-snapshot')
+        .sort('-revision')
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('editor', 'name profileImage'),
+      Revision.countDocuments({ post: post._id })
+    ]);
+
+    const pagination = buildPagination({ page, limit, total });
+
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      pagination,
+      data: revisions
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get a single revision with its snapshot
+// @route   GET /api/posts/:id/revisions/:rev
+// @access  Private (author or admin)
+exports.getRevision = async (req, res, next) => {
+  try {
+    await findOwnPost(req, 'view');
+    const revision = await findRevision(req);
+
+    res.status(200).json({
+      success: true,
+      data: revision
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Restore a post to an earlier revision
+// @route   POST /api/posts/:id/revisions/:rev/restore
+// @access  Private (author or admin)
+exports.restoreRevision = async (req, res, next) => {
+  try {
+    const previous = await findOwnPost(req, 'restore');
+    const revision = await findRevision(req);
+    const { excerptGenerated, ...snapshot } = revision.snapshot.toObject();
+    const changedFields = Revision.changedFields(previous, snapshot);
+
+    if (changedFields.length === 0) {
+      return next(new ApiError(400, `Post already matches revision ${revision.revision}`));
+    }
+
+    // An empty excerpt makes the update hook generate it again from the
+    // restored content instead of keeping the old text as the author's own
+    const fields = excerptGenerated ? { ...snapshot, excerpt: '' } : snapshot;
+
+    const post = await withUniqueSlug(() =>
+      Post.findByIdAndUpdate(previous._id, fields, {
+        new: true,
+        runValidators: true
+      })
+    );
+
+    // Restoring is itself an edit, so it gets a revision of its own
+    await Revision.record(post, {
+      editor: req.user._id,
+      changedFields,
+      previous,
+      restoredFrom: revision.revision
+    });
+
+    res.status(200).json({
+      success: true,
+      data: post
+    });
+  } catch (err) {
+    next(err);
+  }
+};
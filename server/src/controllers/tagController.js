@@ -0,0 +1,191 @@
+const Post = require('@models/Post');
+const ApiError = require('@utils/ApiError');
+const { buildPagination } = require('@utils/pagination');
+const { MAX_TAG_LENGTH, normalizeTag, normalizeTags } = require('@utils/tags');
+const { withReaderState } = require('@utils/readerState');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a pattern matching stored spellings of normalized tags, so tags saved
+ * before normalization (" Node JS", "#node-js") are found as well
+ * @param {string[]} tags - Normalized tags
+ * @returns {RegExp} Case-insensitive pattern for a whole stored tag
+ */
+const storedTagPattern = (tags) => {
+  // A hyphen in a normalized tag may have been any run of whitespace and hyphens
+  const alternatives = tags.map(tag => escapeRegex(tag).replace(/-/g, '[\\s-]+'));
+
+  return new RegExp(`^\\s*#*[\\s-]*(?:${alternatives.join('|')})[\\s-]*$`, 'i');
+};
+
+/**
+ * Check a tag a user wants to rename or merge into
+ * @param {string} tag - Normalized tag
+ * @returns {string|null} Error message, or null when the tag is fine
+ */
+const invalidTarget = (tag) => {
+  if (!tag) return 'Please provide a tag name';
+  if (tag.length > MAX_TAG_LENGTH) return `Tags cannot be more than ${MAX_TAG_LENGTH} characters`;
+  return null;
+};
+
+/**
+ * Move every post from the source tags onto the target tag. Each post is
+ * rewritten in a single update that swaps the sources for the target in
+ * place and drops duplicates, so a post never ends up with both
+ * @param {string[]} sources - Normalized tags to fold away
+ * @param {string} target - Normalized tag to keep
+ * @returns {Promise<number>} Number of posts that changed
+ */
+const moveTags = async (sources, target) => {
+  const from = sources.filter(tag => tag !== target);
+  if (from.length === 0) return 0;
+
+  // Stray spellings of the target are tidied up on the same posts
+  const replaced = storedTagPattern([...from, target]);
+
+  const result = await Post.updateMany({ tags: storedTagPattern(from) }, [
+    {
+      $set: {
+        tags: {
+          $reduce: {
+            input: {
+              $map: {
+                input: '$tags',
+                as: 'tag',
+                in: {
+                  $cond: [{ $regexMatch: { input: '$$tag', regex: replaced } }, target, '$$tag']
+                }
+              }
+            },
+            initialValue: [],
+            in: {
+              $cond: [
+                { $in: ['$$this', '$$value'] },
+                '$$value',
+                { $concatArrays: ['$$value', ['$$this']] }
+              ]
+            }
+          }
+        }
+      }
+    }
+  ]);
+
+  return result.modifiedCount;
+};
+
+// @desc    List tags used on published posts with usage counts
+// @route   GET /api/tags?q=&limit=
+// @access  Public
+exports.getTags = async (req, res, next) => {
+  try {
+    const q = normalizeTag(req.query.q);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+
+    const tags = await Post.aggregate([
+      { $match: { status: 'published' } },
+      { $unwind: '$tags' },
+      ...(q ? [{ $match: { tags: { $regex: `^${escapeRegex(q)}` } } }] : []),
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit },
+      { $project: { _id: 0, name: '$_id', count: 1 } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: tags.length,
+      data: tags
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get published posts with a tag
+// @route   GET /api/tags/:tag/posts
+// @access  Public
+exports.getTagPosts = async (req, res, next) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+    const filter = { status: 'published', tags: tag };
+
+    const [posts, total] = await Promise.all([
+      Post.find(filter)
+        .sort('-publishedAt')
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('author', 'name profileImage')
+        .populate('categories', 'name slug'),
+      Post.countDocuments(filter)
+    ]);
+
+    const pagination = buildPagination({ page, limit, total });
+
+    res.status(200).json({
+      success: true,
+      tag,
+      count: posts.length,
+      pagination,
+      data: await withReaderState(posts, req.user)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Rename a tag on every post
+// @route   PUT /api/tags/:tag
+// @access  Private/Admin
+exports.renameTag = async (req, res, next) => {
+  try {
+    const from = normalizeTag(req.params.tag);
+    const to = normalizeTag(req.body.name);
+
+    const invalid = invalidTarget(to);
+    if (invalid) {
+      return next(new ApiError(400, invalid));
+    }
+
+    if (!from || !(await Post.exists({ tags: storedTagPattern([from]) }))) {
+      return next(new ApiError(404, `No posts are tagged ${from}`));
+    }
+
+    const modified = await moveTags([from], to);
+
+    res.status(200).json({
+      success: true,
+      data: { from, to, modified }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Merge several tags into one across every post
+// @route   POST /api/tags/merge
+// @access  Private/Admin
+exports.mergeTags = async (req, res, next) => {
+  try {
+    const sources = normalizeTags(req.body.sources);
+    const target = normalizeTag(req.body.target);
+
+    const invalid = invalidTarget(target);
+    if (invalid) {
+      return next(new ApiError(400, invalid));
+    }
+
+    const modified = await moveTags(sources, target);
+
+    res.status(200).json({
+      success: true,
+      data: { sources, target, modified }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
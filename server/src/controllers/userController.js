@@ -0,0 +1,49 @@
+const User = require('@models/User');
+const Post = require('@models/Post');
+const Follow = require('@models/Follow');
+const ApiError = require('@utils/ApiError');
+
+// Everything about a user that may be shown to anyone; never credentials, tokens or email
+const PUBLIC_PROFILE_FIELDS = 'name profileImage profileImageDetails bio website social createdAt';
+
+const RECENT_POSTS_LIMIT = 5;
+
+// @desc    Get an author's public profile with counts and recent published posts
+// @route   GET /api/v1/users/:id
+// @access  Public
+exports.getUserProfile = async (req, res, next) => {
+  try {
+    const author = await User.findOne({ _id: req.params.id, isActive: true }).select(PUBLIC_PROFILE_FIELDS);
+
+    if (!author) {
+      return next(new ApiError(404, `User not found with id of ${req.params.id}`));
+    }
+
+    const published = { author: author._id, status: 'published' };
+
+    const [followState, followingCount, postCount, recentPosts] = await Promise.all([
+      Follow.followState('User', author._id, req.user),
+      Follow.countDocuments({ follower: author._id, targetModel: 'User' }),
+      Post.countDocuments(published),
+      Post.find(published)
+        .select('title slug excerpt featuredImage featuredImageDetails publishedAt readingTime categories')
+        .sort({ publishedAt: -1 })
+        .limit(RECENT_POSTS_LIMIT)
+        .populate('categories', 'name slug')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        // Virtuals off, so nothing beyond the selected fields is serialized
+        ...author.toJSON({ virtuals: false }),
+        ...followState,
+        followingCount,
+        postCount,
+        recentPosts
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
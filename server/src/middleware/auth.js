@@ -3,6 +3,7 @@ const crypto = require('crypto');
 const User = require('@models/User');
 const ApiError = require('@utils/ApiError');
 const config = require('@config/envConfig');
+const { hasPermission, permissionsFor } = require('@config/permissions');
 
 // Verify access token
 exports.protect = async (req, res, next) => {
@@ -59,6 +60,10 @@ exports.protect = async (req, res, next) => {
           );
         }
       }
+
+      if (user.sessionsRevokedAfter(decoded.iat)) {
+        return next(new ApiError(401, 'Your session has ended. Please log in again'));
+      }
       
       // Attach user to request
       req.user = user;
@@ -79,6 +84,43 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Attach the user when a valid access token is sent, but never block the request
+exports.optionalAuth = async (req, res, next) => {
+  let token;
+
+  if (req.headers.authorization?.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  } else if (req.cookies?.accessToken) {
+    token = req.cookies.accessToken;
+  }
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(token, config.jwt.accessToken.secret, {
+      issuer: 'mern-blog-api',
+      audience: 'mern-blog-client'
+    });
+
+    const user = await User.findById(decoded.id).select('-password -refreshToken');
+
+    if (
+      user &&
+      user.isActive &&
+      !user.changedPasswordAfter(decoded.iat) &&
+      !user.sessionsRevokedAfter(decoded.iat)
+    ) {
+      req.user = user;
+    }
+  } catch (err) {
+    // An invalid or expired token just means the request is treated as anonymous
+  }
+
+  next();
+};
+
 // Refresh access token
 const refreshToken = async (req, res, next) => {
   try {
@@ -148,7 +190,8 @@ const refreshToken = async (req, res, next) => {
           email: user.email,
           role: user.role,
           isEmailVerified: user.isEmailVerified,
-          isActive: user.isActive
+          isActive: user.isActive,
+          permissions: permissionsFor(user.role)
         }
       });
     }
@@ -179,6 +222,23 @@ exports.authorize = (...roles) => {
   };
 };
 
+/**
+ * Grant access only to users whose role holds every listed permission
+ * @param {...string} permissions - Entries from PERMISSIONS, e.g. 'post:create'
+ * @returns {Function} Middleware; must run after protect
+ */
+exports.can = (...permissions) => (req, res, next) => {
+  const missing = permissions.find(permission => !hasPermission(req.user, permission));
+
+  if (missing) {
+    return next(
+      new ApiError(403, `User role ${req.user.role} does not have the '${missing}' permission`)
+    );
+  }
+
+  next();
+};
+
 // Check if user is the owner of the resource
 exports.checkOwnership = (model) => {
   return async (req, res, next) => {
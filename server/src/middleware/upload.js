@@ -0,0 +1,47 @@
+const fileUpload = require('express-fileupload');
+const config = require('@config/envConfig');
+const ApiError = require('@utils/ApiError');
+const { detectImageType } = require('@utils/imageType');
+
+// Parse multipart bodies in memory; size is checked below so we can answer with an ApiError
+const parseMultipart = fileUpload({
+  limits: { fileSize: config.upload.maxFileSize, files: 1 },
+  abortOnLimit: false
+});
+
+/**
+ * Accept a single image upload in the given form field. The format is taken
+ * from the file's magic bytes, never from its name or Content-Type, and is
+ * exposed as req.image = { data, ext, mimetype, size }
+ * @param {string} [field='file'] - Multipart field name
+ * @returns {Function[]} Middleware chain
+ */
+exports.imageUpload = (field = 'file') => [
+  parseMultipart,
+  (req, res, next) => {
+    const file = req.files && req.files[field];
+
+    if (!file) {
+      return next(ApiError.badRequest(`Please upload a file in the '${field}' field`));
+    }
+
+    if (Array.isArray(file)) {
+      return next(ApiError.badRequest('Please upload a single file'));
+    }
+
+    if (file.truncated) {
+      return next(
+        ApiError.badRequest(`Please upload an image less than ${config.upload.maxFileSize} bytes`)
+      );
+    }
+
+    const type = detectImageType(file.data);
+
+    if (!type) {
+      return next(ApiError.badRequest('Please upload a JPEG, PNG, GIF or WebP image'));
+    }
+
+    req.image = { data: file.data, size: file.size, ...type };
+    next();
+  }
+];
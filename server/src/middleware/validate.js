@@ -0,0 +1,22 @@
+const { validationResult } = require('express-validator');
+const ApiError = require('@utils/ApiError');
+
+// Reject the request when any preceding express-validator check failed
+exports.validate = (req, res, next) => {
+  const result = validationResult(req);
+
+  if (result.isEmpty()) {
+    return next();
+  }
+
+  // Keep the first message reported for each field
+  const errors = {};
+  result.array().forEach(err => {
+    const field = err.path || err.param;
+    if (field && !errors[field]) {
+      errors[field] = err.msg;
+    }
+  });
+
+  next(ApiError.validationError('Invalid input data', errors));
+};
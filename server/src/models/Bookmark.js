@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// A post a user saved to their reading list
+const bookmarkSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// One bookmark per user and post; also serves the reading list, newest first
+bookmarkSchema.index({ user: 1, post: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { uniqueSlug } = require('@utils/slugify');
 
 const categorySchema = new mongoose.Schema(
   {
@@ -23,6 +24,16 @@ const categorySchema = new mongoose.Schema(
       type: Boolean,
       default: true
     },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null
+    },
+    // Every category above this one, root first; kept in sync from parent
+    ancestors: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    }],
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -36,19 +47,83 @@ const categorySchema = new mongoose.Schema(
   }
 );
 
+// Resolve ancestry from the parent, refusing to nest a category under itself or its subtree
+categorySchema.pre('validate', async function(next) {
+  if (!this.isModified('parent')) return next();
+
+  if (!this.parent) {
+    this.ancestors = [];
+    return next();
+  }
+
+  const parent = await this.constructor.findById(this.parent).select('ancestors');
+  const ancestors = parent && this.constructor.ancestorsUnder(this._id, parent);
+
+  if (!parent) {
+    this.invalidate('parent', 'Parent category not found', this.parent);
+  } else if (!ancestors) {
+    this.invalidate('parent', 'A category cannot be nested under itself or one of its subcategories', this.parent);
+  } else {
+    this.ancestors = ancestors;
+  }
+
+  next();
+});
+
+/**
+ * Work out a category's ancestry when it is placed under a parent
+ * @param {mongoose.Types.ObjectId} id - Category being placed
+ * @param {{ _id: mongoose.Types.ObjectId, ancestors: mongoose.Types.ObjectId[] }} parent - New parent
+ * @returns {mongoose.Types.ObjectId[]|null} Ancestors root first, or null when
+ *   the parent is the category itself or one of its descendants
+ */
+categorySchema.statics.ancestorsUnder = function(id, parent) {
+  if (parent._id.equals(id) || parent.ancestors.some(ancestor => ancestor.equals(id))) {
+    return null;
+  }
+
+  return [...parent.ancestors, parent._id];
+};
+
 // Create slug from name before saving
-categorySchema.pre('save', function(next) {
+categorySchema.pre('save', async function(next) {
   if (this.isModified('name')) {
-    this.slug = this.name
-      .toLowerCase()
-      .replace(/[^\w\s-]/g, '') // Remove special characters
-      .replace(/\s+/g, '-')      // Replace spaces with -
-      .replace(/--+/g, '-')      // Replace multiple - with single -
-      .trim();
+    // Append a numeric suffix when another document already uses the slug
+    this.slug = await uniqueSlug(this.constructor, this.name, {
+      excludeId: this._id,
+      fallback: 'category'
+    });
   }
+
+  // Descendants need their ancestry rebuilt once this move is saved
+  this.$locals.ancestryChanged = !this.isNew && this.isModified('ancestors');
   next();
 });
 
+// Re-root the ancestry of every descendant after a category moves
+categorySchema.post('save', async function() {
+  if (!this.$locals.ancestryChanged) return;
+
+  await this.constructor.updateMany({ ancestors: this._id }, [
+    {
+      $set: {
+        ancestors: {
+          $concatArrays: [
+            this.ancestors,
+            {
+              $slice: [
+                '$ancestors',
+                { $indexOfArray: ['$ancestors', this._id] },
+                { $size: '$ancestors' }
+              ]
+            }
+          ]
+        }
+      }
+    }
+  ]);
+});
+
 // Virtual for posts in this category
 categorySchema.virtual('posts', {
   ref: 'Post',
@@ -57,7 +132,74 @@ categorySchema.virtual('posts', {
   justOne: false
 });
 
+// Static method listing the given categories' ids plus those of all their descendants
+categorySchema.statics.withDescendantIds = async function(ids) {
+  const descendants = await this.find({ ancestors: { $in: ids } }).distinct('_id');
+  return [...ids, ...descendants];
+};
+
+// Static method adding the number of published posts to each category,
+// counted in one aggregation. Posts in subcategories count towards their
+// parents, and a post filed under both is only counted once
+categorySchema.statics.withPostCounts = async function(categories) {
+  const ids = categories.map(category => category._id);
+  const relevant = await this.withDescendantIds(ids);
+
+  const counts = await this.model('Post').aggregate([
+    { $match: { status: 'published', categories: { $in: relevant } } },
+    {
+      $lookup: {
+        from: this.collection.name,
+        localField: 'categories',
+        foreignField: '_id',
+        as: 'filedUnder'
+      }
+    },
+    {
+      $project: {
+        covering: {
+          $reduce: {
+            input: '$filedUnder',
+            initialValue: '$categories',
+            in: { $setUnion: ['$$value', '$$this.ancestors'] }
+          }
+        }
+      }
+    },
+    { $unwind: '$covering' },
+    { $match: { covering: { $in: ids } } },
+    { $group: { _id: '$covering', count: { $sum: 1 } } }
+  ]);
+
+  const countById = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+
+  return categories.map(category => ({
+    ...category.toJSON(),
+    postCount: countById.get(category._id.toString()) || 0
+  }));
+};
+
+// Static method nesting a flat list of categories into a tree under `children`
+categorySchema.statics.buildTree = function(categories) {
+  const byId = new Map();
+  const roots = [];
+
+  categories.forEach(category => {
+    byId.set(category._id.toString(), { ...category, children: [] });
+  });
+
+  byId.forEach(node => {
+    const parent = node.parent && byId.get(node.parent.toString());
+    // Categories whose parent isn't in the list are shown at the top level
+    (parent ? parent.children : roots).push(node);
+  });
+
+  return roots;
+};
+
 // Index for better query performance
 categorySchema.index({ name: 'text', description: 'text' });
+categorySchema.index({ parent: 1 });
+categorySchema.index({ ancestors: 1 });
 
 module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema(
+  {
+    content: {
+      type: String,
+      required: [true, 'Comment content is required'],
+      trim: true,
+      maxlength: [2000, 'Comment cannot be more than 2000 characters']
+    },
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null
+    },
+    isEdited: {
+      type: Boolean,
+      default: false
+    },
+    editedAt: {
+      type: Date
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Virtual for direct replies to this comment
+commentSchema.virtual('replies', {
+  ref: 'Comment',
+  localField: '_id',
+  foreignField: 'parent',
+  justOne: false
+});
+
+// Index for better query performance
+commentSchema.index({ post: 1, createdAt: 1 });
+commentSchema.index({ parent: 1 });
+
+// Instance method serializing a comment for readers; a deleted comment keeps
+// its place in the thread but no longer says who wrote it
+commentSchema.methods.toPublicJSON = function() {
+  const json = this.toJSON();
+  if (json.isDeleted) json.author = null;
+  return json;
+};
+
+// Static method to nest a flat, date-sorted list of comments into reply threads
+commentSchema.statics.buildThread = function(comments) {
+  const byId = new Map();
+  const roots = [];
+
+  comments.forEach(comment => {
+    const node = { ...comment.toPublicJSON(), replies: [] };
+
+    byId.set(comment._id.toString(), node);
+  });
+
+  byId.forEach(comment => {
+    const parentId = comment.parent ? comment.parent.toString() : null;
+    const parent = parentId && byId.get(parentId);
+
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      roots.push(comment);
+    }
+  });
+
+  return roots;
+};
+
+// Instance method to blank a comment that still has replies hanging off it
+commentSchema.methods.softDelete = async function() {
+  this.content = '[deleted]';
+  this.isDeleted = true;
+  await this.save();
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// What a user can follow: authors and categories
+const FOLLOW_TARGETS = ['User', 'Category'];
+
+const followSchema = new mongoose.Schema(
+  {
+    follower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'targetModel',
+      required: true
+    },
+    targetModel: {
+      type: String,
+      enum: FOLLOW_TARGETS,
+      required: true
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+followSchema.index({ follower: 1, targetModel: 1, target: 1 }, { unique: true });
+followSchema.index({ target: 1, targetModel: 1 });
+
+/**
+ * Follower count of an author or category, and whether the user follows it
+ * @param {string} targetModel - 'User' or 'Category'
+ * @param {*} target - Id of the author or category
+ * @param {Object} [user] - Signed-in user, if any
+ * @returns {Promise<{ followerCount: number, isFollowing: boolean }>}
+ */
+followSchema.statics.followState = async function(targetModel, target, user) {
+  const [followerCount, isFollowing] = await Promise.all([
+    this.countDocuments({ targetModel, target }),
+    user ? this.exists({ follower: user._id, targetModel, target }) : null
+  ]);
+
+  return { followerCount, isFollowing: !!isFollowing };
+};
+
+// Static method listing the ids of the authors and categories a user follows
+followSchema.statics.followedIds = async function(userId) {
+  const follows = await this.find({ follower: userId }).select('target targetModel').lean();
+
+  return {
+    authors: follows.filter(follow => follow.targetModel === 'User').map(follow => follow.target),
+    categories: follows.filter(follow => follow.targetModel === 'Category').map(follow => follow.target)
+  };
+};
+
+followSchema.statics.FOLLOW_TARGETS = FOLLOW_TARGETS;
+
+module.exports = mongoose.model('Follow', followSchema);
@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const { uniqueSlug } = require('@utils/slugify');
+const imageDetailsSchema = require('./schemas/imageDetails');
+const { REACTION_TYPES } = require('./Reaction');
+const { MAX_TAG_LENGTH, normalizeTags } = require('@utils/tags');
+const { CONTENT_FORMATS, renderContent, buildExcerpt, measureText } = require('@utils/markdown');
+const { hasPermission } = require('@config/permissions');
 
 const postSchema = new mongoose.Schema(
   {
@@ -19,15 +25,50 @@ const postSchema = new mongoose.Schema(
       required: [true, 'Content is required'],
       trim: true
     },
+    // Older posts were written as plain text, so that stays the default for them
+    contentFormat: {
+      type: String,
+      enum: CONTENT_FORMATS,
+      default: 'plain'
+    },
+    // Sanitized HTML rendered from content whenever it changes
+    contentHtml: {
+      type: String,
+      default: ''
+    },
+    toc: [{
+      _id: false,
+      level: Number,
+      text: String,
+      id: String
+    }],
     excerpt: {
       type: String,
       maxlength: [500, 'Excerpt cannot be more than 500 characters'],
       trim: true
     },
+    // Whether the excerpt was generated from content rather than written by the author
+    excerptGenerated: {
+      type: Boolean,
+      default: false
+    },
+    wordCount: {
+      type: Number,
+      default: 0
+    },
+    // Estimated minutes to read
+    readingTime: {
+      type: Number,
+      default: 0
+    },
     featuredImage: {
       type: String,
       default: ''
     },
+    featuredImageDetails: {
+      type: imageDetailsSchema,
+      default: null
+    },
     categories: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Category',
@@ -40,27 +81,44 @@ const postSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['draft', 'published', 'archived'],
+      enum: ['draft', 'scheduled', 'published', 'archived'],
       default: 'draft'
     },
     publishedAt: {
       type: Date
     },
-    tags: [{
-      type: String,
-      trim: true
-    }],
+    tags: {
+      type: [{
+        type: String,
+        trim: true,
+        maxlength: [MAX_TAG_LENGTH, `Tags cannot be more than ${MAX_TAG_LENGTH} characters`]
+      }],
+      // Lowercase, hyphenate and dedupe so "Node JS" and "node-js" are one tag
+      set: normalizeTags
+    },
     viewCount: {
       type: Number,
       default: 0
     },
+    // Denormalized from Reaction so lists don't need to count; only change alongside a Reaction write
+    reactionCounts: Object.fromEntries(
+      REACTION_TYPES.map(type => [type, { type: Number, default: 0 }])
+    ),
     isFeatured: {
       type: Boolean,
       default: false
     },
     meta: {
-      title: String,
-      description: String,
+      title: {
+        type: String,
+        trim: true,
+        maxlength: [70, 'Meta title cannot be more than 70 characters']
+      },
+      description: {
+        type: String,
+        trim: true,
+        maxlength: [160, 'Meta description cannot be more than 160 characters']
+      },
       keywords: [String]
     }
   },
@@ -71,15 +129,47 @@ const postSchema = new mongoose.Schema(
   }
 );
 
+/**
+ * Render content and work out the fields derived from it
+ * @param {string} content - Post content
+ * @param {string} format - One of CONTENT_FORMATS
+ * @returns {{ fields: Object, text: string }} Fields to store and the rendered plain text
+ */
+const deriveFromContent = (content, format) => {
+  const { html, toc, text } = renderContent(content, format);
+
+  return {
+    fields: { contentHtml: html, toc, ...measureText(text) },
+    text
+  };
+};
+
+/**
+ * Decide which excerpt to store. Generated excerpts follow the content; an
+ * excerpt the author wrote is kept. Editors send back whatever the form
+ * showed, so an unchanged generated excerpt still counts as generated
+ * @param {string} [requested] - Excerpt on the document or in the update
+ * @param {Object} current - Stored excerpt and excerptGenerated flag
+ * @param {string} text - Rendered plain text of the content
+ * @returns {{ excerpt: string, excerptGenerated: boolean }}
+ */
+const resolveExcerpt = (requested, current, text) => {
+  const excerpt = requested === undefined ? current.excerpt : requested;
+  const isGenerated = !excerpt || (current.excerptGenerated && excerpt === current.excerpt);
+
+  return isGenerated
+    ? { excerpt: buildExcerpt(text), excerptGenerated: true }
+    : { excerpt, excerptGenerated: false };
+};
+
 // Create slug from title before saving
-postSchema.pre('save', function(next) {
+postSchema.pre('save', async function(next) {
   if (this.isModified('title')) {
-    this.slug = this.title
-      .toLowerCase()
-      .replace(/[^\w\s-]/g, '') // Remove special characters
-      .replace(/\s+/g, '-')      // Replace spaces with -
-      .replace(/--+/g, '-')      // Replace multiple - with single -
-      .trim();
+    // Append a numeric suffix when another document already uses the slug
+    this.slug = await uniqueSlug(this.constructor, this.title, {
+      excludeId: this._id,
+      fallback: 'post'
+    });
   }
   
   // Set publishedAt when status changes to published
@@ -87,14 +177,75 @@ postSchema.pre('save', function(next) {
     this.publishedAt = Date.now();
   }
   
-  // Generate excerpt from content if not provided
-  if (this.isModified('content') && !this.excerpt) {
-    this.excerpt = this.content.substring(0, 200) + (this.content.length > 200 ? '...' : '');
+  if (this.isModified('content') || this.isModified('contentFormat') || this.isModified('excerpt')) {
+    const derived = deriveFromContent(this.content, this.contentFormat);
+    // A newly set excerpt is the author's own unless it's empty
+    const { excerpt, excerptGenerated } = resolveExcerpt(
+      undefined,
+      this.isModified('excerpt') ? { excerpt: this.excerpt } : this,
+      derived.text
+    );
+
+    this.set({ ...derived.fields, excerpt, excerptGenerated });
   }
   
   next();
 });
 
+// findByIdAndUpdate skips save hooks, so give a retitled post a slug that matches
+postSchema.pre('findOneAndUpdate', async function(next) {
+  const update = this.getUpdate();
+  const fields = update.$set || update;
+
+  if (typeof fields.title !== 'string') return next();
+
+  const current = await this.model.findOne(this.getQuery()).select('title').lean();
+
+  if (current && current.title !== fields.title.trim()) {
+    this.set('slug', await uniqueSlug(this.model, fields.title, {
+      excludeId: current._id,
+      fallback: 'post'
+    }));
+  }
+
+  next();
+});
+
+// findByIdAndUpdate skips save hooks, so re-derive here when an edit touches the content
+postSchema.pre('findOneAndUpdate', async function(next) {
+  const update = this.getUpdate();
+  const fields = update.$set || update;
+
+  if (fields.content === undefined && fields.contentFormat === undefined && fields.excerpt === undefined) {
+    return next();
+  }
+
+  const current = await this.model
+    .findOne(this.getQuery())
+    .select('content contentFormat excerpt excerptGenerated')
+    .lean();
+
+  const derived = deriveFromContent(
+    (fields.content ?? current?.content ?? '').trim(),
+    fields.contentFormat ?? current?.contentFormat
+  );
+  const { excerpt, excerptGenerated } = resolveExcerpt(fields.excerpt, current || {}, derived.text);
+
+  this.set({ ...derived.fields, excerpt, excerptGenerated });
+  next();
+});
+
+// Cascade delete everything attached to a post when it is deleted
+postSchema.pre('deleteOne', { document: true, query: false }, async function(next) {
+  await this.model('Comment').deleteMany({ post: this._id });
+  await this.model('Revision').deleteMany({ post: this._id });
+  await this.model('PostStat').deleteMany({ post: this._id });
+  await this.model('PostView').deleteMany({ post: this._id });
+  await this.model('Reaction').deleteMany({ post: this._id });
+  await this.model('Bookmark').deleteMany({ post: this._id });
+  next();
+});
+
 // Virtual for comments on this post
 postSchema.virtual('comments', {
   ref: 'Comment',
@@ -109,6 +260,25 @@ postSchema.index({ status: 1, publishedAt: -1 });
 postSchema.index({ author: 1 });
 postSchema.index({ categories: 1 });
 
+/**
+ * Restrict a post query to what the requester may see: everyone sees
+ * published posts, authors also see their own, editors of any post see everything
+ * @param {Object} [user] - req.user, if signed in
+ * @returns {Object} Mongo filter
+ */
+postSchema.statics.visibilityFilter = function(user) {
+  if (!user) return { status: 'published' };
+  if (hasPermission(user, 'post:edit:any')) return {};
+
+  return { $or: [{ status: 'published' }, { author: user._id }] };
+};
+
+// Posts readers can see in public streams right now, whoever is signed in;
+// scheduled posts only join once their publish time has passed
+postSchema.statics.liveFilter = function() {
+  return { status: 'published', publishedAt: { $lte: new Date() } };
+};
+
 // Static method to get published posts
 postSchema.statics.getPublishedPosts = function(query = {}, options = {}) {
   const { page = 1, limit = 10, sort = { publishedAt: -1 }, select } = options;
@@ -118,14 +288,8 @@ postSchema.statics.getPublishedPosts = function(query = {}, options = {}) {
     .sort(sort)
     .skip((page - 1) * limit)
     .limit(limit)
-    .populate('author', 'name email')
+    .populate('author', 'name profileImage')
     .populate('categories', 'name slug');
 };
 
-// Instance method to increment view count
-postSchema.methods.incrementViewCount = async function() {
-  this.viewCount += 1;
-  await this.save();
-};
-
 module.exports = mongoose.model('Post', postSchema);
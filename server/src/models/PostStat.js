@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Daily view totals for a post, split by referrer so both stay a single atomic $inc
+const postStatSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // UTC midnight of the day the views happened
+  date: {
+    type: Date,
+    required: true
+  },
+  // Referring host, or 'direct' when there wasn't one
+  referrer: {
+    type: String,
+    default: 'direct'
+  },
+  views: {
+    type: Number,
+    default: 0
+  }
+});
+
+postStatSchema.index({ post: 1, date: 1, referrer: 1 }, { unique: true });
+
+module.exports = mongoose.model('PostStat', postStatSchema);
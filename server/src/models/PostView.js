@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// One document per visitor, post and dedupe window; its unique index is what
+// makes a repeat view within the window a no-op
+const postViewSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // Hashed user id or IP and user agent, never the raw values
+  visitor: {
+    type: String,
+    required: true
+  },
+  // Start of the dedupe window the view fell in
+  window: {
+    type: Date,
+    required: true
+  },
+  // Dedupe records are only needed while their window is open
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+postViewSchema.index({ post: 1, visitor: 1, window: 1 }, { unique: true });
+postViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PostView', postViewSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// The fixed set of reactions readers can leave on a post
+const REACTION_TYPES = ['like', 'love', 'insightful', 'celebrate'];
+
+// A reader's reaction to a post; each reader has at most one per post
+const reactionSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    type: {
+      type: String,
+      enum: REACTION_TYPES,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+reactionSchema.index({ post: 1, user: 1 }, { unique: true });
+reactionSchema.index({ user: 1 });
+
+reactionSchema.statics.REACTION_TYPES = REACTION_TYPES;
+
+module.exports = mongoose.model('Reaction', reactionSchema);
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const imageDetailsSchema = require('./schemas/imageDetails');
+
+// Post fields captured in each revision; publishing state is not versioned
+const TRACKED_FIELDS = [
+  'title',
+  'content',
+  'contentFormat',
+  'excerpt',
+  'featuredImage',
+  'categories',
+  'tags',
+  'meta'
+];
+
+// Stored with each snapshot so a restore brings back the matching image
+// variants and knows whether the excerpt was generated
+const SNAPSHOT_FIELDS = [...TRACKED_FIELDS, 'featuredImageDetails', 'excerptGenerated'];
+
+// Concurrent edits may pick the same next number; the loser tries again
+const RECORD_ATTEMPTS = 5;
+
+const revisionSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true
+    },
+    revision: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    editor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    changedFields: [{
+      type: String,
+      enum: TRACKED_FIELDS
+    }],
+    restoredFrom: {
+      type: Number,
+      default: null
+    },
+    snapshot: {
+      title: String,
+      content: String,
+      contentFormat: String,
+      excerpt: String,
+      excerptGenerated: Boolean,
+      featuredImage: String,
+      featuredImageDetails: {
+        type: imageDetailsSchema,
+        default: null
+      },
+      categories: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+      }],
+      tags: [String],
+      meta: {
+        title: String,
+        description: String,
+        keywords: [String]
+      }
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// One numbered history per post
+revisionSchema.index({ post: 1, revision: -1 }, { unique: true });
+
+// Compare tracked values by content so ObjectIds, arrays and subdocuments match up
+const normalize = (value) => JSON.stringify(value === undefined ? null : value);
+
+const pickSnapshot = (source) =>
+  SNAPSHOT_FIELDS.reduce((snapshot, field) => {
+    const value = typeof source.get === 'function' ? source.get(field) : source[field];
+    snapshot[field] = value && typeof value.toObject === 'function' ? value.toObject() : value;
+    return snapshot;
+  }, {});
+
+// Static method listing the tracked fields an update would change on a post
+revisionSchema.statics.changedFields = function(post, updates) {
+  const current = pickSnapshot(post);
+
+  return TRACKED_FIELDS.filter(field =>
+    updates[field] !== undefined && normalize(current[field]) !== normalize(updates[field])
+  );
+};
+
+/**
+ * Append a snapshot of the post's current state to its history. Posts that
+ * predate revision history get a baseline of their previous state first, so
+ * the oldest version can still be diffed and restored. Numbers are picked
+ * from the latest revision and retried when a concurrent edit claims one first
+ * @param {Object} post - Post document after the change
+ * @param {Object} options
+ * @param {string} options.editor - User who made the change
+ * @param {string[]} options.changedFields - Tracked fields the change touched
+ * @param {Object} [options.previous] - Post document before the change
+ * @param {number} [options.restoredFrom] - Revision number the change restored
+ * @returns {Promise<Object>} The new revision
+ */
+revisionSchema.statics.record = async function(post, { editor, changedFields, previous, restoredFrom = null }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const latest = await this.findOne({ post: post._id }).sort('-revision').select('revision');
+      let revision = latest ? latest.revision : 0;
+
+      if (!latest && previous) {
+        revision += 1;
+        await this.create({
+          post: post._id,
+          revision,
+          editor: previous.author,
+          changedFields: [],
+          snapshot: pickSnapshot(previous),
+          createdAt: previous.updatedAt
+        });
+      }
+
+      return await this.create({
+        post: post._id,
+        revision: revision + 1,
+        editor,
+        changedFields,
+        restoredFrom,
+        snapshot: pickSnapshot(post)
+      });
+    } catch (err) {
+      // Duplicate (post, revision) means another edit took the number first
+      if (err.code !== 11000 || attempt >= RECORD_ATTEMPTS) throw err;
+    }
+  }
+};
+
+revisionSchema.statics.TRACKED_FIELDS = TRACKED_FIELDS;
+
+module.exports = mongoose.model('Revision', revisionSchema);
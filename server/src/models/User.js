@@ -3,6 +3,7 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const config = require('@config/envConfig');
+const imageDetailsSchema = require('./schemas/imageDetails');
 
 // Indexes for better query performance
 const userSchema = new mongoose.Schema(
@@ -66,12 +67,33 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false
     },
+    // A new address waiting to be confirmed; the current one stays in use until then
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [
+        /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/,
+        'Please add a valid email'
+      ]
+    },
+    pendingEmailToken: {
+      type: String,
+      select: false,
+      index: true
+    },
+    pendingEmailExpires: {
+      type: Date,
+      select: false
+    },
     isActive: {
       type: Boolean,
       default: true
     },
     lastLogin: Date,
     lastActive: Date,
+    // Tokens issued before this were revoked, e.g. by an admin forcing a logout
+    sessionsRevokedAt: Date,
     failedLoginAttempts: {
       type: Number,
       default: 0,
@@ -93,7 +115,13 @@ const userSchema = new mongoose.Schema(
     },
     profileImage: {
       type: String,
-      default: 'default.jpg'
+      default: '',
+      // Older accounts point at a default.jpg that was never shipped; treat it as no avatar
+      get: value => (value === 'default.jpg' ? '' : value)
+    },
+    profileImageDetails: {
+      type: imageDetailsSchema,
+      default: null
     },
     bio: {
       type: String,
@@ -116,8 +144,8 @@ const userSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
-    toJSON: { virtuals: true },
-    toObject: { virtuals: true }
+    toJSON: { virtuals: true, getters: true },
+    toObject: { virtuals: true, getters: true }
   }
 );
 
@@ -193,6 +221,16 @@ userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
   return false;
 };
 
+// Check if the user's sessions were revoked after the token was issued
+userSchema.methods.sessionsRevokedAfter = function(JWTTimestamp) {
+  if (this.sessionsRevokedAt) {
+    // iat is in whole seconds, so a login in the same second as the revocation stays valid
+    const revokedTimestamp = parseInt(this.sessionsRevokedAt.getTime() / 1000, 10);
+    return JWTTimestamp < revokedTimestamp;
+  }
+  return false;
+};
+
 // Generate and hash refresh token
 userSchema.methods.getRefreshToken = function() {
   // Generate token
@@ -229,6 +267,27 @@ userSchema.methods.getEmailVerificationToken = function() {
   return verificationToken;
 };
 
+// Park a new email address until it is confirmed through the returned token
+userSchema.methods.getPendingEmailToken = function(email) {
+  const confirmationToken = crypto.randomBytes(20).toString('hex');
+
+  this.pendingEmail = email;
+  this.pendingEmailToken = crypto
+    .createHash('sha256')
+    .update(confirmationToken)
+    .digest('hex');
+  this.pendingEmailExpires = Date.now() + 24 * 60 * 60 * 1000;
+
+  return confirmationToken;
+};
+
+// Drop an unconfirmed email change
+userSchema.methods.clearPendingEmail = function() {
+  this.pendingEmail = undefined;
+  this.pendingEmailToken = undefined;
+  this.pendingEmailExpires = undefined;
+};
+
 // Generate password reset token
 userSchema.methods.getResetPasswordToken = function() {
   // Generate token
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// One resized copy of an uploaded image
+const variantSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      enum: ['thumbnail', 'card', 'full'],
+      required: true
+    },
+    format: {
+      type: String,
+      required: true
+    },
+    width: Number,
+    height: Number,
+    url: {
+      type: String,
+      required: true
+    }
+  },
+  { _id: false }
+);
+
+// Dimensions, blur placeholder and generated variants of a processed upload
+const imageDetailsSchema = new mongoose.Schema(
+  {
+    width: Number,
+    height: Number,
+    // Tiny base64 data URI shown blurred while the real image loads
+    placeholder: String,
+    variants: [variantSchema]
+  },
+  { _id: false }
+);
+
+module.exports = imageDetailsSchema;
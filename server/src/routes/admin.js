@@ -0,0 +1,28 @@
+const express = require('express');
+const { check } = require('express-validator');
+const adminController = require('@controllers/adminController');
+const { protect, can } = require('@middleware/auth');
+const { validate } = require('@middleware/validate');
+
+const router = express.Router();
+
+router.use(protect, can('user:manage'));
+
+// @route   GET /api/admin/users
+router.get('/users', adminController.getUsers);
+router.get('/users/:id', adminController.getUser);
+
+router.put(
+  '/users/:id',
+  [
+    check('role', 'Role must be user, publisher or admin').optional().isIn(['user', 'publisher', 'admin']),
+    check('isActive', 'isActive must be true or false').optional().isBoolean({ strict: true }),
+    validate
+  ],
+  adminController.updateUser
+);
+
+router.post('/users/:id/unlock', adminController.unlockUser);
+router.post('/users/:id/logout', adminController.forceLogout);
+
+module.exports = router;
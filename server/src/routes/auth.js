@@ -1,11 +1,37 @@
 const express = require('express');
 const { check } = require('express-validator');
 const authController = require('@controllers/authController');
+const bookmarkController = require('@controllers/bookmarkController');
 const { protect } = require('@middleware/auth');
+const { validate } = require('@middleware/validate');
 const { authLimiter } = require('@middleware/rateLimiter');
+const { imageUpload } = require('@middleware/upload');
 
 const router = express.Router();
 
+const SOCIAL_NETWORKS = ['twitter', 'facebook', 'linkedin', 'instagram', 'github'];
+
+const updateDetailsRules = [
+  check('name', 'Name can not be empty or more than 50 characters').optional().trim().isLength({ min: 1, max: 50 }),
+  check('email', 'Please include a valid email').optional().isEmail(),
+  check('bio', 'Bio cannot be more than 500 characters').optional().isLength({ max: 500 }),
+  check('website', 'Please use a valid URL with HTTP or HTTPS')
+    .optional({ values: 'falsy' })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true }),
+  ...SOCIAL_NETWORKS.map(network =>
+    check(`social.${network}`, `Please use a valid ${network} URL with HTTP or HTTPS`)
+      .optional({ values: 'falsy' })
+      .isURL({ protocols: ['http', 'https'], require_protocol: true })
+  ),
+  check('profileImage', 'Upload a new profile image through PUT /auth/me/avatar').optional().equals('')
+];
+
+// The reading list and profile editing are used like any other page, so they
+// sit ahead of the strict limiter meant for credential endpoints
+router.get('/me/bookmarks', protect, bookmarkController.getMyBookmarks);
+router.put('/updatedetails', protect, updateDetailsRules, validate, authController.updateDetails);
+router.put('/me/avatar', protect, imageUpload('file'), authController.uploadAvatar);
+
 // Apply rate limiting to all auth routes
 router.use(authLimiter);
 
@@ -34,6 +60,11 @@ router.get(
   authController.verifyEmail
 );
 
+router.get(
+  '/confirm-email/:token',
+  authController.confirmEmail
+);
+
 router.post(
   '/forgotpassword',
   [
@@ -54,8 +85,15 @@ router.put(
 router.use(protect);
 
 router.get('/me', authController.getMe);
-router.put('/updatedetails', authController.updateDetails);
-router.put('/updatepassword', authController.updatePassword);
+router.put(
+  '/updatepassword',
+  [
+    check('currentPassword', 'Current password is required').not().isEmpty(),
+    check('newPassword', 'Password must be at least 8 characters long').isLength({ min: 8 })
+  ],
+  validate,
+  authController.updatePassword
+);
 router.post('/logout', authController.logout);
 router.post('/refresh-token', authController.refreshToken);
 
@@ -1,33 +1,58 @@
 const express = require('express');
 const { check } = require('express-validator');
 const categoryController = require('@controllers/categoryController');
-const { protect, authorize } = require('@middleware/auth');
+const followController = require('@controllers/followController');
+const { protect, can, optionalAuth } = require('@middleware/auth');
+const { validate } = require('@middleware/validate');
 
 const router = express.Router();
 
-router.get('/', categoryController.getCategories);
+// Shared body validation for creating and editing categories
+const categoryValidation = [
+  check('name', 'Name is required').not().isEmpty(),
+  check('name', 'Name cannot be more than 50 characters').isLength({ max: 50 }),
+  check('description', 'Description cannot be more than 500 characters')
+    .optional()
+    .isLength({ max: 500 }),
+  check('parent', 'Invalid parent category').optional({ values: 'falsy' }).isMongoId(),
+  check('isActive', 'isActive must be true or false').optional().isBoolean(),
+  validate
+];
+
 // @route   GET /api/categories
-router.get('/:id', categoryController.getCategory);
+// Public lists hide deactivated categories unless a category manager is asking
+router.get('/', optionalAuth, categoryController.getCategories);
+router.get('/tree', optionalAuth, categoryController.getCategoryTree);
+router.get('/slug/:slug', optionalAuth, categoryController.getCategoryBySlug);
+router.get('/:id', optionalAuth, categoryController.getCategory);
 
 router.use(protect);
-router.use(authorize('admin'));
+
+// Any signed-in reader can follow a category
+router.post('/:id/follow', followController.followCategory);
+router.delete('/:id/follow', followController.unfollowCategory);
+
+router.use(can('category:manage'));
 
 router.post(
   '/',
-  [
-    check('name', 'Name is required').not().isEmpty()
-  ],
+  categoryValidation,
   categoryController.createCategory
 );
 
 router.put(
   '/:id',
-  [
-    check('name', 'Name is required').not().isEmpty()
-  ],
+  categoryValidation,
   categoryController.updateCategory
 );
 
-router.delete('/:id', categoryController.deleteCategory);
+router.delete(
+  '/:id',
+  [
+    check('reassignTo', 'Invalid category to reassign to').optional({ values: 'falsy' }).isMongoId(),
+    validate
+  ],
+  categoryController.deleteCategory
+);
 
 module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const { check } = require('express-validator');
+const commentController = require('@controllers/commentController');
+const { protect, optionalAuth } = require('@middleware/auth');
+const { validate } = require('@middleware/validate');
+
+// Mounted under /api/posts/:id/comments, so keep the parent's :id param
+const router = express.Router({ mergeParams: true });
+
+// Signed-in authors and editors may read comments on posts that aren't public yet
+// @route   GET /api/posts/:id/comments
+router.get('/', optionalAuth, commentController.getComments);
+router.get('/:commentId', optionalAuth, commentController.getComment);
+
+router.use(protect);
+
+router.post(
+  '/',
+  [
+    check('content', 'Comment content is required').not().isEmpty(),
+    validate
+  ],
+  commentController.addComment
+);
+
+router.put(
+  '/:commentId',
+  [
+    check('content', 'Comment content is required').not().isEmpty(),
+    validate
+  ],
+  commentController.updateComment
+);
+
+router.delete('/:commentId', commentController.deleteComment);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const followController = require('@controllers/followController');
+const { protect } = require('@middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/feed
+router.get('/', protect, followController.getFeed);
+
+module.exports = router;
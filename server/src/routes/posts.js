@@ -1,42 +1,95 @@
 const express = require('express');
 const { check } = require('express-validator');
 const postController = require('@controllers/postController');
-const { protect, authorize } = require('@middleware/auth');
+const bookmarkController = require('@controllers/bookmarkController');
+const { protect, can, optionalAuth } = require('@middleware/auth');
+const { validate } = require('@middleware/validate');
+const { imageUpload } = require('@middleware/upload');
+const { CONTENT_FORMATS } = require('@utils/markdown');
+const commentRoutes = require('./comments');
+const revisionRoutes = require('./revisions');
+const reactionRoutes = require('./reactions');
 
 const router = express.Router();
 
+// Shared body validation for creating and editing posts
+const postValidation = [
+  check('title', 'Title is required').not().isEmpty(),
+  check('title', 'Title cannot be more than 200 characters').isLength({ max: 200 }),
+  check('content', 'Content is required').not().isEmpty(),
+  check('categories', 'At least one category is required').isArray({ min: 1 }),
+  check('categories.*', 'Invalid category').isMongoId(),
+  check('contentFormat', 'Content format must be markdown or plain').optional().isIn(CONTENT_FORMATS),
+  check('excerpt', 'Excerpt cannot be more than 500 characters').optional().isLength({ max: 500 }),
+  check('status', 'Status must be draft, scheduled, published or archived')
+    .optional()
+    .isIn(['draft', 'scheduled', 'published', 'archived']),
+  check('publishedAt', 'Publish date must be a valid date').optional({ values: 'falsy' }).isISO8601(),
+  check('tags', 'Tags must be a list').optional().isArray(),
+  check('meta.title', 'Meta title cannot be more than 70 characters').optional().isLength({ max: 70 }),
+  check('meta.description', 'Meta description cannot be more than 160 characters')
+    .optional()
+    .isLength({ max: 160 }),
+  check('meta.keywords', 'Meta keywords must be a list').optional().isArray(),
+  validate
+];
+
+// Re-route into other resource routers
+router.use('/:id/comments', commentRoutes);
+router.use('/:id/revisions', revisionRoutes);
+router.use('/:id/reactions', reactionRoutes);
+
+// Public reads; drafts and scheduled posts are only visible to their author and to users who can edit any post.
+// Single-post reads count a view, deduplicated per visitor; ?ref= passes the page's referrer
 // @route   GET /api/posts
-router.get('/', postController.getPosts);
-router.get('/:id', postController.getPost);
+router.get('/', optionalAuth, postController.getPosts);
+router.get('/search', optionalAuth, postController.searchPosts);
+router.get('/mine', protect, postController.getMyPosts);
+router.get('/slug/:slug', optionalAuth, postController.getPostBySlug);
+router.get('/:id', optionalAuth, postController.getPost);
 
 router.use(protect);
 
+router.post('/:id/bookmark', bookmarkController.addBookmark);
+router.delete('/:id/bookmark', bookmarkController.removeBookmark);
+
+router.get(
+  '/:id/stats',
+  [
+    check('days', 'Days must be between 1 and 365').optional().isInt({ min: 1, max: 365 }),
+    validate
+  ],
+  postController.getPostStats
+);
+
+// Writing needs 'post:create'; the controllers also check the post is the user's own
+// unless they hold 'post:edit:any', and putting a post live needs 'post:publish'
+router.use(can('post:create'));
+
 router.post(
-  '/',
+  '/preview',
   [
-    check('title', 'Title is required').not().isEmpty(),
-    check('content', 'Content is required').not().isEmpty(),
-    check('categories', 'At least one category is required').isArray({ min: 1 })
+    check('content', 'Content must be text').optional().isString(),
+    check('contentFormat', 'Content format must be markdown or plain').optional().isIn(CONTENT_FORMATS),
+    validate
   ],
+  postController.previewPost
+);
+
+router.post(
+  '/',
+  postValidation,
   postController.createPost
 );
 
 router.put(
   '/:id',
-  [
-    check('title', 'Title is required').not().isEmpty(),
-    check('content', 'Content is required').not().isEmpty(),
-    check('categories', 'At least one category is required').isArray({ min: 1 })
-  ],
+  postValidation,
   postController.updatePost
 );
 
 router.delete('/:id', postController.deletePost);
 
-// Routes that require admin role
-router.use(authorize('admin'));
-
-// Routes that require admin privileges
-router.put('/:id/photo', postController.postPhotoUpload);
+router.put('/:id/photo', imageUpload('file'), postController.postPhotoUpload);
 
 module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const { check } = require('express-validator');
+const reactionController = require('@controllers/reactionController');
+const { protect } = require('@middleware/auth');
+const { validate } = require('@middleware/validate');
+const { REACTION_TYPES } = require('@models/Reaction');
+
+// Mounted under /api/posts/:id/reactions, so keep the parent's :id param
+const router = express.Router({ mergeParams: true });
+
+router.use(protect);
+
+// @route   GET /api/posts/:id/reactions
+router.get('/', reactionController.getReactions);
+router.post(
+  '/',
+  [
+    check('type', `Reaction must be one of: ${REACTION_TYPES.join(', ')}`).isIn(REACTION_TYPES),
+    validate
+  ],
+  reactionController.toggleReaction
+);
+router.delete('/', reactionController.removeReaction);
+
+module.exports = router;
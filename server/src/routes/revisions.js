@@ -0,0 +1,23 @@
+const express = require('express');
+const { check } = require('express-validator');
+const revisionController = require('@controllers/revisionController');
+const { protect } = require('@middleware/auth');
+const { validate } = require('@middleware/validate');
+
+// Mounted under /api/posts/:id/revisions, so keep the parent's :id param
+const router = express.Router({ mergeParams: true });
+
+// Revision history is only visible to the post's author and admins
+router.use(protect);
+
+const revisionNumber = [
+  check('rev', 'Revision must be a positive number').isInt({ min: 1 }),
+  validate
+];
+
+// @route   GET /api/posts/:id/revisions
+router.get('/', revisionController.getRevisions);
+router.get('/:rev', revisionNumber, revisionController.getRevision);
+router.post('/:rev/restore', revisionNumber, revisionController.restoreRevision);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const { check } = require('express-validator');
+const tagController = require('@controllers/tagController');
+const { protect, can, optionalAuth } = require('@middleware/auth');
+const { validate } = require('@middleware/validate');
+
+const router = express.Router();
+
+// @route   GET /api/tags
+router.get('/', tagController.getTags);
+router.get('/:tag/posts', optionalAuth, tagController.getTagPosts);
+
+// Renaming and merging rewrite every post, so they need the tag permission
+router.use(protect);
+router.use(can('tag:manage'));
+
+router.post(
+  '/merge',
+  [
+    check('sources', 'Please provide the tags to merge').isArray({ min: 1 }),
+    check('sources.*', 'Tags must be text').isString(),
+    check('target', 'Please provide a tag to merge into').isString().notEmpty(),
+    validate
+  ],
+  tagController.mergeTags
+);
+
+router.put(
+  '/:tag',
+  [
+    check('name', 'Please provide a new tag name').isString().notEmpty(),
+    validate
+  ],
+  tagController.renameTag
+);
+
+module.exports = router;
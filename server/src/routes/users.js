@@ -0,0 +1,14 @@
+const express = require('express');
+const userController = require('@controllers/userController');
+const followController = require('@controllers/followController');
+const { protect, optionalAuth } = require('@middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/users/:id
+router.get('/:id', optionalAuth, userController.getUserProfile);
+
+router.post('/:id/follow', protect, followController.followUser);
+router.delete('/:id/follow', protect, followController.unfollowUser);
+
+module.exports = router;
@@ -74,10 +74,13 @@ class ApiError extends Error {
   /**
    * Create a validation error (422)
    * @param {string} message - Error message
+   * @param {Object<string, string>} [errors] - Messages keyed by the invalid field
    * @returns {ApiError} New ApiError instance with 422 status code
    */
-  static validationError(message) {
-    return new ApiError(422, message);
+  static validationError(message, errors) {
+    const error = new ApiError(422, message);
+    if (errors) error.errors = errors;
+    return error;
   }
   
   /**
@@ -1,5 +1,21 @@
 const ApiError = require('./ApiError');
 
+/**
+ * Flattens field-level errors into a { field: message } map
+ * @param {Error} err - The error object
+ * @returns {Object<string, string>|undefined} - Messages keyed by field, if any
+ */
+const getFieldErrors = (err) => {
+  if (!err.errors || typeof err.errors !== 'object') return undefined;
+
+  return Object.fromEntries(
+    Object.entries(err.errors).map(([field, value]) => [
+      field,
+      typeof value === 'string' ? value : value.message
+    ])
+  );
+};
+
 /**
  * Handles errors in development environment with detailed stack traces
  * @param {Error} err - The error object
@@ -13,7 +29,9 @@ const sendErrorDev = (err, res) => {
       message: err.message,
       stack: err.stack,
       error: err
-    }
+    },
+    message: err.message,
+    errors: getFieldErrors(err)
   });
 };
 
@@ -27,7 +45,8 @@ const sendErrorProd = (err, res) => {
   if (err.isOperational) {
     res.status(err.statusCode).json({
       success: false,
-      message: err.message
+      message: err.message,
+      errors: getFieldErrors(err)
     });
   } else {
     // Programming or other unknown error: don't leak error details
@@ -69,7 +88,9 @@ const handleDuplicateFieldsDB = (err) => {
 const handleValidationErrorDB = (err) => {
   const errors = Object.values(err.errors).map((el) => el.message);
   const message = `Invalid input data. ${errors.join('. ')}`;
-  return new ApiError(400, message);
+  const error = new ApiError(400, message);
+  error.errors = getFieldErrors(err);
+  return error;
 };
 
 /**
@@ -99,7 +120,7 @@ const globalErrorHandler = (err, req, res, next) => {
 
   if (process.env.NODE_ENV === 'development') {
     sendErrorDev(err, res);
-  } else if (process.env.NODE_ENV === 'production') {
+  } else {
     let error = { ...err };
     error.message = err.message;
 
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('@config/envConfig');
+
+// Public URL prefix uploads are served under
+const UPLOAD_URL_PREFIX = '/uploads';
+
+const uploadDir = () => path.resolve(config.upload.path);
+
+/**
+ * Generate a unique base name for a stored upload, so user-supplied names
+ * never reach the filesystem
+ * @param {string} prefix - Name prefix, e.g. "post_<id>"
+ * @returns {string} Base name without extension
+ */
+const uploadName = (prefix) =>
+  `${prefix}_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
+
+/**
+ * Resolve where a stored upload lives on disk and the URL it is served at,
+ * creating the upload directory if needed
+ * @param {string} filename - File name including extension
+ * @returns {Promise<{ filePath: string, url: string }>}
+ */
+const uploadTarget = async (filename) => {
+  await fs.mkdir(uploadDir(), { recursive: true });
+
+  return {
+    filePath: path.join(uploadDir(), filename),
+    url: `${UPLOAD_URL_PREFIX}/${filename}`
+  };
+};
+
+module.exports = {
+  UPLOAD_URL_PREFIX,
+  uploadDir,
+  uploadName,
+  uploadTarget
+};
@@ -0,0 +1,99 @@
+// Rough English stemming so highlights line up with MongoDB's stemmed matches
+const stem = (term) => {
+  const stemmed = term.replace(/(ing|ed|es|s)$/, '');
+  return stemmed.length >= 3 ? stemmed : term;
+};
+
+/**
+ * Pull the plain word terms out of a MongoDB $text search string,
+ * dropping negated terms and any punctuation
+ * @param {string} query - Raw search query
+ * @returns {string[]} Unique lowercase, stemmed terms
+ */
+const getSearchTerms = (query = '') => {
+  const terms = query
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .flatMap(term => term.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .map(stem);
+
+  return [...new Set(terms)];
+};
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text = '') =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Match any term at the start of a word, so "run" also marks "running"
+const buildTermPattern = (terms) =>
+  new RegExp(`(?<![\\p{L}\\p{N}])(${terms.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+
+/**
+ * Wrap every term match in <mark> tags; the rest of the text is HTML-escaped
+ * @param {string} text - Text to highlight
+ * @param {string[]} terms - Terms from getSearchTerms
+ * @returns {string} Highlighted, HTML-safe text
+ */
+const highlight = (text = '', terms = []) => {
+  if (!terms.length) return escapeHtml(text);
+
+  const pattern = buildTermPattern(terms);
+  let result = '';
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    result += escapeHtml(text.slice(lastIndex, match.index));
+    result += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+
+  return result + escapeHtml(text.slice(lastIndex));
+};
+
+/**
+ * Cut a window of text around the first term match and highlight it
+ * @param {string} text - Full text to take the snippet from
+ * @param {string[]} terms - Terms from getSearchTerms
+ * @param {number} [radius=100] - Characters to keep on each side of the match
+ * @returns {string} Highlighted, HTML-safe snippet
+ */
+const buildSnippet = (text = '', terms = [], radius = 100) => {
+  const plain = text.replace(/\s+/g, ' ').trim();
+  const match = terms.length ? buildTermPattern(terms).exec(plain) : null;
+  const center = match ? match.index : 0;
+
+  let start = Math.max(0, center - radius);
+  let end = Math.min(plain.length, center + radius);
+
+  // Don't cut words in half at either edge
+  if (start > 0) {
+    const space = plain.indexOf(' ', start);
+    if (space !== -1 && space < center) start = space + 1;
+  }
+  if (end < plain.length) {
+    const space = plain.lastIndexOf(' ', end);
+    if (space > center) end = space;
+  }
+
+  return (
+    (start > 0 ? '… ' : '') +
+    highlight(plain.slice(start, end), terms) +
+    (end < plain.length ? ' …' : '')
+  );
+};
+
+module.exports = {
+  getSearchTerms,
+  escapeHtml,
+  highlight,
+  buildSnippet
+};
@@ -0,0 +1,34 @@
+// Leading bytes that identify each accepted image format
+const SIGNATURES = [
+  { ext: 'jpg', mimetype: 'image/jpeg', offset: 0, bytes: [0xff, 0xd8, 0xff] },
+  { ext: 'png', mimetype: 'image/png', offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { ext: 'gif', mimetype: 'image/gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+  // WebP is a RIFF container: "RIFF" <size> "WEBP"
+  { ext: 'webp', mimetype: 'image/webp', offset: 8, bytes: [0x57, 0x45, 0x42, 0x50], riff: true }
+];
+
+const RIFF = [0x52, 0x49, 0x46, 0x46];
+
+const matchesAt = (buffer, offset, bytes) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+/**
+ * Identify an image from its content rather than its name or declared type
+ * @param {Buffer} buffer - File contents
+ * @returns {{ ext: string, mimetype: string }|null} Detected format, or null when it isn't a supported image
+ */
+const detectImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer)) return null;
+
+  const match = SIGNATURES.find(signature =>
+    (!signature.riff || matchesAt(buffer, 0, RIFF)) &&
+    matchesAt(buffer, signature.offset, signature.bytes)
+  );
+
+  return match ? { ext: match.ext, mimetype: match.mimetype } : null;
+};
+
+module.exports = {
+  detectImageType
+};
@@ -0,0 +1,113 @@
+const sharp = require('sharp');
+const ApiError = require('@utils/ApiError');
+const { uploadName, uploadTarget } = require('@utils/fileStorage');
+
+// Target sizes per kind of image; avatars are cropped square
+const PRESETS = {
+  featured: {
+    thumbnail: { width: 320 },
+    card: { width: 640 },
+    full: { width: 1600 }
+  },
+  avatar: {
+    thumbnail: { width: 64, height: 64 },
+    card: { width: 160, height: 160 },
+    full: { width: 400, height: 400 }
+  }
+};
+
+const PLACEHOLDER_WIDTH = 16;
+
+// Decoded pixels grow with area, not file size, so a tiny but huge-dimension
+// upload is refused before sharp allocates memory for it (~40 MP, 8000x5000)
+const MAX_INPUT_PIXELS = 40_000_000;
+
+// Output encoders for each format we may keep alongside WebP
+const ENCODERS = {
+  jpg: image => image.jpeg({ quality: 82, mozjpeg: true }),
+  png: image => image.png({ compressionLevel: 9 }),
+  gif: image => image.gif(),
+  webp: image => image.webp({ quality: 80 })
+};
+
+/**
+ * Generate resized WebP and original-format variants of an uploaded image.
+ * EXIF orientation is applied to the pixels and all metadata (EXIF, GPS, ICC
+ * comments) is dropped, which sharp does unless asked to keep it
+ * @param {Buffer} data - Uploaded file contents
+ * @param {Object} options
+ * @param {string} options.prefix - File name prefix, e.g. "post_<id>"
+ * @param {string} options.ext - Detected format: jpg, png, gif or webp
+ * @param {string} [options.preset='featured'] - Size preset from PRESETS
+ * @returns {Promise<{ url: string, details: Object }>} URL of the full-size
+ *   original-format variant and the details to store on the document
+ * @throws {ApiError} 400 when the image can't be decoded or exceeds MAX_INPUT_PIXELS
+ */
+const processImage = async (data, { prefix, ext, preset = 'featured' }) => {
+  const sizes = PRESETS[preset];
+  const base = uploadName(prefix);
+  const formats = ext === 'webp' ? ['webp'] : [ext, 'webp'];
+
+  // Only the header is read here; EXIF orientations 5-8 swap width and height
+  let metadata;
+  try {
+    metadata = await sharp(data).metadata();
+  } catch (err) {
+    throw ApiError.badRequest('The uploaded image could not be read');
+  }
+
+  if (metadata.width * metadata.height > MAX_INPUT_PIXELS) {
+    throw ApiError.badRequest('The uploaded image has too many pixels; please use a smaller one');
+  }
+
+  const input = sharp(data, { failOn: 'error', limitInputPixels: MAX_INPUT_PIXELS });
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  // Each variant is resized straight from the upload, auto-oriented from EXIF
+  // before the metadata goes away
+  const oriented = () => input.clone().rotate();
+
+  // The placeholder is the first full decode, so corrupt pixel data surfaces here
+  let placeholder;
+  try {
+    placeholder = await oriented()
+      .resize({ width: PLACEHOLDER_WIDTH })
+      .webp({ quality: 40 })
+      .toBuffer();
+  } catch (err) {
+    throw ApiError.badRequest('The uploaded image could not be read');
+  }
+
+  const variants = [];
+  for (const [name, size] of Object.entries(sizes)) {
+    const resize = size.height
+      ? { width: size.width, height: size.height, fit: 'cover', withoutEnlargement: true }
+      : { width: size.width, withoutEnlargement: true };
+
+    for (const format of formats) {
+      const { filePath, url } = await uploadTarget(`${base}-${name}.${format}`);
+      const output = await ENCODERS[format](oriented().resize(resize)).toFile(filePath);
+
+      variants.push({ name, format, width: output.width, height: output.height, url });
+    }
+  }
+
+  const full = variants.find(variant => variant.name === 'full' && variant.format === ext);
+
+  return {
+    url: full.url,
+    details: {
+      width,
+      height,
+      placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+      variants
+    }
+  };
+};
+
+module.exports = {
+  PRESETS,
+  processImage
+};
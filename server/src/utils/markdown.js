@@ -0,0 +1,180 @@
+const { Marked } = require('marked');
+const hljs = require('highlight.js');
+const sanitizeHtml = require('sanitize-html');
+const { slugify } = require('./slugify');
+const { escapeHtml } = require('./highlight');
+
+const CONTENT_FORMATS = ['markdown', 'plain'];
+
+const EXCERPT_LENGTH = 200;
+
+// Average adult silent reading speed, in words per minute
+const WORDS_PER_MINUTE = 200;
+
+// Everything Markdown can produce, minus raw HTML that could run script or restyle the page
+const SANITIZE_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, 'img', 'del', 'input'],
+  allowedAttributes: {
+    a: ['href', 'name', 'title', 'rel', 'target'],
+    img: ['src', 'alt', 'title', 'width', 'height', 'loading'],
+    h1: ['id'],
+    h2: ['id'],
+    h3: ['id'],
+    h4: ['id'],
+    h5: ['id'],
+    h6: ['id'],
+    code: ['class'],
+    span: ['class'],
+    th: ['align'],
+    td: ['align'],
+    ol: ['start'],
+    // GFM task list checkboxes
+    input: ['type', 'checked', 'disabled']
+  },
+  allowedClasses: {
+    code: ['hljs', 'language-*'],
+    span: ['hljs-*']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  transformTags: {
+    // Links leave the site without handing it the referrer or window.opener
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: /^https?:/i.test(attribs.href || '')
+        ? { ...attribs, rel: 'nofollow noopener noreferrer', target: '_blank' }
+        : attribs
+    })
+  },
+  exclusiveFilter: (frame) => frame.tag === 'input' && frame.attribs.type !== 'checkbox'
+};
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+/**
+ * Reduce HTML to its text, keeping a space where block elements met
+ * @param {string} html - HTML to flatten
+ * @returns {string} Plain text with whitespace collapsed
+ */
+const htmlToText = (html = '') =>
+  sanitizeHtml(html.replace(/<\/?(p|h[1-6]|li|pre|blockquote|br|tr|td|th|div)\b[^>]*>/gi, ' '), {
+    allowedTags: [],
+    allowedAttributes: {}
+  })
+    .replace(/&(amp|lt|gt|quot|#39);/g, (entity) => ENTITIES[entity])
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Highlight fenced code when the language is known, otherwise just escape it
+const highlightCode = (code, lang) => {
+  const language = (lang || '').split(/\s/)[0].toLowerCase();
+
+  if (language && hljs.getLanguage(language)) {
+    const { value } = hljs.highlight(code, { language, ignoreIllegals: true });
+    return `<pre><code class="hljs language-${language}">${value}</code></pre>\n`;
+  }
+
+  return `<pre><code class="hljs">${escapeHtml(code)}</code></pre>\n`;
+};
+
+/**
+ * Render Markdown to sanitized HTML. Headings get anchor ids, which are also
+ * returned as a table of contents, and fenced code is syntax highlighted
+ * @param {string} source - Markdown text
+ * @returns {{ html: string, toc: Array<{ level: number, text: string, id: string }>, text: string }}
+ */
+const renderMarkdown = (source = '') => {
+  const toc = [];
+  const usedIds = new Map();
+
+  const marked = new Marked({
+    gfm: true,
+    renderer: {
+      heading({ tokens, depth }) {
+        const inner = this.parser.parseInline(tokens);
+        const text = htmlToText(inner);
+        const base = slugify(text) || 'section';
+
+        // Repeated headings get -2, -3, ... so every anchor is unique
+        const count = usedIds.get(base) || 0;
+        usedIds.set(base, count + 1);
+        const id = count ? `${base}-${count + 1}` : base;
+
+        toc.push({ level: depth, text, id });
+        return `<h${depth} id="${id}">${inner}</h${depth}>\n`;
+      },
+      code({ text, lang }) {
+        return highlightCode(text, lang);
+      }
+    }
+  });
+
+  const html = sanitizeHtml(marked.parse(source), SANITIZE_OPTIONS);
+
+  return { html, toc, text: htmlToText(html) };
+};
+
+/**
+ * Render plain-text content the way it has always been shown: escaped, with
+ * blank lines starting new paragraphs and single newlines kept as line breaks
+ * @param {string} source - Plain text
+ * @returns {{ html: string, toc: Array, text: string }}
+ */
+const renderPlain = (source = '') => {
+  const html = source
+    .split(/\n\s*\n/)
+    .filter(paragraph => paragraph.trim())
+    .map(paragraph => `<p>${escapeHtml(paragraph.trim()).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+
+  return { html, toc: [], text: source.replace(/\s+/g, ' ').trim() };
+};
+
+/**
+ * Render post content in its stored format
+ * @param {string} source - Post content
+ * @param {string} [format='markdown'] - One of CONTENT_FORMATS
+ * @returns {{ html: string, toc: Array<{ level: number, text: string, id: string }>, text: string }}
+ */
+const renderContent = (source = '', format = 'markdown') =>
+  format === 'plain' ? renderPlain(source) : renderMarkdown(source);
+
+/**
+ * Cut plain text down to an excerpt, ending on a whole word where possible
+ * @param {string} text - Plain text, e.g. from renderContent
+ * @param {number} [length=200] - Maximum length before the ellipsis
+ * @returns {string} Excerpt
+ */
+const buildExcerpt = (text = '', length = EXCERPT_LENGTH) => {
+  if (text.length <= length) return text;
+
+  // Back up to the last word boundary; with none in reach, cut mid-word so
+  // the excerpt never runs past the length
+  let end = text.lastIndexOf(' ', length);
+  if (end <= 0) end = length;
+
+  return `${text.slice(0, end).replace(/[\s.,;:!?-]+$/, '')}...`;
+};
+
+/**
+ * Count the words in rendered text and estimate how long it takes to read
+ * @param {string} text - Plain text, e.g. from renderContent
+ * @returns {{ wordCount: number, readingTime: number }} Reading time in whole minutes
+ */
+const measureText = (text = '') => {
+  const wordCount = text.trim() ? text.trim().split(/\s+/).length : 0;
+
+  return {
+    wordCount,
+    readingTime: Math.ceil(wordCount / WORDS_PER_MINUTE)
+  };
+};
+
+module.exports = {
+  CONTENT_FORMATS,
+  htmlToText,
+  renderContent,
+  buildExcerpt,
+  measureText
+};
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const ApiError = require('./ApiError');
+
+/**
+ * Build offset pagination metadata for a list response
+ * @param {Object} options
+ * @param {number} options.page - Current page (1-based)
+ * @param {number} options.limit - Page size
+ * @param {number} options.total - Number of documents matching the filter
+ * @returns {{ page: number, limit: number, total: number, totalPages: number, next?: Object, prev?: Object }}
+ */
+const buildPagination = ({ page, limit, total }) => {
+  const totalPages = Math.ceil(total / limit);
+  const pagination = { page, limit, total, totalPages };
+
+  if (page < totalPages) {
+    pagination.next = { page: page + 1, limit };
+  }
+
+  if (page > 1) {
+    pagination.prev = { page: page - 1, limit };
+  }
+
+  return pagination;
+};
+
+/**
+ * Encode the position of a document in a -publishedAt, -_id listing
+ * @param {Object} doc - Last document of the current page
+ * @returns {string} Opaque, URL-safe cursor
+ */
+const encodeCursor = (doc) =>
+  Buffer.from(
+    JSON.stringify({ publishedAt: doc.publishedAt, id: doc._id.toString() })
+  ).toString('base64url');
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor from the query string
+ * @returns {{ publishedAt: Date, id: mongoose.Types.ObjectId }}
+ * @throws {ApiError} 400 when the cursor was tampered with or is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { publishedAt, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const date = new Date(publishedAt);
+
+    if (!publishedAt || Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) {
+      throw new Error('Malformed cursor');
+    }
+
+    return { publishedAt: date, id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    throw ApiError.badRequest('Invalid pagination cursor');
+  }
+};
+
+/**
+ * Filter and sort for one page of a cursor listing ordered newest first.
+ * Ties on publishedAt are broken by _id so no document is skipped or repeated.
+ * @param {string} [cursor] - Cursor from the previous page, empty for the first page
+ * @returns {{ filter: Object, sort: Object }}
+ */
+const cursorQuery = (cursor) => {
+  const sort = { publishedAt: -1, _id: -1 };
+
+  if (!cursor) {
+    return { filter: { publishedAt: { $ne: null } }, sort };
+  }
+
+  const { publishedAt, id } = decodeCursor(cursor);
+
+  return {
+    filter: {
+      $or: [
+        { publishedAt: { $lt: publishedAt } },
+        { publishedAt, _id: { $lt: id } }
+      ]
+    },
+    sort
+  };
+};
+
+/**
+ * Build cursor pagination metadata. Expects the query to have fetched limit + 1
+ * documents so we know whether another page exists; the extra one is dropped.
+ * @param {Array} docs - Documents fetched with limit + 1
+ * @param {number} limit - Page size
+ * @returns {{ docs: Array, pagination: { limit: number, hasMore: boolean, nextCursor: string|null } }}
+ */
+const buildCursorPage = (docs, limit) => {
+  const hasMore = docs.length > limit;
+  const page = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    docs: page,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+    }
+  };
+};
+
+module.exports = {
+  buildPagination,
+  cursorQuery,
+  buildCursorPage
+};
@@ -0,0 +1,52 @@
+const Post = require('@models/Post');
+const logger = require('@utils/logger');
+const config = require('@config/envConfig');
+
+let timer = null;
+
+/**
+ * Promote every scheduled post whose publishedAt has passed
+ * @returns {Promise<number>} Number of posts published
+ */
+const publishDuePosts = async () => {
+  const { modifiedCount } = await Post.updateMany(
+    { status: 'scheduled', publishedAt: { $lte: new Date() } },
+    { $set: { status: 'published' } }
+  );
+
+  if (modifiedCount > 0) {
+    logger.info(`Published ${modifiedCount} scheduled post(s)`);
+  }
+
+  return modifiedCount;
+};
+
+/**
+ * Start checking for due scheduled posts on an interval. Runs once immediately
+ * so posts that came due while the server was down go out on boot.
+ */
+const startPublishScheduler = () => {
+  if (timer) return;
+
+  const run = () =>
+    publishDuePosts().catch(err => {
+      logger.error(`Scheduled publishing failed: ${err.message}`);
+    });
+
+  run();
+  timer = setInterval(run, config.scheduler.publishIntervalMs);
+
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+};
+
+const stopPublishScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  publishDuePosts,
+  startPublishScheduler,
+  stopPublishScheduler
+};
@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const ApiError = require('./ApiError');
+
+// Query params that control the listing rather than filter it
+const RESERVED_PARAMS = ['select', 'sort', 'page', 'limit', 'cursor'];
+
+// Supported comparison operators, e.g. ?viewCount[gte]=10 or ?tags[in]=js,node
+const OPERATORS = {
+  eq: '$eq',
+  ne: '$ne',
+  gt: '$gt',
+  gte: '$gte',
+  lt: '$lt',
+  lte: '$lte',
+  in: '$in',
+  nin: '$nin'
+};
+
+const LIST_OPERATORS = ['in', 'nin'];
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+const DEFAULT_LIMIT = 10;
+const DEFAULT_MAX_LIMIT = 100;
+
+/**
+ * Coerce a raw query string value into the type declared for the field
+ * @param {string} field - Field name, used in error messages
+ * @param {string} value - Raw value from the query string
+ * @param {Object} definition - Normalized field definition
+ * @returns {*} Typed value
+ * @throws {ApiError} 400 when the value doesn't fit the type
+ */
+const coerceValue = (field, value, definition) => {
+  const raw = `${value}`.trim();
+
+  switch (definition.type) {
+    case 'number': {
+      const number = Number(raw);
+      if (raw === '' || Number.isNaN(number)) {
+        throw ApiError.badRequest(`Invalid number for ${field}: ${raw}`);
+      }
+      return number;
+    }
+    case 'date': {
+      const date = new Date(raw);
+      if (raw === '' || Number.isNaN(date.getTime())) {
+        throw ApiError.badRequest(`Invalid date for ${field}: ${raw}`);
+      }
+      return date;
+    }
+    case 'boolean': {
+      if (raw !== 'true' && raw !== 'false') {
+        throw ApiError.badRequest(`Invalid boolean for ${field}: ${raw}`);
+      }
+      return raw === 'true';
+    }
+    case 'objectId': {
+      if (!mongoose.isValidObjectId(raw)) {
+        throw ApiError.badRequest(`Invalid id for ${field}: ${raw}`);
+      }
+      return new mongoose.Types.ObjectId(raw);
+    }
+    default: {
+      if (definition.enum && !definition.enum.includes(raw)) {
+        throw ApiError.badRequest(
+          `Invalid value for ${field}: ${raw}. Expected one of ${definition.enum.join(', ')}`
+        );
+      }
+      return raw;
+    }
+  }
+};
+
+// Accept both `field: 'date'` and `field: { type: 'date', ... }` in specs
+const normalizeDefinition = (definition) =>
+  typeof definition === 'string' ? { type: definition } : definition;
+
+/**
+ * Split the request query into [field, operator, value] conditions. Handles both
+ * flat keys (`viewCount[gte]=10`, Express' default parser) and nested objects
+ * (`{ viewCount: { gte: '10' } }`, the extended parser)
+ * @param {Object} query - req.query without reserved params
+ * @returns {Array<[string, string, *]>} Conditions
+ */
+const toConditions = (query) =>
+  Object.entries(query).flatMap(([key, value]) => {
+    const match = key.match(/^([\w.]+)\[(\w+)\]$/);
+
+    if (match) {
+      return [[match[1], match[2], value]];
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return Object.entries(value).map(([operator, operand]) => [key, operator, operand]);
+    }
+
+    return [[key, 'eq', value]];
+  });
+
+/**
+ * Build the Mongo filter from whitelisted, typed conditions
+ * @param {Object} query - req.query without reserved params
+ * @param {Object} filterable - Field definitions from the spec
+ * @returns {Object} Mongo filter
+ * @throws {ApiError} 400 for unknown fields, operators or badly typed values
+ */
+const buildFilter = (query, filterable) => {
+  const filter = {};
+
+  toConditions(query).forEach(([field, operator, value]) => {
+    if (!Object.prototype.hasOwnProperty.call(filterable, field)) {
+      throw ApiError.badRequest(`Filtering on '${field}' is not allowed`);
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(OPERATORS, operator)) {
+      throw ApiError.badRequest(`Unknown operator '${operator}' for ${field}`);
+    }
+
+    const definition = normalizeDefinition(filterable[field]);
+
+    if (RANGE_OPERATORS.includes(operator) && !['number', 'date'].includes(definition.type)) {
+      throw ApiError.badRequest(`Operator '${operator}' only applies to number and date fields`);
+    }
+
+    const values = Array.isArray(value) ? value : [value];
+    const typed = LIST_OPERATORS.includes(operator)
+      ? values.flatMap(v => `${v}`.split(',')).map(v => coerceValue(field, v, definition))
+      : coerceValue(field, values[values.length - 1], definition);
+
+    filter[field] = { ...filter[field], [OPERATORS[operator]]: typed };
+  });
+
+  return filter;
+};
+
+/**
+ * Turn a comma-separated list of fields into a validated, space-separated string
+ * @param {string} param - Name of the query param, used in error messages
+ * @param {string} value - Raw value, e.g. "-createdAt,title"
+ * @param {string[]} allowed - Whitelisted fields
+ * @param {boolean} [allowDescending=false] - Whether fields may be prefixed with -
+ * @returns {string} Mongoose-ready field list
+ * @throws {ApiError} 400 when a field isn't whitelisted
+ */
+const buildFieldList = (param, value, allowed, allowDescending = false) =>
+  `${value}`
+    .split(',')
+    .map(field => field.trim())
+    .filter(Boolean)
+    .map(field => {
+      const name = allowDescending ? field.replace(/^-/, '') : field;
+      if (!allowed.includes(name)) {
+        throw ApiError.badRequest(`Cannot ${param} by '${name}'`);
+      }
+      return field;
+    })
+    .join(' ');
+
+/**
+ * Parse a positive integer query param
+ * @param {string} param - Name of the query param, used in error messages
+ * @param {string} value - Raw value
+ * @param {number} fallback - Value used when the param is missing
+ * @returns {number} Parsed integer
+ * @throws {ApiError} 400 when the value isn't a positive integer
+ */
+const parsePositiveInt = (param, value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw ApiError.badRequest(`${param} must be a positive integer`);
+  }
+  return number;
+};
+
+/**
+ * Build a safe list query from req.query using a per-model whitelist
+ * @param {Object} query - req.query
+ * @param {Object} spec - What the endpoint allows
+ * @param {Object<string, string|Object>} spec.filterable - Field types: string, number, date, boolean or objectId
+ * @param {string[]} spec.sortable - Fields that may be used in ?sort=
+ * @param {string[]} spec.selectable - Fields that may be used in ?select=
+ * @param {string} spec.defaultSort - Sort used when ?sort= is missing
+ * @param {number} [spec.maxLimit=100] - Upper bound for ?limit=
+ * @returns {{ filter: Object, sort: string, select: string|undefined, page: number, limit: number, skip: number }}
+ * @throws {ApiError} 400 for anything outside the whitelist
+ */
+const buildListQuery = (query, spec) => {
+  const rest = { ...query };
+  RESERVED_PARAMS.forEach(param => delete rest[param]);
+
+  const filter = buildFilter(rest, spec.filterable);
+
+  const sort = query.sort
+    ? buildFieldList('sort', query.sort, spec.sortable, true)
+    : spec.defaultSort;
+
+  const select = query.select
+    ? buildFieldList('select', query.select, spec.selectable)
+    : undefined;
+
+  const page = parsePositiveInt('page', query.page, 1);
+  const limit = Math.min(
+    parsePositiveInt('limit', query.limit, DEFAULT_LIMIT),
+    spec.maxLimit || DEFAULT_MAX_LIMIT
+  );
+
+  return {
+    filter,
+    sort,
+    select,
+    page,
+    limit,
+    skip: (page - 1) * limit
+  };
+};
+
+module.exports = {
+  buildListQuery
+};
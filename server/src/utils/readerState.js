@@ -0,0 +1,34 @@
+const Reaction = require('@models/Reaction');
+const Bookmark = require('@models/Bookmark');
+
+/**
+ * Add the signed-in reader's own state to each post: `myReaction` and
+ * `isBookmarked`. Anonymous readers get null and false
+ * @param {Object[]} posts - Post documents or plain objects
+ * @param {Object} [user] - Signed-in user, if any
+ * @returns {Promise<Object[]>} Plain post objects with the reader state set
+ */
+const withReaderState = async (posts, user) => {
+  const plain = posts.map(post => (typeof post.toJSON === 'function' ? post.toJSON() : post));
+  const ids = plain.map(post => post._id);
+
+  const [reactions, bookmarks] = user && ids.length
+    ? await Promise.all([
+      Reaction.find({ user: user._id, post: { $in: ids } }).select('post type').lean(),
+      Bookmark.find({ user: user._id, post: { $in: ids } }).select('post').lean()
+    ])
+    : [[], []];
+
+  const reactionByPost = new Map(reactions.map(reaction => [reaction.post.toString(), reaction.type]));
+  const bookmarked = new Set(bookmarks.map(bookmark => bookmark.post.toString()));
+
+  return plain.map(post => ({
+    ...post,
+    myReaction: reactionByPost.get(post._id.toString()) || null,
+    isBookmarked: bookmarked.has(post._id.toString())
+  }));
+};
+
+module.exports = {
+  withReaderState
+};
@@ -0,0 +1,69 @@
+// Concurrent saves may both find the same slug free; the loser tries again
+const SLUG_ATTEMPTS = 5;
+
+/**
+ * Turn arbitrary text into a URL-safe slug
+ * @param {string} text - Text to convert
+ * @returns {string} Lowercase, hyphen-separated slug
+ */
+const slugify = (text = '') =>
+  text
+    .toString()
+    .toLowerCase()
+    .trim()
+    .replace(/[^\w\s-]/g, '') // Remove special characters
+    .replace(/[\s_]+/g, '-')   // Replace spaces and underscores with -
+    .replace(/--+/g, '-')      // Replace multiple - with single -
+    .replace(/^-+|-+$/g, '');  // Trim - from start and end
+
+/**
+ * Find a slug that no other document of the model is using yet,
+ * appending -2, -3, ... to the base slug until one is free
+ * @param {import('mongoose').Model} Model - Model whose slugs must stay unique
+ * @param {string} text - Text to build the slug from
+ * @param {Object} [options]
+ * @param {*} [options.excludeId] - Id of the document being saved, so it doesn't collide with itself
+ * @param {string} [options.fallback='item'] - Slug to use when the text has no usable characters
+ * @returns {Promise<string>} Unique slug
+ */
+const uniqueSlug = async (Model, text, { excludeId, fallback = 'item' } = {}) => {
+  const base = slugify(text) || fallback;
+  const filter = excludeId ? { _id: { $ne: excludeId } } : {};
+
+  let slug = base;
+  let suffix = 2;
+
+  while (await Model.exists({ ...filter, slug })) {
+    slug = `${base}-${suffix}`;
+    suffix += 1;
+  }
+
+  return slug;
+};
+
+// Whether a write failed because another document took the slug first
+const isSlugConflict = (err) =>
+  err?.code === 11000 && Object.keys(err.keyPattern || err.keyValue || {}).includes('slug');
+
+/**
+ * Run a write whose hooks pick a slug with uniqueSlug. The check and the write
+ * are separate steps, so when the unique index rejects the slug because a
+ * concurrent save claimed it, the write runs again and picks the next one
+ * @param {Function} write - Performs the write; called again on a slug conflict
+ * @returns {Promise<*>} Whatever the write resolves with
+ */
+const withUniqueSlug = async (write) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await write();
+    } catch (err) {
+      if (!isSlugConflict(err) || attempt >= SLUG_ATTEMPTS) throw err;
+    }
+  }
+};
+
+module.exports = {
+  slugify,
+  uniqueSlug,
+  withUniqueSlug
+};
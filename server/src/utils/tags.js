@@ -0,0 +1,35 @@
+// Longest tag a post may carry, after normalizing
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Normalize a tag so spelling variants collapse onto one value: leading #
+ * removed, lowercased, and runs of whitespace and hyphens turned into single
+ * hyphens, with none left at either end
+ * @param {string} tag - Raw tag
+ * @returns {string} Normalized tag, empty when nothing is left
+ */
+const normalizeTag = (tag) =>
+  `${tag ?? ''}`
+    .trim()
+    .replace(/^#+/, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * Normalize a list of tags, dropping empties and duplicates while keeping order
+ * @param {string[]} tags - Raw tags
+ * @returns {string[]} Normalized tags
+ */
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) return tags;
+
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+};
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  normalizeTags
+};
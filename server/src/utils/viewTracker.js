@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const Post = require('@models/Post');
+const PostView = require('@models/PostView');
+const PostStat = require('@models/PostStat');
+const config = require('@config/envConfig');
+
+/**
+ * Identify a visitor without storing who they are: signed-in readers by user
+ * id, everyone else by IP and user agent, hashed with a server secret
+ * @param {Object} req - Express request
+ * @returns {string} Visitor fingerprint
+ */
+const visitorFingerprint = (req) => {
+  const identity = req.user
+    ? `user:${req.user.id}`
+    : `anon:${req.ip}|${req.get('user-agent') || ''}`;
+
+  return crypto
+    .createHmac('sha256', config.jwt.accessToken.secret)
+    .update(identity)
+    .digest('hex');
+};
+
+/**
+ * Reduce a referring URL to its host, e.g. "https://www.google.com/search?q=x" to "google.com"
+ * @param {string} [referrer] - Referring URL as sent by the client
+ * @returns {string} Host, or 'direct' when missing or unparseable
+ */
+const referrerHost = (referrer) => {
+  try {
+    const { hostname } = new URL(referrer);
+    return hostname.replace(/^www\./, '').toLowerCase().slice(0, 100) || 'direct';
+  } catch {
+    return 'direct';
+  }
+};
+
+// UTC midnight of the given time, the key for daily stats
+const startOfDay = (time) => {
+  const date = new Date(time);
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+};
+
+/**
+ * Find the dedupe window a view falls into. Windows are aligned to the epoch,
+ * so every request in the same window gets the same start
+ * @param {number} now - Time of the view in ms
+ * @param {number} windowMs - Window length in ms
+ * @returns {{ start: Date, end: Date }}
+ */
+const viewWindow = (now, windowMs) => {
+  const start = now - (now % windowMs);
+  return { start: new Date(start), end: new Date(start + windowMs) };
+};
+
+/**
+ * Count a view of a post unless the same visitor already viewed it in the
+ * current dedupe window. Authors reading their own posts aren't counted.
+ * The dedupe record's unique index decides, so concurrent requests can't
+ * double count, and the counters are bumped with atomic $inc updates
+ * @param {Object} post - Post being viewed
+ * @param {Object} req - Express request; ?ref= carries the page's document.referrer
+ * @returns {Promise<boolean>} Whether the view was counted
+ */
+const trackView = async (post, req) => {
+  const authorId = post.author?._id || post.author;
+  if (req.user && authorId && authorId.toString() === req.user.id) {
+    return false;
+  }
+
+  const now = Date.now();
+  const { start, end } = viewWindow(now, config.views.dedupeWindowMs);
+
+  try {
+    await PostView.create({
+      post: post._id,
+      visitor: visitorFingerprint(req),
+      window: start,
+      expiresAt: end
+    });
+  } catch (err) {
+    // Already viewed in this window
+    if (err.code === 11000) return false;
+    throw err;
+  }
+
+  await Promise.all([
+    Post.updateOne({ _id: post._id }, { $inc: { viewCount: 1 } }),
+    PostStat.updateOne(
+      { post: post._id, date: startOfDay(now), referrer: referrerHost(req.query.ref) },
+      { $inc: { views: 1 } },
+      { upsert: true }
+    )
+  ]);
+
+  return true;
+};
+
+module.exports = {
+  trackView,
+  viewWindow,
+  startOfDay
+};
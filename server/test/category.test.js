@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Category = require('@models/Category');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+describe('Category.ancestorsUnder', () => {
+  const root = { _id: newId(), ancestors: [] };
+  const child = { _id: newId(), ancestors: [root._id] };
+  const grandchild = { _id: newId(), ancestors: [root._id, child._id] };
+
+  it('extends the parent ancestry, root first', () => {
+    const id = newId();
+
+    assert.deepEqual(Category.ancestorsUnder(id, root), [root._id]);
+    assert.deepEqual(Category.ancestorsUnder(id, grandchild), [root._id, child._id, grandchild._id]);
+  });
+
+  it('refuses to nest a category under itself', () => {
+    assert.equal(Category.ancestorsUnder(child._id, child), null);
+  });
+
+  it('refuses to nest a category under one of its descendants', () => {
+    assert.equal(Category.ancestorsUnder(root._id, grandchild), null);
+    assert.equal(Category.ancestorsUnder(child._id, grandchild), null);
+  });
+
+  it('compares ids by value rather than by reference', () => {
+    const copy = new mongoose.Types.ObjectId(child._id.toString());
+
+    assert.equal(Category.ancestorsUnder(copy, grandchild), null);
+  });
+
+  it('lets a category move to a sibling branch', () => {
+    const sibling = { _id: newId(), ancestors: [root._id] };
+
+    assert.deepEqual(Category.ancestorsUnder(child._id, sibling), [root._id, sibling._id]);
+  });
+});
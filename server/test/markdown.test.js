@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildExcerpt } = require('@utils/markdown');
+
+describe('buildExcerpt', () => {
+  it('returns short text untouched', () => {
+    assert.equal(buildExcerpt('A short intro.'), 'A short intro.');
+  });
+
+  it('ends on a whole word and trims trailing punctuation', () => {
+    const text = `${'word '.repeat(39)}last, and more words after the limit`;
+
+    assert.equal(buildExcerpt(text), `${'word '.repeat(39)}last...`);
+  });
+
+  it('hard-cuts text with no space within the length', () => {
+    const excerpt = buildExcerpt('a'.repeat(300));
+
+    assert.equal(excerpt, `${'a'.repeat(200)}...`);
+  });
+
+  it('hard-cuts a long first word even when spaces follow it', () => {
+    const excerpt = buildExcerpt(`${'b'.repeat(600)} tail`, 50);
+
+    assert.equal(excerpt, `${'b'.repeat(50)}...`);
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { buildPagination, cursorQuery, buildCursorPage } = require('@utils/pagination');
+
+const makePost = (publishedAt) => ({ _id: new mongoose.Types.ObjectId(), publishedAt: new Date(publishedAt) });
+
+describe('buildPagination', () => {
+  it('links to the neighbouring pages', () => {
+    assert.deepEqual(buildPagination({ page: 2, limit: 10, total: 25 }), {
+      page: 2,
+      limit: 10,
+      total: 25,
+      totalPages: 3,
+      next: { page: 3, limit: 10 },
+      prev: { page: 1, limit: 10 }
+    });
+  });
+
+  it('has no links for a single page', () => {
+    const pagination = buildPagination({ page: 1, limit: 10, total: 0 });
+
+    assert.equal(pagination.totalPages, 0);
+    assert.equal(pagination.next, undefined);
+    assert.equal(pagination.prev, undefined);
+  });
+});
+
+describe('cursor pagination', () => {
+  it('starts from the newest dated post', () => {
+    assert.deepEqual(cursorQuery(), {
+      filter: { publishedAt: { $ne: null } },
+      sort: { publishedAt: -1, _id: -1 }
+    });
+  });
+
+  it('drops the look-ahead document and reports more pages', () => {
+    const docs = [makePost('2024-03-03'), makePost('2024-03-02'), makePost('2024-03-01')];
+    const { docs: page, pagination } = buildCursorPage(docs, 2);
+
+    assert.deepEqual(page, docs.slice(0, 2));
+    assert.equal(pagination.hasMore, true);
+    assert.equal(typeof pagination.nextCursor, 'string');
+  });
+
+  it('ends without a cursor on the last page', () => {
+    const { pagination } = buildCursorPage([makePost('2024-03-03')], 2);
+
+    assert.deepEqual(pagination, { limit: 2, hasMore: false, nextCursor: null });
+  });
+
+  it('resumes after the last document, breaking publishedAt ties by id', () => {
+    const docs = [makePost('2024-03-03'), makePost('2024-03-02'), makePost('2024-03-01')];
+    const last = docs[1];
+    const { pagination } = buildCursorPage(docs, 2);
+    const { filter } = cursorQuery(pagination.nextCursor);
+
+    assert.deepEqual(filter.$or[0], { publishedAt: { $lt: last.publishedAt } });
+    assert.deepEqual(filter.$or[1].publishedAt, last.publishedAt);
+    assert.ok(filter.$or[1]._id.$lt.equals(last._id));
+  });
+
+  it('rejects malformed or tampered cursors', () => {
+    const forged = Buffer.from(JSON.stringify({ publishedAt: 'soon', id: 'x' })).toString('base64url');
+
+    assert.throws(() => cursorQuery('not a cursor'), { statusCode: 400 });
+    assert.throws(() => cursorQuery(forged), { statusCode: 400 });
+  });
+});
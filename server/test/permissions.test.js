@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PERMISSIONS, permissionsFor, hasPermission } = require('@config/permissions');
+
+describe('permissions', () => {
+  it('lets every role write posts', () => {
+    ['user', 'publisher', 'admin'].forEach(role => {
+      assert.ok(permissionsFor(role).includes('post:create'), role);
+    });
+  });
+
+  it('keeps publishing from plain users', () => {
+    assert.equal(hasPermission({ role: 'user' }, 'post:publish'), false);
+    assert.equal(hasPermission({ role: 'publisher' }, 'post:publish'), true);
+  });
+
+  it('gives management permissions to admins only', () => {
+    ['post:edit:any', 'category:manage', 'tag:manage', 'comment:moderate', 'user:manage'].forEach(permission => {
+      assert.equal(hasPermission({ role: 'user' }, permission), false, permission);
+      assert.equal(hasPermission({ role: 'publisher' }, permission), false, permission);
+      assert.equal(hasPermission({ role: 'admin' }, permission), true, permission);
+    });
+  });
+
+  it('gives admins every permission there is', () => {
+    assert.deepEqual([...permissionsFor('admin')].sort(), Object.values(PERMISSIONS).sort());
+  });
+
+  it('grants nothing to guests or unknown roles', () => {
+    assert.deepEqual(permissionsFor('superuser'), []);
+    assert.equal(hasPermission(undefined, 'post:create'), false);
+    assert.equal(hasPermission({ role: 'superuser' }, 'post:create'), false);
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { buildListQuery } = require('@utils/queryBuilder');
+
+const SPEC = {
+  filterable: {
+    status: { type: 'string', enum: ['draft', 'published'] },
+    author: 'objectId',
+    tags: 'string',
+    isFeatured: 'boolean',
+    viewCount: 'number',
+    publishedAt: 'date'
+  },
+  sortable: ['title', 'publishedAt'],
+  selectable: ['title', 'slug'],
+  defaultSort: '-publishedAt',
+  maxLimit: 50
+};
+
+const badRequest = { statusCode: 400 };
+
+describe('buildListQuery', () => {
+  it('falls back to the spec defaults', () => {
+    assert.deepEqual(buildListQuery({}, SPEC), {
+      filter: {},
+      sort: '-publishedAt',
+      select: undefined,
+      page: 1,
+      limit: 10,
+      skip: 0
+    });
+  });
+
+  it('coerces values to the declared field types', () => {
+    const id = new mongoose.Types.ObjectId().toString();
+    const { filter } = buildListQuery(
+      { status: 'published', author: id, isFeatured: 'true', 'viewCount[gte]': '10' },
+      SPEC
+    );
+
+    assert.deepEqual(filter.status, { $eq: 'published' });
+    assert.ok(filter.author.$eq.equals(id));
+    assert.deepEqual(filter.isFeatured, { $eq: true });
+    assert.deepEqual(filter.viewCount, { $gte: 10 });
+  });
+
+  it('accepts operators from the extended query parser and merges ranges', () => {
+    const { filter } = buildListQuery(
+      { publishedAt: { gte: '2024-01-01', lt: '2024-02-01' } },
+      SPEC
+    );
+
+    assert.deepEqual(filter.publishedAt, {
+      $gte: new Date('2024-01-01'),
+      $lt: new Date('2024-02-01')
+    });
+  });
+
+  it('splits list operators on commas', () => {
+    const { filter } = buildListQuery({ 'tags[in]': 'js,node' }, SPEC);
+
+    assert.deepEqual(filter.tags, { $in: ['js', 'node'] });
+  });
+
+  it('rejects fields, operators and values outside the whitelist', () => {
+    assert.throws(() => buildListQuery({ password: 'x' }, SPEC), badRequest);
+    assert.throws(() => buildListQuery({ 'viewCount[where]': '1' }, SPEC), badRequest);
+    assert.throws(() => buildListQuery({ 'tags[gt]': 'a' }, SPEC), badRequest);
+    assert.throws(() => buildListQuery({ status: 'archived' }, SPEC), badRequest);
+    assert.throws(() => buildListQuery({ viewCount: 'many' }, SPEC), badRequest);
+    assert.throws(() => buildListQuery({ author: 'not-an-id' }, SPEC), badRequest);
+  });
+
+  it('does not let operator objects through as values', () => {
+    assert.throws(() => buildListQuery({ status: { $ne: 'draft' } }, SPEC), badRequest);
+  });
+
+  it('validates sort and select lists', () => {
+    const query = buildListQuery({ sort: '-title,publishedAt', select: 'title,slug' }, SPEC);
+
+    assert.equal(query.sort, '-title publishedAt');
+    assert.equal(query.select, 'title slug');
+    assert.throws(() => buildListQuery({ sort: 'password' }, SPEC), badRequest);
+    assert.throws(() => buildListQuery({ select: '-title' }, SPEC), badRequest);
+  });
+
+  it('parses page and caps limit', () => {
+    const query = buildListQuery({ page: '3', limit: '500' }, SPEC);
+
+    assert.equal(query.page, 3);
+    assert.equal(query.limit, 50);
+    assert.equal(query.skip, 100);
+    assert.throws(() => buildListQuery({ page: '0' }, SPEC), badRequest);
+    assert.throws(() => buildListQuery({ limit: '2.5' }, SPEC), badRequest);
+  });
+});
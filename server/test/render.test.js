@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderContent, htmlToText } = require('@utils/markdown');
+
+describe('renderContent', () => {
+  it('strips script, event handlers and javascript: links from Markdown', () => {
+    const { html } = renderContent([
+      '<script>alert(1)</script>',
+      '<img src="x.png" onerror="alert(1)">',
+      '[click](javascript:alert(1))',
+      '<a href="data:text/html,hi">data</a>'
+    ].join('\n\n'));
+
+    assert.doesNotMatch(html, /<script|onerror|javascript:|data:text/i);
+  });
+
+  it('opens external links without handing over the opener', () => {
+    const { html } = renderContent('[site](https://example.com)');
+
+    assert.match(html, /rel="nofollow noopener noreferrer"/);
+    assert.match(html, /target="_blank"/);
+  });
+
+  it('gives repeated headings unique anchors and lists them in the TOC', () => {
+    const { html, toc } = renderContent('## Setup\n\n## Setup');
+
+    assert.deepEqual(toc.map(entry => entry.id), ['setup', 'setup-2']);
+    assert.match(html, /<h2 id="setup-2">/);
+  });
+
+  it('escapes plain-text content instead of rendering it', () => {
+    const { html, text } = renderContent('<b>bold</b>\n\nnext', 'plain');
+
+    assert.equal(html, '<p>&lt;b&gt;bold&lt;/b&gt;</p>\n<p>next</p>');
+    assert.equal(text, '<b>bold</b> next');
+  });
+});
+
+describe('htmlToText', () => {
+  it('keeps block boundaries as spaces and decodes entities', () => {
+    assert.equal(htmlToText('<h1>Title</h1><p>Fish &amp; chips</p>'), 'Title Fish & chips');
+  });
+});
@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { slugify, withUniqueSlug } = require('@utils/slugify');
+
+const duplicate = (keyPattern) => Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern });
+
+describe('slugify', () => {
+  it('builds a lowercase, hyphenated slug', () => {
+    assert.equal(slugify('  Hello, World_again -- now!  '), 'hello-world-again-now');
+  });
+});
+
+describe('withUniqueSlug', () => {
+  it('runs the write again when another document took the slug', async () => {
+    let calls = 0;
+    const result = await withUniqueSlug(async () => {
+      calls += 1;
+      if (calls < 3) throw duplicate({ slug: 1 });
+      return 'saved';
+    });
+
+    assert.equal(result, 'saved');
+    assert.equal(calls, 3);
+  });
+
+  it('does not retry other duplicate keys or errors', async () => {
+    let calls = 0;
+    await assert.rejects(
+      withUniqueSlug(async () => {
+        calls += 1;
+        throw duplicate({ name: 1 });
+      }),
+      { code: 11000 }
+    );
+    assert.equal(calls, 1);
+
+    await assert.rejects(withUniqueSlug(async () => { throw new Error('boom'); }), /boom/);
+  });
+
+  it('gives up after a few attempts', async () => {
+    let calls = 0;
+    await assert.rejects(
+      withUniqueSlug(async () => {
+        calls += 1;
+        throw duplicate({ slug: 1 });
+      }),
+      { code: 11000 }
+    );
+    assert.equal(calls, 5);
+  });
+});
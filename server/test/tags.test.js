@@ -0,0 +1,33 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeTag, normalizeTags } = require('@utils/tags');
+
+describe('normalizeTag', () => {
+  it('collapses spelling variants onto one tag', () => {
+    ['Node JS', '  node   js ', '#node-js', 'NODE-JS'].forEach(tag => {
+      assert.equal(normalizeTag(tag), 'node-js', tag);
+    });
+  });
+
+  it('trims again after the # and collapses runs of spaces and hyphens', () => {
+    assert.equal(normalizeTag('# node'), 'node');
+    assert.equal(normalizeTag('  ##  React  '), 'react');
+    assert.equal(normalizeTag('node - js'), 'node-js');
+    assert.equal(normalizeTag('-node--js-'), 'node-js');
+  });
+
+  it('returns an empty string for missing tags', () => {
+    assert.equal(normalizeTag(undefined), '');
+    assert.equal(normalizeTag('  #  '), '');
+  });
+});
+
+describe('normalizeTags', () => {
+  it('drops empties and duplicates, keeping the first order', () => {
+    assert.deepEqual(normalizeTags(['React', ' ', 'node js', 'react', 'Node-JS']), ['react', 'node-js']);
+  });
+
+  it('leaves non-arrays for the schema to reject', () => {
+    assert.equal(normalizeTags('react'), 'react');
+  });
+});
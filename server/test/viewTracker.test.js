@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The tracker reads its window length from the environment config, which
+// refuses to load without these
+Object.assign(process.env, {
+  MONGODB_URI: process.env.MONGODB_URI || 'mongodb://localhost/test',
+  SMTP_HOST: process.env.SMTP_HOST || 'localhost',
+  SMTP_USER: process.env.SMTP_USER || 'test',
+  SMTP_PASS: process.env.SMTP_PASS || 'test',
+  EMAIL_FROM: process.env.EMAIL_FROM || 'test@example.com',
+  FILE_UPLOAD_PATH: process.env.FILE_UPLOAD_PATH || '/tmp/uploads',
+  VIEW_DEDUPE_WINDOW: ''
+});
+
+const config = require('@config/envConfig');
+const { viewWindow } = require('@utils/viewTracker');
+
+const MINUTE = 60 * 1000;
+
+describe('viewWindow', () => {
+  it('puts views in the same window on the same start', () => {
+    const first = viewWindow(Date.UTC(2024, 0, 1, 10, 31), 30 * MINUTE);
+    const second = viewWindow(Date.UTC(2024, 0, 1, 10, 59, 59), 30 * MINUTE);
+
+    assert.deepEqual(first, second);
+    assert.deepEqual(first, {
+      start: new Date(Date.UTC(2024, 0, 1, 10, 30)),
+      end: new Date(Date.UTC(2024, 0, 1, 11, 0))
+    });
+  });
+
+  it('starts a new window on the boundary', () => {
+    const { start } = viewWindow(Date.UTC(2024, 0, 1, 11, 0), 30 * MINUTE);
+
+    assert.deepEqual(start, new Date(Date.UTC(2024, 0, 1, 11, 0)));
+  });
+
+  it('uses the default window when the variable is blank', () => {
+    assert.equal(config.views.dedupeWindowMs, 30 * MINUTE);
+
+    const { start, end } = viewWindow(Date.now(), config.views.dedupeWindowMs);
+    assert.ok(!Number.isNaN(start.getTime()));
+    assert.equal(end - start, 30 * MINUTE);
+  });
+});